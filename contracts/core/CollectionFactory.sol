@@ -73,7 +73,7 @@ contract CollectionFactory is Ownable {
         userCollections[msg.sender].push(clone);
         isCollectionCreatedByUs[clone] = true;
         
-        NFTMarketplace(marketplace).registerCollection(clone);
+        NFTMarketplace(payable(marketplace)).registerCollection(clone);
         
         emit CollectionCreated(clone, msg.sender, isDrop);
         return clone;
@@ -0,0 +1,949 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.17;
+
+import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts/security/ReentrancyGuard.sol";
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/IERC20Permit.sol";
+import "@openzeppelin/contracts/token/ERC1155/IERC1155.sol";
+import "../interfaces/ICollection.sol";
+import "../interfaces/IWETH.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/utils/cryptography/EIP712.sol";
+
+// Types, storage, events and internal helpers shared by NFTMarketplace and its modules.
+// The modules run by delegatecall on the marketplace storage, so they all inherit this layout unchanged
+abstract contract MarketplaceBase is Ownable, ReentrancyGuard, EIP712 {
+    using SafeERC20 for IERC20;
+    enum ListingType { FIXED_PRICE, AUCTION, DUTCH_AUCTION }
+    enum AuctionType { ENGLISH, DUTCH, SEALED_BID, UNIFORM_PRICE }
+    enum ForfeitureRule { REFUND, SELLER, PLATFORM }
+    enum AuctionStatus { ACTIVE, ENDED, CANCELLED, RESERVE_NOT_MET }
+    enum OfferStatus { PENDING, ACCEPTED, REJECTED, CANCELLED, EXPIRED, COUNTERED }
+    enum BundleStatus { ACTIVE, SOLD, CANCELLED }
+    struct Listing {
+        address seller;
+        uint256 price;
+        uint256 quantity;
+        ListingType listingType;
+        uint256 auctionId;  // 0 for fixed price listings
+        address paymentToken;
+        address allowedBuyer;  // zero for public listings
+        uint256 expiresAt;     // 0 for listings that never expire
+    }
+
+    struct AuctionDetails {
+        address seller;
+        uint256 startPrice;
+        uint256 currentPrice;
+        uint256 minBidIncrement;
+        uint256 startTime;
+        uint256 endTime;
+        uint256 tokenId;
+        uint256 quantity;
+        address highestBidder;
+        AuctionStatus status;
+    }
+
+    // Optional English auction settings, zero prices disable the feature
+    // and a zero payment token selects the designated token.
+    // A hidden reserve is given as reserveCommitment instead of reservePrice.
+    struct AuctionOptions {
+        uint256 reservePrice;
+        bytes32 reserveCommitment;
+        uint256 buyNowPrice;
+        address paymentToken;
+    }
+
+    // Price decays from startPrice to endPrice in steps of dropInterval until endTime
+    struct DutchAuctionConfig {
+        uint256 endPrice;
+        uint256 dropInterval;
+    }
+
+    // Bidding runs until the auction endTime, reveals until revealEndTime
+    struct SealedBidAuction {
+        uint256 revealEndTime;
+        uint256 secondHighestBid;
+        uint256 commitCount;
+        bool secondPrice;
+        ForfeitureRule forfeitureRule;
+    }
+
+    struct SealedBid {
+        bytes32 commitment;
+        uint256 deposit;
+        uint256 amount;
+        bool revealed;
+    }
+
+    // Bid for a number of units of a uniform-price auction, escrowing quantity * unitPrice
+    struct UnitBid {
+        address bidder;
+        uint256 quantity;
+        uint256 unitPrice;
+        uint256 sequence; // placement order, earlier bids win ties
+    }
+
+    struct Offer {
+        address buyer;
+        address seller;
+        uint256 price;
+        uint256 quantity;
+        uint256 createTime;
+        uint256 expiresAt;  // 0 for offers that never expire
+        OfferStatus status;
+    }
+
+    // Offer open to any holder, for any token of a collection or for a single tokenId when isTokenOffer is set.
+    // Price is per unit and quantity is what remains unfilled
+    struct CollectionOffer {
+        address buyer;
+        address collection;
+        bool isTokenOffer;
+        uint256 tokenId;
+        uint256 price;
+        uint256 quantity;
+        uint256 createTime;
+        uint256 expiresAt;
+        OfferStatus status;
+    }
+
+    struct FilterParams {
+        address collection;
+        uint256 tokenId;
+        address user;
+        uint8 filterType;
+    }
+
+    // Set of items sold together for one price, the seller keeps the units until the sale
+    struct BundleListing {
+        address seller;
+        uint256 price;
+        address paymentToken;
+        BundleStatus status;
+    }
+
+    struct BundleItem {
+        address collection;
+        uint256 tokenId;
+        uint256 quantity;
+    }
+
+    // NFT-for-NFT trade, the proposer's items and sweetener are escrowed until the swap is closed
+    struct SwapOffer {
+        address proposer;
+        address counterparty;  // zero lets any holder of the requested items accept
+        address paymentToken;
+        uint256 sweetener;     // optional ERC20 amount added by the proposer
+        uint256 expiresAt;     // 0 for swaps that never expire
+        OfferStatus status;
+    }
+
+    struct BatchPurchaseParams {
+        address collection;
+        uint256 tokenId;
+        address seller;
+        uint256 quantity;
+        uint256 maxUnitPrice;  // reverts (or skips) if the listing was repriced above this
+    }
+
+    struct BatchListingParams {
+        address collection;
+        uint256 tokenId;
+        uint256 price;
+        uint256 quantity;
+    }
+
+    struct BatchRemovalParams {
+        address collection;
+        uint256 tokenId;
+    }
+
+    // EIP-2612 approval signed by the payer for the marketplace as spender
+    struct PermitSignature {
+        uint256 value;
+        uint256 deadline;
+        uint8 v;
+        bytes32 r;
+        bytes32 s;
+    }
+
+    // Fixed price order signed off-chain by the seller, price is per unit
+    struct SignedListing {
+        address seller;
+        address collection;
+        uint256 tokenId;
+        uint256 price;
+        address paymentToken;  // zero for the designated token
+        uint256 quantity;
+        uint256 nonce;
+        uint256 deadline;
+    }
+
+    // Bounds the work done when settling a uniform-price auction, a full book evicts its lowest bid
+    uint256 public constant MAX_UNIT_BIDS = 100;
+
+    // Gas forwarded with ETH refunds, a recipient whose receive needs more gets WETH instead
+    uint256 public constant ETH_REFUND_GAS = 2300;
+
+    // Time the seller has after endTime to reveal a hidden reserve before anyone can close the auction as not met
+    uint256 public constant RESERVE_REVEAL_PERIOD = 1 days;
+
+    bytes32 internal constant SIGNED_LISTING_TYPEHASH = keccak256(
+        "SignedListing(address seller,address collection,uint256 tokenId,uint256 price,address paymentToken,uint256 quantity,uint256 nonce,uint256 deadline)"
+    );
+    
+    uint256 public primaryFee;
+    uint256 public secondaryFee;
+    address public collectionFactory;
+    uint256 public totalCollections;
+    mapping(address => uint256) public amountLockedInPool; // payment token => escrowed amount
+    IERC20 public immutable designatedToken;
+    IWETH public weth;
+
+    uint256 internal _auctionIds;
+    uint256 internal _offerIds;
+    uint256 internal _bundleIds;
+    uint256 internal _swapIds;
+    uint256 public minAuctionDuration;
+    uint256 public maxAuctionDuration;
+    uint256 public auctionExtensionInterval;
+    
+    mapping(address => mapping(uint256 => mapping(address => Listing))) public listings;
+    mapping(address => bool) public paymentTokens; // allowlisted ERC20 payment tokens
+    mapping(address => bool) public refundInETH; // user => unwrap WETH refunds into ETH
+    mapping(address => mapping(address => uint256)) public credits; // user => payment token => claimable amount
+    mapping(address => address[]) internal creditTokens; // user => payment tokens with outstanding credits
+    mapping(address => bool) public registeredCollections;
+    mapping(uint256 => address) internal collectionIndex;
+    mapping(uint256 => AuctionDetails) public auctions;
+    mapping(uint256 => mapping(address => uint256)) public bids;
+    mapping(uint256 => address) public auctionCollections;
+    mapping(uint256 => address) public auctionPaymentTokens;
+    mapping(uint256 => AuctionType) public auctionTypes;
+    mapping(uint256 => DutchAuctionConfig) public dutchAuctions;
+    mapping(uint256 => AuctionOptions) internal auctionOptions;
+    mapping(uint256 => SealedBidAuction) public sealedBidAuctions;
+    mapping(uint256 => mapping(address => SealedBid)) public sealedBids; // auctionId => bidder => bid
+    mapping(uint256 => UnitBid[]) internal unitBids; // uniform-price auctionId => open bids
+    mapping(uint256 => uint256) internal unitBidCount; // uniform-price auctionId => bids placed so far
+    mapping(uint256 => mapping(address => uint256)) public unclaimedUnits; // uniform-price auctionId => owner => undeliverable units
+
+    // Offer mappings
+    mapping(address => mapping(uint256 => mapping(uint256 => Offer))) public offers; // collection => tokenId => offerId => Offer
+    mapping(address => uint256[]) internal userOfferIds; // buyer => offerIds
+    mapping(uint256 => address) internal offerCollections; // offerId => collection
+    mapping(uint256 => uint256) internal offerTokenIds; // offerId => tokenId
+    mapping(uint256 => address) public offerPaymentTokens; // offerId => payment token, for every offer kind
+    mapping(address => uint256[]) internal sellerReceivedOffers; // seller => offerIds
+    mapping(address => mapping(uint256 => uint256[])) internal tokenOffers; // collection => tokenId => offerIds
+    mapping(uint256 => uint256) public counterOfferParent; // counterOfferId => original offerId
+    mapping(uint256 => uint256[]) internal offerCounterIds; // original offerId => counterOfferIds
+    mapping(uint256 => uint256) public counterOfferMinNetProceeds; // counterOfferId => seller's minimum share
+    mapping(uint256 => CollectionOffer) public collectionOffers; // offerId => CollectionOffer
+    mapping(address => uint256[]) internal collectionOfferIds; // collection => offerIds
+    mapping(address => mapping(uint256 => uint256[])) internal tokenOpenOfferIds; // collection => tokenId => offerIds
+
+    // Signed listing mappings
+    mapping(address => uint256) public listingNonces; // seller => current nonce
+    mapping(bytes32 => uint256) public signedListingFilled; // orderHash => quantity filled
+    mapping(bytes32 => bool) public signedListingCancelled; // orderHash => cancelled
+
+    // Bundle mappings
+    mapping(uint256 => BundleListing) public bundles;
+    mapping(uint256 => BundleItem[]) internal bundleItems; // bundleId => items
+    mapping(uint256 => uint256[]) internal bundleItemPrices; // bundleId => price of each item, summing to the bundle price
+
+    // Swap mappings
+    mapping(uint256 => SwapOffer) public swapOffers;
+    mapping(uint256 => BundleItem[]) internal swapOfferedItems; // swapId => items given by the proposer
+    mapping(uint256 => BundleItem[]) internal swapRequestedItems; // swapId => items asked from the counterparty
+    
+    event NFTListed(
+        address indexed collection, 
+        uint256 indexed tokenId, 
+        address seller, 
+        uint256 price, 
+        uint256 quantity,
+        ListingType listingType,
+        uint256 auctionId
+    );
+    event NFTSold(address indexed collection, uint256 indexed tokenId, address seller, address buyer, uint256 price, uint256 quantity);
+    event ListingRemoved(address indexed collection, uint256 indexed tokenId, address seller, string reason);
+    event BatchItemFailed(uint256 index, address indexed collection, uint256 indexed tokenId, string reason);
+    event ListingUpdated(
+        address indexed collection,
+        uint256 indexed tokenId,
+        address seller,
+        uint256 oldPrice,
+        uint256 newPrice,
+        uint256 oldQuantity,
+        uint256 newQuantity
+    );
+    event ListingQuantityUpdated(
+        address indexed collection,
+        uint256 indexed tokenId,
+        address seller,
+        uint256 newQuantity
+    );
+    event AuctionCreated(
+        uint256 indexed auctionId,
+        address indexed collection,
+        uint256 indexed tokenId,
+        address seller,
+        uint256 startPrice,
+        uint256 minBidIncrement,
+        uint256 startTime,
+        uint256 endTime,
+        uint256 quantity
+    );
+
+    event BidPlaced(
+        uint256 indexed auctionId,
+        address indexed bidder,
+        uint256 amount
+    );
+
+    event AuctionSettled(
+        uint256 indexed auctionId,
+        address indexed winner,
+        uint256 amount
+    );
+
+    event DutchAuctionCreated(uint256 indexed auctionId, uint256 endPrice, uint256 dropInterval);
+    event AuctionReserveNotMet(
+        uint256 indexed auctionId,
+        address indexed highestBidder,
+        uint256 highestBid
+    );
+
+    event ReservePriceRevealed(uint256 indexed auctionId, uint256 reservePrice);
+
+    event SealedBidAuctionCreated(
+        uint256 indexed auctionId,
+        uint256 revealEndTime,
+        bool secondPrice,
+        ForfeitureRule forfeitureRule
+    );
+    event UniformPriceAuctionCreated(uint256 indexed auctionId, uint256 minUnitPrice);
+    event UnitBidPlaced(uint256 indexed auctionId, address indexed bidder, uint256 quantity, uint256 unitPrice);
+    event UnitBidFilled(uint256 indexed auctionId, address indexed bidder, uint256 quantity, uint256 clearingPrice);
+    event UnitBidEvicted(uint256 indexed auctionId, address indexed bidder, uint256 quantity, uint256 unitPrice);
+    event UniformPriceAuctionSettled(uint256 indexed auctionId, uint256 clearingPrice, uint256 unitsSold);
+    event UnitsHeld(uint256 indexed auctionId, address indexed owner, uint256 quantity);
+    event UnitsClaimed(uint256 indexed auctionId, address indexed owner, address recipient, uint256 quantity);
+    event SealedBidCommitted(uint256 indexed auctionId, address indexed bidder, uint256 deposit);
+    event SealedBidRevealed(uint256 indexed auctionId, address indexed bidder, uint256 amount);
+    event SealedBidReleased(
+        uint256 indexed auctionId,
+        address indexed bidder,
+        address recipient,
+        uint256 amount
+    );
+
+    event AuctionCancelled(uint256 indexed auctionId);
+    event AuctionExtended(uint256 indexed auctionId, uint256 newEndTime);
+    event ProxyBidPlaced(uint256 indexed auctionId, address indexed bidder, uint256 maxBid);
+    event BidCountered(uint256 indexed auctionId, address indexed bidder, uint256 amount);
+
+    event FeeUpdated(bool isPrimary, uint256 newFee);
+    event CollectionRegistered(address indexed collection);
+    event AuctionExtensionIntervalUpdated(uint256 newInterval);
+
+    event OfferCreated(
+        uint256 indexed offerId,
+        address indexed collection,
+        uint256 indexed tokenId,
+        address buyer,
+        address seller,
+        uint256 price,
+        uint256 quantity,
+        uint256 expiresAt
+    );
+
+    event OfferAccepted(uint256 indexed offerId, address indexed seller);
+    event OfferPartiallyAccepted(
+        uint256 indexed offerId,
+        address indexed seller,
+        uint256 filledQuantity,
+        uint256 remainingQuantity
+    );
+    event OfferRejected(uint256 indexed offerId, address indexed seller);
+    event OfferCancelled(uint256 indexed offerId, address indexed buyer);
+    event OfferExpired(uint256 indexed offerId, address indexed buyer);
+    event CounterOfferCreated(
+        uint256 indexed counterOfferId,
+        uint256 indexed offerId,
+        address indexed seller,
+        uint256 price,
+        uint256 quantity,
+        uint256 expiresAt
+    );
+    event CounterOfferAccepted(uint256 indexed counterOfferId, address indexed buyer);
+    event CounterOfferRejected(uint256 indexed counterOfferId, address indexed buyer);
+    event CounterOfferCancelled(uint256 indexed counterOfferId, address indexed seller);
+
+    event CollectionOfferCreated(
+        uint256 indexed offerId,
+        address indexed collection,
+        address indexed buyer,
+        uint256 price,
+        uint256 quantity,
+        uint256 expiresAt
+    );
+    event TokenOfferCreated(
+        uint256 indexed offerId,
+        address indexed collection,
+        uint256 indexed tokenId,
+        address buyer,
+        uint256 price,
+        uint256 quantity,
+        uint256 expiresAt
+    );
+    event CollectionOfferFilled(
+        uint256 indexed offerId,
+        uint256 indexed tokenId,
+        address indexed seller,
+        uint256 quantity,
+        uint256 remainingQuantity
+    );
+    event CollectionOfferCancelled(uint256 indexed offerId, address indexed buyer, OfferStatus status);
+
+    event SignedListingFilled(
+        bytes32 indexed orderHash,
+        address indexed collection,
+        uint256 indexed tokenId,
+        address seller,
+        address buyer,
+        uint256 price,
+        uint256 quantity,
+        uint256 remainingQuantity
+    );
+    event SignedListingCancelled(bytes32 indexed orderHash, address indexed seller);
+    event ListingNonceIncremented(address indexed seller, uint256 newNonce);
+    event BundleListed(
+        uint256 indexed bundleId,
+        address indexed seller,
+        uint256 price,
+        address paymentToken,
+        uint256 itemCount
+    );
+    event BundleSold(uint256 indexed bundleId, address indexed seller, address indexed buyer, uint256 price);
+    event BundleCancelled(uint256 indexed bundleId, address indexed seller);
+    event SwapProposed(
+        uint256 indexed swapId,
+        address indexed proposer,
+        address indexed counterparty,
+        address paymentToken,
+        uint256 sweetener,
+        uint256 expiresAt
+    );
+    event SwapAccepted(uint256 indexed swapId, address indexed proposer, address indexed counterparty);
+    event SwapRejected(uint256 indexed swapId, address indexed counterparty);
+    event SwapCancelled(uint256 indexed swapId, address indexed proposer, OfferStatus status);
+    event PaymentTokenUpdated(address indexed paymentToken, bool allowed);
+    event WETHUpdated(address indexed weth);
+    event RefundPreferenceUpdated(address indexed user, bool refundInETH);
+    event CreditAdded(address indexed user, address indexed paymentToken, uint256 amount);
+    event CreditsWithdrawn(address indexed user, address indexed paymentToken, uint256 amount);
+
+    constructor(address _designatedToken) EIP712("NFTMarketplace", "1") {
+        require(_designatedToken != address(0), "Invalid token address");
+        designatedToken = IERC20(_designatedToken);
+    }
+
+    function _resolvePaymentToken(address paymentToken) internal view returns (address) {
+        if (paymentToken == address(0)) {
+            paymentToken = address(designatedToken);
+        }
+        require(paymentTokens[paymentToken], "Payment token not allowed");
+        return paymentToken;
+    }
+
+    // Returns the revert reason listing would fail with, or an empty string when it can proceed
+    function _listingError(
+        address collection,
+        uint256 tokenId,
+        uint256 price,
+        uint256 quantity,
+        uint256 expiresAt
+    ) internal view returns (string memory) {
+        if (!registeredCollections[collection]) return "Collection not registered";
+        if (price == 0) return "Invalid price";
+        if (quantity == 0) return "Invalid quantity";
+        if (expiresAt != 0 && expiresAt <= block.timestamp) return "Invalid expiration";
+        if (IERC1155(collection).balanceOf(msg.sender, tokenId) < quantity) return "Insufficient balance";
+
+        // Check if NFT is already listed by this seller, expired listings can be replaced
+        Listing storage existingListing = listings[collection][tokenId][msg.sender];
+        if (
+            existingListing.quantity != 0 &&
+            !_isListingExpired(existingListing) &&
+            (existingListing.listingType == ListingType.FIXED_PRICE ||
+             auctions[existingListing.auctionId].status == AuctionStatus.ACTIVE)
+        ) return "Already listed";
+
+        return "";
+    }
+
+    function _storeListing(
+        address collection,
+        uint256 tokenId,
+        uint256 price,
+        uint256 quantity,
+        uint256 expiresAt,
+        address paymentToken,
+        address allowedBuyer
+    ) internal {
+        listings[collection][tokenId][msg.sender] = Listing({
+            seller: msg.sender,
+            price: price,
+            quantity: quantity,
+            listingType: ListingType.FIXED_PRICE,
+            auctionId: 0,
+            paymentToken: paymentToken,
+            allowedBuyer: allowedBuyer,
+            expiresAt: expiresAt
+        });
+
+        emit NFTListed(
+            collection, 
+            tokenId, 
+            msg.sender, 
+            price, 
+            quantity,
+            ListingType.FIXED_PRICE,
+            0
+        );
+    }
+
+    function _isAllowedBuyer(Listing storage listing) internal view returns (bool) {
+        return listing.allowedBuyer == address(0) || listing.allowedBuyer == msg.sender;
+    }
+
+    function _isListingExpired(Listing storage listing) internal view returns (bool) {
+        return listing.expiresAt != 0 && block.timestamp > listing.expiresAt;
+    }
+
+    function _removalError(address collection, uint256 tokenId) internal view returns (string memory) {
+        Listing storage listing = listings[collection][tokenId][msg.sender];
+        if (listing.seller != msg.sender || listing.quantity == 0) return "No active listing";
+
+        if (listing.listingType != ListingType.FIXED_PRICE) {
+            if (auctions[listing.auctionId].status != AuctionStatus.ACTIVE) return "Auction not active";
+            if (_hasBids(listing.auctionId)) return "Bids already placed";
+        }
+
+        return "";
+    }
+
+    function _removeListing(address collection, uint256 tokenId) internal {
+        Listing storage listing = listings[collection][tokenId][msg.sender];
+
+        if (listing.listingType != ListingType.FIXED_PRICE) {
+            AuctionDetails storage auction = auctions[listing.auctionId];
+            auction.status = AuctionStatus.CANCELLED;
+            IERC1155(collection).safeTransferFrom(
+                address(this),
+                msg.sender,
+                tokenId,
+                listing.quantity,
+                ""
+            );
+            
+            emit AuctionCancelled(listing.auctionId);
+        }
+
+        delete listings[collection][tokenId][msg.sender];
+        emit ListingRemoved(collection, tokenId, msg.sender, "REMOVED_BY_SELLER");
+    }
+
+    function _validateAuctionParams(
+        address collection,
+        uint256 tokenId,
+        uint256 quantity,
+        uint256 startPrice,
+        uint256 duration
+    ) internal view {
+        require(registeredCollections[collection], "Collection not registered");
+        require(quantity > 0, "Invalid quantity");
+        require(startPrice > 0, "Invalid start price");
+        require(duration >= minAuctionDuration && duration <= maxAuctionDuration, "Invalid duration");
+        require(
+            IERC1155(collection).balanceOf(msg.sender, tokenId) >= quantity,
+            "Insufficient balance"
+        );
+        require(
+            IERC1155(collection).isApprovedForAll(msg.sender, address(this)),
+            "Not approved"
+        );
+
+        Listing storage existingListing = listings[collection][tokenId][msg.sender];
+        require(
+            existingListing.quantity == 0 || 
+            (existingListing.listingType != ListingType.FIXED_PRICE && 
+             auctions[existingListing.auctionId].status != AuctionStatus.ACTIVE), 
+            "Already listed"
+        );
+    }
+
+    function _createAuctionListing(
+        address collection,
+        uint256 tokenId,
+        uint256 quantity,
+        uint256 startPrice,
+        uint256 auctionId,
+        ListingType listingType,
+        address paymentToken
+    ) internal {
+        listings[collection][tokenId][msg.sender] = Listing({
+            seller: msg.sender,
+            price: startPrice,
+            quantity: quantity,
+            listingType: listingType,
+            auctionId: auctionId,
+            paymentToken: paymentToken,
+            allowedBuyer: address(0),
+            expiresAt: 0
+        });
+        auctionPaymentTokens[auctionId] = paymentToken;
+
+        emit NFTListed(
+            collection, 
+            tokenId, 
+            msg.sender, 
+            startPrice, 
+            quantity,
+            listingType,
+            auctionId
+        );
+    }
+
+    function _setupAuction(
+        uint256 auctionId,
+        address collection,
+        uint256 tokenId,
+        uint256 quantity,
+        uint256 startPrice,
+        uint256 minBidIncrement,
+        uint256 duration
+    ) internal {
+        uint256 startTime = block.timestamp;
+        uint256 endTime = startTime + duration;
+
+        auctions[auctionId] = AuctionDetails({
+            seller: msg.sender,
+            startPrice: startPrice,
+            currentPrice: startPrice,
+            minBidIncrement: minBidIncrement,
+            startTime: startTime,
+            endTime: endTime,
+            tokenId: tokenId,
+            quantity: quantity,
+            highestBidder: address(0),
+            status: AuctionStatus.ACTIVE
+        });
+
+        auctionCollections[auctionId] = collection;
+
+        IERC1155(collection).safeTransferFrom(
+            msg.sender,
+            address(this),
+            tokenId,
+            quantity,
+            ""
+        );
+
+        emit AuctionCreated(
+            auctionId,
+            collection,
+            tokenId,
+            msg.sender,
+            startPrice,
+            minBidIncrement,
+            startTime,
+            endTime,
+            quantity
+        );
+    }
+
+    // Check if bid is placed near the end
+    function _extendIfEnding(uint256 auctionId) internal {
+        AuctionDetails storage auction = auctions[auctionId];
+        if (auction.endTime - block.timestamp <= auctionExtensionInterval) {
+            auction.endTime = block.timestamp + auctionExtensionInterval;
+            emit AuctionExtended(auctionId, auction.endTime);
+        }
+    }
+
+    // Ends an auction at a fixed price paid by the caller instead of the escrowed bid
+    function _completeInstantPurchase(
+        uint256 auctionId,
+        uint256 price,
+        string memory reason
+    ) internal {
+        AuctionDetails storage auction = auctions[auctionId];
+        auction.status = AuctionStatus.ENDED;
+        auction.currentPrice = price;
+        auction.highestBidder = msg.sender;
+        address collection = auctionCollections[auctionId];
+
+        _collectSalePayment(
+            IERC20(auctionPaymentTokens[auctionId]),
+            collection,
+            auction.tokenId,
+            auction.seller,
+            price
+        );
+
+        IERC1155(collection).safeTransferFrom(
+            address(this),
+            msg.sender,
+            auction.tokenId,
+            auction.quantity,
+            ""
+        );
+
+        delete listings[collection][auction.tokenId][auction.seller];
+        emit ListingRemoved(collection, auction.tokenId, auction.seller, reason);
+
+        emit AuctionSettled(auctionId, msg.sender, price);
+    }
+
+    function _hasBids(uint256 auctionId) internal view returns (bool) {
+        return auctions[auctionId].highestBidder != address(0) ||
+            sealedBidAuctions[auctionId].commitCount > 0 ||
+            unitBids[auctionId].length > 0;
+    }
+
+    function _requireMinNetProceeds(
+        address collection,
+        uint256 tokenId,
+        address seller,
+        uint256 totalPrice,
+        uint256 minNetProceeds
+    ) internal view {
+        (uint256 platformFee, uint256 royaltyFee, address creator) =
+            _calculateSaleFees(collection, tokenId, seller, totalPrice);
+
+        // A creator selling their own token receives the royalty as well
+        uint256 netProceeds = totalPrice - platformFee;
+        if (creator != seller) {
+            netProceeds -= royaltyFee;
+        }
+        require(netProceeds >= minNetProceeds, "Net proceeds below minimum");
+    }
+
+    function _validateAndUpdateListing(
+        address collection,
+        uint256 tokenId,
+        address seller,
+        uint256 offerQuantity,
+        uint256 totalBalance
+    ) internal {
+        Listing storage listing = listings[collection][tokenId][seller];
+        
+        // Check if NFT is not in active auction
+        if(listing.listingType != ListingType.FIXED_PRICE) {
+            require(
+                auctions[listing.auctionId].status != AuctionStatus.ACTIVE,
+                "Active auction exists"
+            );
+        }
+
+        // Expired listings no longer reserve any units
+        if (listing.quantity > 0 && _isListingExpired(listing)) {
+            delete listings[collection][tokenId][seller];
+            emit ListingRemoved(collection, tokenId, seller, "EXPIRED");
+        }
+
+        // Calculate available quantities
+        uint256 listedQuantity = listing.quantity;
+        uint256 unlistedQuantity = totalBalance - listedQuantity;
+        
+        // Calculate how many NFTs to take from unlisted and listed
+        uint256 takeFromUnlisted = unlistedQuantity >= offerQuantity ? 
+            offerQuantity : unlistedQuantity;
+        uint256 takeFromListed = offerQuantity - takeFromUnlisted;
+
+        // Update listing if needed
+        if(takeFromListed > 0) {
+            if(takeFromListed == listedQuantity) {
+                delete listings[collection][tokenId][seller];
+                emit ListingRemoved(collection, tokenId, seller, "ZERO_QUANTITY");
+            } else {
+                listing.quantity = listedQuantity - takeFromListed;
+                emit ListingQuantityUpdated(
+                    collection,
+                    tokenId,
+                    seller,
+                    listing.quantity
+                );
+            }
+        }
+    }
+
+    // Sells escrow-backed units from the seller to the buyer of an offer
+    function _executeOfferFill(
+        uint256 offerId,
+        address collection,
+        uint256 tokenId,
+        address seller,
+        address buyer,
+        uint256 quantity,
+        uint256 totalPrice
+    ) internal {
+        require(
+            IERC1155(collection).isApprovedForAll(seller, address(this)),
+            "Not approved"
+        );
+
+        // Transfer NFT
+        IERC1155(collection).safeTransferFrom(
+            seller,
+            buyer,
+            tokenId,
+            quantity,
+            ""
+        );
+
+        // Distribute payments
+        address paymentToken = offerPaymentTokens[offerId];
+        _distributeSalePayment(IERC20(paymentToken), collection, tokenId, seller, totalPrice);
+
+        // freeing the amount after offer acceptance
+        amountLockedInPool[paymentToken] -= totalPrice;
+    }
+
+    function _lockOfferEscrow(uint256 offerId, address paymentToken, uint256 amount) internal {
+        paymentToken = _resolvePaymentToken(paymentToken);
+        offerPaymentTokens[offerId] = paymentToken;
+
+        // Locking amount in pool
+        amountLockedInPool[paymentToken] += amount;
+        _receivePayment(paymentToken, amount);
+    }
+
+    // Refunds escrow of an offer that is no longer fillable
+    function _releaseOfferEscrow(uint256 offerId, address buyer, uint256 amount) internal {
+        address paymentToken = offerPaymentTokens[offerId];
+
+        // freeing the locked amount before refunding the buyer
+        amountLockedInPool[paymentToken] -= amount;
+        _refund(paymentToken, buyer, amount);
+    }
+
+    // A failing permit is ignored since it may have been front-run, the transfer then checks the allowance
+    function _permit(address paymentToken, PermitSignature calldata permit) internal {
+        if (paymentToken == address(0)) {
+            // Unknown listing or auction, the trade itself reverts with the reason
+            return;
+        }
+        try IERC20Permit(paymentToken).permit(
+            msg.sender,
+            address(this),
+            permit.value,
+            permit.deadline,
+            permit.v,
+            permit.r,
+            permit.s
+        ) {} catch {}
+    }
+
+    // Pulls the payment into the marketplace, attached ETH is wrapped into WETH instead
+    function _receivePayment(address paymentToken, uint256 amount) internal {
+        if (msg.value > 0) {
+            require(paymentToken == address(weth), "Not payable in ETH");
+            require(msg.value == amount, "Incorrect ETH amount");
+            weth.deposit{value: amount}();
+        } else {
+            IERC20(paymentToken).safeTransferFrom(msg.sender, address(this), amount);
+        }
+    }
+
+    // Pushes funds held by the marketplace, crediting the recipient when the transfer fails
+    // so a blacklisting or hook-enabled token cannot block bids and settlements
+    function _payOut(address paymentToken, address recipient, uint256 amount) internal {
+        if (!_tryTransfer(paymentToken, recipient, amount)) {
+            _credit(paymentToken, recipient, amount);
+        }
+    }
+
+    function _tryTransfer(address paymentToken, address recipient, uint256 amount) internal returns (bool) {
+        (bool success, bytes memory data) = paymentToken.call(
+            abi.encodeWithSelector(IERC20.transfer.selector, recipient, amount)
+        );
+        return success && (data.length == 0 || abi.decode(data, (bool)));
+    }
+
+    // Credited funds stay locked until withdrawn
+    function _credit(address paymentToken, address recipient, uint256 amount) internal {
+        if (credits[recipient][paymentToken] == 0) {
+            creditTokens[recipient].push(paymentToken);
+        }
+        credits[recipient][paymentToken] += amount;
+        amountLockedInPool[paymentToken] += amount;
+        emit CreditAdded(recipient, paymentToken, amount);
+    }
+
+    // Returns escrow, unwrapping WETH for users who asked for ETH refunds
+    function _refund(address paymentToken, address recipient, uint256 amount) internal {
+        if (paymentToken == address(weth) && refundInETH[recipient]) {
+            weth.withdraw(amount);
+            (bool success, ) = payable(recipient).call{value: amount, gas: ETH_REFUND_GAS}("");
+            if (success) {
+                return;
+            }
+            // Recipient cannot receive ETH within the stipend, keep the refund as WETH
+            weth.deposit{value: amount}();
+        }
+        _payOut(paymentToken, recipient, amount);
+    }
+
+    function _distributeSalePayment(
+        IERC20 paymentToken,
+        address collection,
+        uint256 tokenId,
+        address seller,
+        uint256 totalPrice
+    ) internal {
+        (uint256 platformFee, uint256 royaltyFee, address creator) =
+            _calculateSaleFees(collection, tokenId, seller, totalPrice);
+        uint256 sellerAmount = totalPrice - platformFee - royaltyFee;
+
+        _payOut(address(paymentToken), seller, sellerAmount);
+        if(royaltyFee > 0) {
+            _payOut(address(paymentToken), creator, royaltyFee);
+        }
+    }
+
+    function _collectSalePayment(
+        IERC20 paymentToken,
+        address collection,
+        uint256 tokenId,
+        address seller,
+        uint256 totalPrice
+    ) internal {
+        // Pulled in full so a seller or creator that cannot receive the token is credited instead
+        paymentToken.safeTransferFrom(msg.sender, address(this), totalPrice);
+        _distributeSalePayment(paymentToken, collection, tokenId, seller, totalPrice);
+    }
+
+    function _calculateSaleFees(
+        address collection,
+        uint256 tokenId,
+        address seller,
+        uint256 totalPrice
+    ) internal view returns (uint256 platformFee, uint256 royaltyFee, address creator) {
+        creator = ICollection(collection).nftDetails(tokenId).creator;
+
+        uint256 fee = secondaryFee;
+        if(creator == seller) {
+            fee = primaryFee;
+        }
+        uint16 royaltyPercentage = ICollection(collection).getRoyaltyPercentage();
+        platformFee = (totalPrice * fee) / 1000;
+        royaltyFee = (totalPrice * royaltyPercentage) / 1000;
+    }
+}
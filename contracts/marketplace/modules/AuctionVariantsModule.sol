@@ -0,0 +1,547 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.17;
+
+import "../MarketplaceBase.sol";
+
+// Auction formats other than English auctions, reached through the NFTMarketplace fallback
+contract AuctionVariantsModule is MarketplaceBase {
+    using SafeERC20 for IERC20;
+
+    constructor(address _designatedToken) MarketplaceBase(_designatedToken) {}
+
+    function createDutchAuction(
+        address collection,
+        uint256 tokenId,
+        uint256 quantity,
+        uint256 startPrice,
+        uint256 endPrice,
+        uint256 duration,
+        uint256 dropInterval,
+        address paymentToken
+    ) external nonReentrant returns (uint256) {
+        require(endPrice > 0 && endPrice < startPrice, "Invalid end price");
+        require(dropInterval > 0 && dropInterval <= duration, "Invalid drop interval");
+        _validateAuctionParams(
+            collection,
+            tokenId,
+            quantity,
+            startPrice,
+            duration
+        );
+
+        _auctionIds++;
+        uint256 auctionId = _auctionIds;
+
+        _createAuctionListing(
+            collection,
+            tokenId,
+            quantity,
+            startPrice,
+            auctionId,
+            ListingType.DUTCH_AUCTION,
+            _resolvePaymentToken(paymentToken)
+        );
+
+        auctionTypes[auctionId] = AuctionType.DUTCH;
+        dutchAuctions[auctionId] = DutchAuctionConfig({
+            endPrice: endPrice,
+            dropInterval: dropInterval
+        });
+
+        _setupAuction(
+            auctionId,
+            collection,
+            tokenId,
+            quantity,
+            startPrice,
+            0,
+            duration
+        );
+
+        emit DutchAuctionCreated(auctionId, endPrice, dropInterval);
+
+        return auctionId;
+    }
+
+    function getDutchAuctionPrice(uint256 auctionId) public view returns (uint256) {
+        require(auctionTypes[auctionId] == AuctionType.DUTCH, "Not a Dutch auction");
+        AuctionDetails storage auction = auctions[auctionId];
+        DutchAuctionConfig storage config = dutchAuctions[auctionId];
+
+        if (block.timestamp >= auction.endTime) {
+            return config.endPrice;
+        }
+
+        uint256 elapsed = block.timestamp - auction.startTime;
+        uint256 decayed = (elapsed / config.dropInterval) * config.dropInterval;
+        uint256 priceDrop = ((auction.startPrice - config.endPrice) * decayed) /
+            (auction.endTime - auction.startTime);
+
+        return auction.startPrice - priceDrop;
+    }
+
+    function buyDutchAuction(uint256 auctionId, uint256 maxPrice) external nonReentrant {
+        AuctionDetails storage auction = auctions[auctionId];
+        require(auction.status == AuctionStatus.ACTIVE, "Auction not active");
+        require(block.timestamp <= auction.endTime, "Auction ended");
+
+        uint256 price = getDutchAuctionPrice(auctionId);
+        require(maxPrice >= price, "Price above max");
+
+        _completeInstantPurchase(auctionId, price, "AUCTION_SETTLED");
+    }
+
+    // Callable by anyone once a Dutch auction ends unsold, returns the units to the seller
+    function closeDutchAuction(uint256 auctionId) external nonReentrant {
+        AuctionDetails storage auction = auctions[auctionId];
+        require(auction.status == AuctionStatus.ACTIVE, "Auction not active");
+        require(auctionTypes[auctionId] == AuctionType.DUTCH, "Not a Dutch auction");
+        require(block.timestamp > auction.endTime, "Auction not ended");
+
+        auction.status = AuctionStatus.CANCELLED;
+        address collection = auctionCollections[auctionId];
+
+        IERC1155(collection).safeTransferFrom(
+            address(this),
+            auction.seller,
+            auction.tokenId,
+            auction.quantity,
+            ""
+        );
+
+        delete listings[collection][auction.tokenId][auction.seller];
+        emit ListingRemoved(collection, auction.tokenId, auction.seller, "AUCTION_EXPIRED");
+        emit AuctionCancelled(auctionId);
+    }
+
+    function createSealedBidAuction(
+        address collection,
+        uint256 tokenId,
+        uint256 quantity,
+        uint256 startPrice,
+        uint256 duration,
+        uint256 revealDuration,
+        bool secondPrice,
+        ForfeitureRule forfeitureRule,
+        address paymentToken
+    ) external nonReentrant returns (uint256) {
+        require(revealDuration > 0 && revealDuration <= maxAuctionDuration, "Invalid reveal duration");
+        _validateAuctionParams(
+            collection,
+            tokenId,
+            quantity,
+            startPrice,
+            duration
+        );
+
+        _auctionIds++;
+        uint256 auctionId = _auctionIds;
+
+        _createAuctionListing(
+            collection,
+            tokenId,
+            quantity,
+            startPrice,
+            auctionId,
+            ListingType.AUCTION,
+            _resolvePaymentToken(paymentToken)
+        );
+
+        _setupAuction(
+            auctionId,
+            collection,
+            tokenId,
+            quantity,
+            startPrice,
+            0,
+            duration
+        );
+
+        uint256 revealEndTime = auctions[auctionId].endTime + revealDuration;
+        auctionTypes[auctionId] = AuctionType.SEALED_BID;
+        sealedBidAuctions[auctionId] = SealedBidAuction({
+            revealEndTime: revealEndTime,
+            secondHighestBid: 0,
+            commitCount: 0,
+            secondPrice: secondPrice,
+            forfeitureRule: forfeitureRule
+        });
+
+        emit SealedBidAuctionCreated(auctionId, revealEndTime, secondPrice, forfeitureRule);
+
+        return auctionId;
+    }
+
+    function getSealedBidCommitment(
+        uint256 auctionId,
+        address bidder,
+        uint256 amount,
+        bytes32 salt
+    ) public pure returns (bytes32) {
+        return keccak256(abi.encodePacked(auctionId, bidder, amount, salt));
+    }
+
+    // The deposit may exceed the bid to keep the bid amount hidden
+    function commitSealedBid(uint256 auctionId, bytes32 commitment, uint256 deposit) external nonReentrant {
+        AuctionDetails storage auction = auctions[auctionId];
+        require(auction.status == AuctionStatus.ACTIVE, "Auction not active");
+        require(auctionTypes[auctionId] == AuctionType.SEALED_BID, "Not a sealed-bid auction");
+        require(block.timestamp <= auction.endTime, "Bidding ended");
+        require(deposit >= auction.startPrice, "Deposit too low");
+
+        SealedBid storage bid = sealedBids[auctionId][msg.sender];
+        require(bid.deposit == 0, "Bid already committed");
+
+        bid.commitment = commitment;
+        bid.deposit = deposit;
+        sealedBidAuctions[auctionId].commitCount++;
+
+        // locking the deposit in pool
+        address paymentToken = auctionPaymentTokens[auctionId];
+        amountLockedInPool[paymentToken] += deposit;
+        IERC20(paymentToken).safeTransferFrom(msg.sender, address(this), deposit);
+
+        emit SealedBidCommitted(auctionId, msg.sender, deposit);
+    }
+
+    function revealSealedBid(uint256 auctionId, uint256 amount, bytes32 salt) external nonReentrant {
+        AuctionDetails storage auction = auctions[auctionId];
+        SealedBidAuction storage sealedAuction = sealedBidAuctions[auctionId];
+        require(auction.status == AuctionStatus.ACTIVE, "Auction not active");
+        require(auctionTypes[auctionId] == AuctionType.SEALED_BID, "Not a sealed-bid auction");
+        require(
+            block.timestamp > auction.endTime && block.timestamp <= sealedAuction.revealEndTime,
+            "Not in reveal window"
+        );
+
+        SealedBid storage bid = sealedBids[auctionId][msg.sender];
+        require(bid.deposit > 0 && !bid.revealed, "No bid to reveal");
+        require(
+            getSealedBidCommitment(auctionId, msg.sender, amount, salt) == bid.commitment,
+            "Invalid reveal"
+        );
+        require(amount >= auction.startPrice && amount <= bid.deposit, "Invalid bid amount");
+
+        bid.revealed = true;
+        bid.amount = amount;
+
+        if (auction.highestBidder == address(0) || amount > auction.currentPrice) {
+            if (auction.highestBidder != address(0)) {
+                sealedAuction.secondHighestBid = auction.currentPrice;
+            }
+            auction.highestBidder = msg.sender;
+            auction.currentPrice = amount;
+        } else if (amount > sealedAuction.secondHighestBid) {
+            sealedAuction.secondHighestBid = amount;
+        }
+
+        emit SealedBidRevealed(auctionId, msg.sender, amount);
+    }
+
+    function settleSealedBidAuction(uint256 auctionId) external nonReentrant {
+        AuctionDetails storage auction = auctions[auctionId];
+        SealedBidAuction storage sealedAuction = sealedBidAuctions[auctionId];
+        require(auction.status == AuctionStatus.ACTIVE, "Auction not active");
+        require(auctionTypes[auctionId] == AuctionType.SEALED_BID, "Not a sealed-bid auction");
+        require(block.timestamp > sealedAuction.revealEndTime, "Reveal not ended");
+
+        address collection = auctionCollections[auctionId];
+        address winner = auction.highestBidder;
+
+        if (winner == address(0)) {
+            // No valid reveal, return NFT to seller
+            auction.status = AuctionStatus.CANCELLED;
+            IERC1155(collection).safeTransferFrom(
+                address(this),
+                auction.seller,
+                auction.tokenId,
+                auction.quantity,
+                ""
+            );
+            delete listings[collection][auction.tokenId][auction.seller];
+            emit ListingRemoved(collection, auction.tokenId, auction.seller, "NO_VALID_BIDS");
+            emit AuctionCancelled(auctionId);
+            return;
+        }
+
+        auction.status = AuctionStatus.ENDED;
+        uint256 finalPrice = auction.currentPrice;
+        if (sealedAuction.secondPrice) {
+            finalPrice = sealedAuction.secondHighestBid > auction.startPrice ?
+                sealedAuction.secondHighestBid : auction.startPrice;
+            auction.currentPrice = finalPrice;
+        }
+
+        uint256 deposit = sealedBids[auctionId][winner].deposit;
+        sealedBids[auctionId][winner].deposit = 0;
+
+        // freeing the winner's deposit, the platform fee stays in the contract
+        IERC20 paymentToken = IERC20(auctionPaymentTokens[auctionId]);
+        amountLockedInPool[address(paymentToken)] -= deposit;
+        _distributeSalePayment(paymentToken, collection, auction.tokenId, auction.seller, finalPrice);
+        if (deposit > finalPrice) {
+            _refund(address(paymentToken), winner, deposit - finalPrice);
+        }
+
+        IERC1155(collection).safeTransferFrom(
+            address(this),
+            winner,
+            auction.tokenId,
+            auction.quantity,
+            ""
+        );
+
+        delete listings[collection][auction.tokenId][auction.seller];
+        emit ListingRemoved(collection, auction.tokenId, auction.seller, "AUCTION_SETTLED");
+
+        emit AuctionSettled(auctionId, winner, finalPrice);
+    }
+
+    // Callable by anyone once the auction is closed, unrevealed deposits follow the forfeiture rule
+    function releaseSealedBid(uint256 auctionId, address bidder) external nonReentrant {
+        require(auctionTypes[auctionId] == AuctionType.SEALED_BID, "Not a sealed-bid auction");
+        AuctionDetails storage auction = auctions[auctionId];
+        require(auction.status != AuctionStatus.ACTIVE, "Auction not settled");
+
+        SealedBid storage bid = sealedBids[auctionId][bidder];
+        uint256 deposit = bid.deposit;
+        require(deposit > 0, "Nothing to release");
+        bid.deposit = 0;
+
+        ForfeitureRule rule = sealedBidAuctions[auctionId].forfeitureRule;
+        address recipient = bidder;
+        if (!bid.revealed && rule == ForfeitureRule.SELLER) {
+            recipient = auction.seller;
+        } else if (!bid.revealed && rule == ForfeitureRule.PLATFORM) {
+            recipient = address(this);
+        }
+
+        // Forfeits to the platform simply stop being locked
+        address paymentToken = auctionPaymentTokens[auctionId];
+        amountLockedInPool[paymentToken] -= deposit;
+        if (recipient != address(this)) {
+            _refund(paymentToken, recipient, deposit);
+        }
+
+        emit SealedBidReleased(auctionId, bidder, recipient, deposit);
+    }
+
+    // Sells quantity units to the highest unit bids, every winner pays the same clearing price
+    function createUniformPriceAuction(
+        address collection,
+        uint256 tokenId,
+        uint256 quantity,
+        uint256 minUnitPrice,
+        uint256 duration,
+        address paymentToken
+    ) external nonReentrant returns (uint256) {
+        _validateAuctionParams(
+            collection,
+            tokenId,
+            quantity,
+            minUnitPrice,
+            duration
+        );
+
+        _auctionIds++;
+        uint256 auctionId = _auctionIds;
+
+        _createAuctionListing(
+            collection,
+            tokenId,
+            quantity,
+            minUnitPrice,
+            auctionId,
+            ListingType.AUCTION,
+            _resolvePaymentToken(paymentToken)
+        );
+
+        auctionTypes[auctionId] = AuctionType.UNIFORM_PRICE;
+
+        _setupAuction(
+            auctionId,
+            collection,
+            tokenId,
+            quantity,
+            minUnitPrice,
+            0,
+            duration
+        );
+
+        emit UniformPriceAuctionCreated(auctionId, minUnitPrice);
+
+        return auctionId;
+    }
+
+    // Bids are firm, each one escrows quantity * unitPrice until settlement
+    function placeUnitBid(uint256 auctionId, uint256 quantity, uint256 unitPrice) external nonReentrant {
+        AuctionDetails storage auction = auctions[auctionId];
+        require(auction.status == AuctionStatus.ACTIVE, "Auction not active");
+        require(auctionTypes[auctionId] == AuctionType.UNIFORM_PRICE, "Not a uniform-price auction");
+        require(block.timestamp <= auction.endTime, "Auction ended");
+        require(quantity > 0 && quantity <= auction.quantity, "Invalid quantity");
+        require(unitPrice >= auction.startPrice, "Bid too low");
+
+        _extendIfEnding(auctionId);
+
+        UnitBid memory bid = UnitBid({
+            bidder: msg.sender,
+            quantity: quantity,
+            unitPrice: unitPrice,
+            sequence: unitBidCount[auctionId]++
+        });
+        address paymentToken = auctionPaymentTokens[auctionId];
+        amountLockedInPool[paymentToken] += quantity * unitPrice;
+        _receivePayment(paymentToken, quantity * unitPrice);
+
+        UnitBid[] storage openBids = unitBids[auctionId];
+        if (openBids.length < MAX_UNIT_BIDS) {
+            openBids.push(bid);
+        } else {
+            // A full book only takes bids that outrank its lowest bid, which is refunded
+            uint256 lowest = _lowestUnitBid(openBids);
+            UnitBid memory evicted = openBids[lowest];
+            require(unitPrice > evicted.unitPrice, "Bid too low");
+            openBids[lowest] = bid;
+
+            amountLockedInPool[paymentToken] -= evicted.quantity * evicted.unitPrice;
+            _refund(paymentToken, evicted.bidder, evicted.quantity * evicted.unitPrice);
+            emit UnitBidEvicted(auctionId, evicted.bidder, evicted.quantity, evicted.unitPrice);
+        }
+
+        emit UnitBidPlaced(auctionId, msg.sender, quantity, unitPrice);
+    }
+
+    // Fills the highest unit prices first (earlier bids win ties), the last filled bid may be partial.
+    // The clearing price is the lowest filled unit price, everything above it is refunded.
+    function settleUniformPriceAuction(uint256 auctionId) external nonReentrant {
+        AuctionDetails storage auction = auctions[auctionId];
+        require(auction.status == AuctionStatus.ACTIVE, "Auction not active");
+        require(auctionTypes[auctionId] == AuctionType.UNIFORM_PRICE, "Not a uniform-price auction");
+        require(block.timestamp > auction.endTime, "Auction not ended");
+
+        address collection = auctionCollections[auctionId];
+        UnitBid[] memory sortedBids = unitBids[auctionId];
+        _sortUnitBids(sortedBids);
+
+        if (sortedBids.length == 0) {
+            auction.status = AuctionStatus.CANCELLED;
+            IERC1155(collection).safeTransferFrom(
+                address(this),
+                auction.seller,
+                auction.tokenId,
+                auction.quantity,
+                ""
+            );
+            delete listings[collection][auction.tokenId][auction.seller];
+            emit ListingRemoved(collection, auction.tokenId, auction.seller, "NO_VALID_BIDS");
+            emit AuctionCancelled(auctionId);
+            return;
+        }
+
+        // Allocate units from the top down to find the clearing price
+        uint256[] memory fills = new uint256[](sortedBids.length);
+        uint256 remaining = auction.quantity;
+        uint256 clearingPrice;
+        for (uint256 i = 0; i < sortedBids.length && remaining > 0; i++) {
+            fills[i] = sortedBids[i].quantity < remaining ? sortedBids[i].quantity : remaining;
+            remaining -= fills[i];
+            clearingPrice = sortedBids[i].unitPrice;
+        }
+
+        auction.status = AuctionStatus.ENDED;
+        auction.currentPrice = clearingPrice;
+        address paymentToken = auctionPaymentTokens[auctionId];
+
+        for (uint256 i = 0; i < sortedBids.length; i++) {
+            UnitBid memory bid = sortedBids[i];
+            uint256 escrow = bid.quantity * bid.unitPrice;
+            uint256 cost = fills[i] * clearingPrice;
+            amountLockedInPool[paymentToken] -= escrow;
+
+            if (fills[i] > 0) {
+                // Fees and royalties are computed on each fill
+                _distributeSalePayment(IERC20(paymentToken), collection, auction.tokenId, auction.seller, cost);
+                _deliverUnits(auctionId, collection, auction.tokenId, bid.bidder, fills[i]);
+                emit UnitBidFilled(auctionId, bid.bidder, fills[i], clearingPrice);
+            }
+            if (escrow > cost) {
+                _refund(paymentToken, bid.bidder, escrow - cost);
+            }
+        }
+
+        // Return unsold units to the seller
+        if (remaining > 0) {
+            _deliverUnits(auctionId, collection, auction.tokenId, auction.seller, remaining);
+        }
+
+        delete listings[collection][auction.tokenId][auction.seller];
+        emit ListingRemoved(collection, auction.tokenId, auction.seller, "AUCTION_SETTLED");
+
+        emit UniformPriceAuctionSettled(auctionId, clearingPrice, auction.quantity - remaining);
+    }
+
+    // Claims units that could not be pushed at settlement, to the owner or another recipient
+    function claimUnits(uint256 auctionId, address recipient) external nonReentrant {
+        uint256 quantity = unclaimedUnits[auctionId][msg.sender];
+        require(quantity > 0, "No units to claim");
+        require(recipient != address(0), "Invalid recipient");
+
+        unclaimedUnits[auctionId][msg.sender] = 0;
+        IERC1155(auctionCollections[auctionId]).safeTransferFrom(
+            address(this),
+            recipient,
+            auctions[auctionId].tokenId,
+            quantity,
+            ""
+        );
+
+        emit UnitsClaimed(auctionId, msg.sender, recipient, quantity);
+    }
+
+    // Open bids, a bid evicted from a full book takes the slot of the one it replaced
+    function getUnitBids(uint256 auctionId) external view returns (UnitBid[] memory) {
+        return unitBids[auctionId];
+    }
+
+    // Holds the units for a later claim when the recipient rejects them, so one receiver cannot block settlement
+    function _deliverUnits(
+        uint256 auctionId,
+        address collection,
+        uint256 tokenId,
+        address recipient,
+        uint256 quantity
+    ) private {
+        try IERC1155(collection).safeTransferFrom(address(this), recipient, tokenId, quantity, "") {
+        } catch {
+            unclaimedUnits[auctionId][recipient] += quantity;
+            emit UnitsHeld(auctionId, recipient, quantity);
+        }
+    }
+
+    // Index of the bid that ranks last: lowest unit price, latest on ties
+    function _lowestUnitBid(UnitBid[] storage openBids) private view returns (uint256 lowest) {
+        for (uint256 i = 1; i < openBids.length; i++) {
+            if (!_outranks(openBids[i], openBids[lowest])) {
+                lowest = i;
+            }
+        }
+    }
+
+    function _outranks(UnitBid memory a, UnitBid memory b) private pure returns (bool) {
+        return a.unitPrice > b.unitPrice || (a.unitPrice == b.unitPrice && a.sequence < b.sequence);
+    }
+
+    // Insertion sort by unit price, descending with earlier bids first on ties
+    function _sortUnitBids(UnitBid[] memory sorted) private pure {
+        for (uint256 i = 1; i < sorted.length; i++) {
+            UnitBid memory current = sorted[i];
+            uint256 j = i;
+            while (j > 0 && _outranks(current, sorted[j - 1])) {
+                sorted[j] = sorted[j - 1];
+                j--;
+            }
+            sorted[j] = current;
+        }
+    }
+}
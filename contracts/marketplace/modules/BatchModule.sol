@@ -0,0 +1,175 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.17;
+
+import "../MarketplaceBase.sol";
+
+// Batch operations on fixed price listings, reached through the NFTMarketplace fallback
+contract BatchModule is MarketplaceBase {
+    using SafeERC20 for IERC20;
+
+    constructor(address _designatedToken) MarketplaceBase(_designatedToken) {}
+
+    // Lists several tokens in the designated token, skipping items that fail validation
+    function batchListNFTs(
+        BatchListingParams[] calldata params
+    ) external nonReentrant returns (bool[] memory results) {
+        require(params.length > 0, "Empty batch");
+        results = new bool[](params.length);
+
+        for (uint256 i = 0; i < params.length; i++) {
+            BatchListingParams calldata item = params[i];
+            string memory reason = _listingError(item.collection, item.tokenId, item.price, item.quantity, 0);
+            if (bytes(reason).length > 0) {
+                emit BatchItemFailed(i, item.collection, item.tokenId, reason);
+                continue;
+            }
+
+            _storeListing(item.collection, item.tokenId, item.price, item.quantity, 0, address(designatedToken), address(0));
+            results[i] = true;
+        }
+    }
+
+    // Removes several of the caller's listings, skipping items that cannot be removed
+    function batchRemoveListings(
+        BatchRemovalParams[] calldata params
+    ) external nonReentrant returns (bool[] memory results) {
+        require(params.length > 0, "Empty batch");
+        results = new bool[](params.length);
+
+        for (uint256 i = 0; i < params.length; i++) {
+            BatchRemovalParams calldata item = params[i];
+            string memory reason = _removalError(item.collection, item.tokenId);
+            if (bytes(reason).length > 0) {
+                emit BatchItemFailed(i, item.collection, item.tokenId, reason);
+                continue;
+            }
+
+            _removeListing(item.collection, item.tokenId);
+            results[i] = true;
+        }
+    }
+
+    function batchBuyListedNFTs(BatchPurchaseParams[] calldata params) external nonReentrant {
+        _batchBuyListedNFTs(params);
+    }
+
+    // The permit covers a single payment token, items in other tokens need a standing approval
+    function batchBuyListedNFTsWithPermit(
+        BatchPurchaseParams[] calldata params,
+        address paymentToken,
+        PermitSignature calldata permit
+    ) external nonReentrant {
+        _permit(_resolvePaymentToken(paymentToken), permit);
+        _batchBuyListedNFTs(params);
+    }
+
+    // Buys whatever is still available instead of reverting, items must be priced in paymentToken
+    // and the combined cost is capped at maxTotalSpend
+    function batchBuyListedNFTsSkipFailed(
+        BatchPurchaseParams[] calldata params,
+        address paymentToken,
+        uint256 maxTotalSpend
+    ) external nonReentrant returns (bool[] memory results, uint256 totalSpent) {
+        require(params.length > 0, "Empty batch");
+        paymentToken = _resolvePaymentToken(paymentToken);
+        results = new bool[](params.length);
+
+        for (uint256 i = 0; i < params.length; i++) {
+            BatchPurchaseParams calldata purchase = params[i];
+            string memory reason = _purchaseError(purchase);
+            if (bytes(reason).length == 0) {
+                reason = _deliveryError(purchase);
+            }
+
+            if (bytes(reason).length == 0) {
+                Listing storage listing = listings[purchase.collection][purchase.tokenId][purchase.seller];
+                uint256 cost = listing.price * purchase.quantity;
+                if (listing.paymentToken != paymentToken) {
+                    reason = "Payment token mismatch";
+                } else if (totalSpent + cost > maxTotalSpend) {
+                    reason = "Exceeds max total spend";
+                } else {
+                    totalSpent += cost;
+                }
+            }
+
+            if (bytes(reason).length > 0) {
+                emit BatchItemFailed(i, purchase.collection, purchase.tokenId, reason);
+                continue;
+            }
+
+            _executePurchase(purchase);
+            results[i] = true;
+        }
+    }
+
+    function _batchBuyListedNFTs(BatchPurchaseParams[] calldata params) private {
+        require(params.length > 0, "Empty batch");
+        
+        for(uint256 i = 0; i < params.length; i++) {
+            string memory reason = _purchaseError(params[i]);
+            require(bytes(reason).length == 0, reason);
+
+            _executePurchase(params[i]);
+        }
+    }
+
+    // Returns the revert reason a batch purchase item would fail with, or an empty string
+    function _purchaseError(BatchPurchaseParams calldata purchase) private view returns (string memory) {
+        if (!registeredCollections[purchase.collection]) return "Collection not registered";
+
+        Listing storage listing = listings[purchase.collection][purchase.tokenId][purchase.seller];
+        if (listing.seller != purchase.seller || listing.quantity == 0) return "Invalid listing";
+        if (listing.listingType != ListingType.FIXED_PRICE) return "Not a fixed price listing";
+        if (listing.quantity < purchase.quantity) return "Insufficient quantity";
+        if (!_isAllowedBuyer(listing)) return "Not allowed buyer";
+        if (_isListingExpired(listing)) return "Listing expired";
+        if (listing.price > purchase.maxUnitPrice) return "Price exceeds max";
+
+        return "";
+    }
+
+    // Catches stale listings whose seller moved the tokens or revoked approval
+    function _deliveryError(BatchPurchaseParams calldata purchase) private view returns (string memory) {
+        IERC1155 nft = IERC1155(purchase.collection);
+        if (nft.balanceOf(purchase.seller, purchase.tokenId) < purchase.quantity) return "Insufficient balance";
+        if (!nft.isApprovedForAll(purchase.seller, address(this))) return "Not approved";
+
+        return "";
+    }
+
+    function _executePurchase(BatchPurchaseParams calldata purchase) private {
+        Listing storage listing = listings[purchase.collection][purchase.tokenId][purchase.seller];
+
+        _collectSalePayment(
+            IERC20(listing.paymentToken),
+            purchase.collection,
+            purchase.tokenId,
+            purchase.seller,
+            listing.price * purchase.quantity
+        );
+
+        IERC1155(purchase.collection).safeTransferFrom(
+            purchase.seller, 
+            msg.sender, 
+            purchase.tokenId, 
+            purchase.quantity, 
+            ""
+        );
+
+        listing.quantity -= purchase.quantity;
+        if (listing.quantity == 0) {
+            delete listings[purchase.collection][purchase.tokenId][purchase.seller];
+            emit ListingRemoved(purchase.collection, purchase.tokenId, purchase.seller, "SOLD_OUT");
+        }
+
+        emit NFTSold(
+            purchase.collection, 
+            purchase.tokenId, 
+            purchase.seller, 
+            msg.sender, 
+            listing.price, 
+            purchase.quantity
+        );
+    }
+}
@@ -0,0 +1,256 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.17;
+
+import "../MarketplaceBase.sol";
+
+// Trades of several items at once, reached through the NFTMarketplace fallback
+contract BundleSwapModule is MarketplaceBase {
+    using SafeERC20 for IERC20;
+
+    constructor(address _designatedToken) MarketplaceBase(_designatedToken) {}
+
+    // The seller prices each item and the bundle sells for their sum, so fees and royalties follow the item prices
+    function listBundle(
+        BundleItem[] calldata items,
+        uint256[] calldata itemPrices,
+        address paymentToken
+    ) external nonReentrant returns (uint256) {
+        require(items.length > 0, "Empty bundle");
+        require(itemPrices.length == items.length, "Item prices mismatch");
+        paymentToken = _resolvePaymentToken(paymentToken);
+
+        _bundleIds++;
+        uint256 bundleId = _bundleIds;
+
+        uint256 price;
+        for (uint256 i = 0; i < items.length; i++) {
+            BundleItem calldata item = items[i];
+            require(registeredCollections[item.collection], "Collection not registered");
+            require(item.quantity > 0, "Invalid quantity");
+            require(itemPrices[i] > 0, "Invalid price");
+            require(
+                IERC1155(item.collection).balanceOf(msg.sender, item.tokenId) >= item.quantity,
+                "Insufficient balance"
+            );
+            require(
+                IERC1155(item.collection).isApprovedForAll(msg.sender, address(this)),
+                "Not approved"
+            );
+            bundleItems[bundleId].push(item);
+            price += itemPrices[i];
+        }
+        bundleItemPrices[bundleId] = itemPrices;
+
+        bundles[bundleId] = BundleListing({
+            seller: msg.sender,
+            price: price,
+            paymentToken: paymentToken,
+            status: BundleStatus.ACTIVE
+        });
+
+        emit BundleListed(bundleId, msg.sender, price, paymentToken, items.length);
+        return bundleId;
+    }
+
+    function buyBundle(uint256 bundleId) external nonReentrant {
+        BundleListing storage bundle = bundles[bundleId];
+        require(bundle.seller != address(0), "Bundle does not exist");
+        require(bundle.status == BundleStatus.ACTIVE, "Bundle not active");
+        require(bundle.seller != msg.sender, "Cannot buy own bundle");
+
+        bundle.status = BundleStatus.SOLD;
+
+        BundleItem[] storage items = bundleItems[bundleId];
+        uint256[] storage itemPrices = bundleItemPrices[bundleId];
+        for (uint256 i = 0; i < items.length; i++) {
+            _sellBundleItem(bundle, items[i], itemPrices[i]);
+        }
+
+        emit BundleSold(bundleId, bundle.seller, msg.sender, bundle.price);
+    }
+
+    function _sellBundleItem(
+        BundleListing storage bundle,
+        BundleItem storage item,
+        uint256 itemPrice
+    ) private {
+        address seller = bundle.seller;
+        uint256 totalBalance = IERC1155(item.collection).balanceOf(seller, item.tokenId);
+        require(totalBalance >= item.quantity, "Insufficient balance");
+        _validateAndUpdateListing(item.collection, item.tokenId, seller, item.quantity, totalBalance);
+
+        _collectSalePayment(IERC20(bundle.paymentToken), item.collection, item.tokenId, seller, itemPrice);
+
+        IERC1155(item.collection).safeTransferFrom(seller, msg.sender, item.tokenId, item.quantity, "");
+    }
+
+    function cancelBundle(uint256 bundleId) external nonReentrant {
+        BundleListing storage bundle = bundles[bundleId];
+        require(bundle.seller == msg.sender, "Not bundle seller");
+        require(bundle.status == BundleStatus.ACTIVE, "Bundle not active");
+
+        bundle.status = BundleStatus.CANCELLED;
+        emit BundleCancelled(bundleId, msg.sender);
+    }
+
+    function getBundle(uint256 bundleId) external view returns (
+        BundleListing memory bundle,
+        BundleItem[] memory items,
+        uint256[] memory itemPrices
+    ) {
+        bundle = bundles[bundleId];
+        require(bundle.seller != address(0), "Bundle does not exist");
+        return (bundle, bundleItems[bundleId], bundleItemPrices[bundleId]);
+    }
+
+    function proposeSwap(
+        BundleItem[] calldata offeredItems,
+        BundleItem[] calldata requestedItems,
+        address counterparty,
+        address paymentToken,
+        uint256 sweetener,
+        uint256 expiresAt
+    ) external nonReentrant returns (uint256) {
+        require(offeredItems.length > 0 && requestedItems.length > 0, "Empty swap");
+        require(counterparty != msg.sender, "Cannot swap with self");
+        require(expiresAt == 0 || expiresAt > block.timestamp, "Invalid expiration");
+        paymentToken = _resolvePaymentToken(paymentToken);
+
+        _swapIds++;
+        uint256 swapId = _swapIds;
+
+        swapOffers[swapId] = SwapOffer({
+            proposer: msg.sender,
+            counterparty: counterparty,
+            paymentToken: paymentToken,
+            sweetener: sweetener,
+            expiresAt: expiresAt,
+            status: OfferStatus.PENDING
+        });
+
+        for (uint256 i = 0; i < requestedItems.length; i++) {
+            require(registeredCollections[requestedItems[i].collection], "Collection not registered");
+            require(requestedItems[i].quantity > 0, "Invalid quantity");
+            swapRequestedItems[swapId].push(requestedItems[i]);
+        }
+
+        for (uint256 i = 0; i < offeredItems.length; i++) {
+            _escrowSwapItem(offeredItems[i]);
+            swapOfferedItems[swapId].push(offeredItems[i]);
+        }
+
+        if (sweetener > 0) {
+            amountLockedInPool[paymentToken] += sweetener;
+            _receivePayment(paymentToken, sweetener);
+        }
+
+        emit SwapProposed(swapId, msg.sender, counterparty, paymentToken, sweetener, expiresAt);
+        return swapId;
+    }
+
+    function _escrowSwapItem(BundleItem calldata item) private {
+        require(registeredCollections[item.collection], "Collection not registered");
+        require(item.quantity > 0, "Invalid quantity");
+
+        uint256 totalBalance = IERC1155(item.collection).balanceOf(msg.sender, item.tokenId);
+        require(totalBalance >= item.quantity, "Insufficient balance");
+        _validateAndUpdateListing(item.collection, item.tokenId, msg.sender, item.quantity, totalBalance);
+
+        IERC1155(item.collection).safeTransferFrom(msg.sender, address(this), item.tokenId, item.quantity, "");
+    }
+
+    // The counterparty's items move straight to the proposer, the escrow is released to the counterparty
+    function acceptSwap(uint256 swapId) external nonReentrant {
+        SwapOffer storage swap = swapOffers[swapId];
+        require(swap.proposer != address(0), "Swap does not exist");
+        require(swap.status == OfferStatus.PENDING, "Invalid swap status");
+        require(swap.expiresAt == 0 || block.timestamp <= swap.expiresAt, "Swap expired");
+        require(
+            swap.counterparty == msg.sender ||
+            (swap.counterparty == address(0) && swap.proposer != msg.sender),
+            "Not swap counterparty"
+        );
+
+        swap.status = OfferStatus.ACCEPTED;
+
+        BundleItem[] storage requestedItems = swapRequestedItems[swapId];
+        for (uint256 i = 0; i < requestedItems.length; i++) {
+            BundleItem storage item = requestedItems[i];
+            uint256 totalBalance = IERC1155(item.collection).balanceOf(msg.sender, item.tokenId);
+            require(totalBalance >= item.quantity, "Insufficient balance");
+            require(
+                IERC1155(item.collection).isApprovedForAll(msg.sender, address(this)),
+                "Not approved"
+            );
+            _validateAndUpdateListing(item.collection, item.tokenId, msg.sender, item.quantity, totalBalance);
+
+            IERC1155(item.collection).safeTransferFrom(msg.sender, swap.proposer, item.tokenId, item.quantity, "");
+        }
+
+        _releaseSwapEscrow(swapId, msg.sender);
+
+        emit SwapAccepted(swapId, swap.proposer, msg.sender);
+    }
+
+    function rejectSwap(uint256 swapId) external nonReentrant {
+        SwapOffer storage swap = swapOffers[swapId];
+        require(swap.status == OfferStatus.PENDING, "Invalid swap status");
+        require(swap.counterparty != address(0) && swap.counterparty == msg.sender, "Not swap counterparty");
+
+        swap.status = OfferStatus.REJECTED;
+        _releaseSwapEscrow(swapId, swap.proposer);
+
+        emit SwapRejected(swapId, msg.sender);
+    }
+
+    // The proposer can cancel at any time, anyone can return the escrow once the swap expired
+    function cancelSwap(uint256 swapId) external nonReentrant {
+        SwapOffer storage swap = swapOffers[swapId];
+        require(swap.proposer != address(0), "Swap does not exist");
+        require(swap.status == OfferStatus.PENDING, "Invalid swap status");
+
+        if (swap.expiresAt != 0 && block.timestamp > swap.expiresAt) {
+            swap.status = OfferStatus.EXPIRED;
+        } else {
+            require(swap.proposer == msg.sender, "Not swap proposer");
+            swap.status = OfferStatus.CANCELLED;
+        }
+
+        _releaseSwapEscrow(swapId, swap.proposer);
+
+        emit SwapCancelled(swapId, swap.proposer, swap.status);
+    }
+
+    function _releaseSwapEscrow(uint256 swapId, address recipient) private {
+        SwapOffer storage swap = swapOffers[swapId];
+        BundleItem[] storage offeredItems = swapOfferedItems[swapId];
+        for (uint256 i = 0; i < offeredItems.length; i++) {
+            IERC1155(offeredItems[i].collection).safeTransferFrom(
+                address(this),
+                recipient,
+                offeredItems[i].tokenId,
+                offeredItems[i].quantity,
+                ""
+            );
+        }
+
+        if (swap.sweetener > 0) {
+            amountLockedInPool[swap.paymentToken] -= swap.sweetener;
+            if (recipient == swap.proposer) {
+                _refund(swap.paymentToken, recipient, swap.sweetener);
+            } else {
+                _payOut(swap.paymentToken, recipient, swap.sweetener);
+            }
+        }
+    }
+
+    function getSwap(uint256 swapId) external view returns (
+        SwapOffer memory swap,
+        BundleItem[] memory offeredItems,
+        BundleItem[] memory requestedItems
+    ) {
+        swap = swapOffers[swapId];
+        require(swap.proposer != address(0), "Swap does not exist");
+        return (swap, swapOfferedItems[swapId], swapRequestedItems[swapId]);
+    }
+}
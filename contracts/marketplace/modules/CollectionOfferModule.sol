@@ -0,0 +1,198 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.17;
+
+import "../MarketplaceBase.sol";
+
+// Offers open to any holder of the requested tokens, reached through the NFTMarketplace fallback
+contract CollectionOfferModule is MarketplaceBase {
+    using SafeERC20 for IERC20;
+
+    constructor(address _designatedToken) MarketplaceBase(_designatedToken) {}
+
+    function makeCollectionOffer(
+        address collection,
+        uint256 quantity,
+        uint256 price,
+        uint256 expiresAt,
+        address paymentToken
+    ) external nonReentrant returns (uint256) {
+        uint256 offerId = _createOpenOffer(collection, false, 0, quantity, price, expiresAt, paymentToken);
+        collectionOfferIds[collection].push(offerId);
+
+        emit CollectionOfferCreated(offerId, collection, msg.sender, price, quantity, expiresAt);
+        return offerId;
+    }
+
+    function makeTokenOffer(
+        address collection,
+        uint256 tokenId,
+        uint256 quantity,
+        uint256 price,
+        uint256 expiresAt,
+        address paymentToken
+    ) external nonReentrant returns (uint256) {
+        uint256 offerId = _createOpenOffer(collection, true, tokenId, quantity, price, expiresAt, paymentToken);
+        tokenOpenOfferIds[collection][tokenId].push(offerId);
+
+        emit TokenOfferCreated(offerId, collection, tokenId, msg.sender, price, quantity, expiresAt);
+        return offerId;
+    }
+
+    function _createOpenOffer(
+        address collection,
+        bool isTokenOffer,
+        uint256 tokenId,
+        uint256 quantity,
+        uint256 price,
+        uint256 expiresAt,
+        address paymentToken
+    ) private returns (uint256) {
+        require(registeredCollections[collection], "Collection not registered");
+        require(quantity > 0, "Invalid quantity");
+        require(price > 0, "Invalid price");
+        require(expiresAt == 0 || expiresAt > block.timestamp, "Invalid expiration");
+
+        _offerIds++;
+        uint256 offerId = _offerIds;
+
+        collectionOffers[offerId] = CollectionOffer({
+            buyer: msg.sender,
+            collection: collection,
+            isTokenOffer: isTokenOffer,
+            tokenId: tokenId,
+            price: price,
+            quantity: quantity,
+            createTime: block.timestamp,
+            expiresAt: expiresAt,
+            status: OfferStatus.PENDING
+        });
+        _lockOfferEscrow(offerId, paymentToken, price * quantity);
+
+        return offerId;
+    }
+
+    function acceptCollectionOffer(
+        uint256 offerId,
+        uint256 tokenId,
+        uint256 quantity,
+        uint256 minNetProceeds
+    ) external nonReentrant {
+        _fillOpenOffer(offerId, tokenId, quantity, minNetProceeds);
+    }
+
+    function acceptTokenOffer(uint256 offerId, uint256 quantity, uint256 minNetProceeds) external nonReentrant {
+        CollectionOffer storage offer = collectionOffers[offerId];
+        require(offer.isTokenOffer, "Not a token offer");
+        _fillOpenOffer(offerId, offer.tokenId, quantity, minNetProceeds);
+    }
+
+    function _fillOpenOffer(
+        uint256 offerId,
+        uint256 tokenId,
+        uint256 quantity,
+        uint256 minNetProceeds
+    ) private {
+        CollectionOffer storage offer = collectionOffers[offerId];
+        require(offer.buyer != address(0), "Offer does not exist");
+        require(offer.status == OfferStatus.PENDING, "Invalid offer status");
+        require(!_isCollectionOfferExpired(offer), "Offer expired");
+        require(offer.buyer != msg.sender, "Cannot accept own offer");
+        require(!offer.isTokenOffer || offer.tokenId == tokenId, "Token not eligible");
+        require(quantity > 0 && quantity <= offer.quantity, "Invalid quantity");
+
+        address collection = offer.collection;
+        _requireMinNetProceeds(collection, tokenId, msg.sender, offer.price * quantity, minNetProceeds);
+        uint256 totalBalance = IERC1155(collection).balanceOf(msg.sender, tokenId);
+        require(totalBalance >= quantity, "Insufficient balance");
+        _validateAndUpdateListing(collection, tokenId, msg.sender, quantity, totalBalance);
+
+        offer.quantity -= quantity;
+        if (offer.quantity == 0) {
+            offer.status = OfferStatus.ACCEPTED;
+        }
+
+        _executeOfferFill(offerId, collection, tokenId, msg.sender, offer.buyer, quantity, offer.price * quantity);
+
+        emit CollectionOfferFilled(offerId, tokenId, msg.sender, quantity, offer.quantity);
+    }
+
+    // The buyer can cancel at any time, anyone can refund the buyer once the offer expired
+    function cancelCollectionOffer(uint256 offerId) external nonReentrant {
+        CollectionOffer storage offer = collectionOffers[offerId];
+        require(offer.buyer != address(0), "Offer does not exist");
+        require(offer.status == OfferStatus.PENDING, "Invalid offer status");
+
+        if (_isCollectionOfferExpired(offer)) {
+            offer.status = OfferStatus.EXPIRED;
+        } else {
+            require(offer.buyer == msg.sender, "Not offer creator");
+            offer.status = OfferStatus.CANCELLED;
+        }
+
+        _releaseOfferEscrow(offerId, offer.buyer, offer.price * offer.quantity);
+
+        emit CollectionOfferCancelled(offerId, offer.buyer, offer.status);
+    }
+
+    function getCollectionOffers(
+        address collection,
+        uint256 offset,
+        uint256 limit
+    ) external view returns (uint256[] memory offerIdList, uint256 total) {
+        return _getActiveOpenOffers(collectionOfferIds[collection], offset, limit);
+    }
+
+    function getTokenOffers(
+        address collection,
+        uint256 tokenId,
+        uint256 offset,
+        uint256 limit
+    ) external view returns (uint256[] memory offerIdList, uint256 total) {
+        return _getActiveOpenOffers(tokenOpenOfferIds[collection][tokenId], offset, limit);
+    }
+
+    function _getActiveOpenOffers(
+        uint256[] storage sourceOffers,
+        uint256 offset,
+        uint256 limit
+    ) private view returns (uint256[] memory offerIdList, uint256 total) {
+        for (uint256 i = 0; i < sourceOffers.length; i++) {
+            if (_isActiveCollectionOffer(collectionOffers[sourceOffers[i]])) {
+                total++;
+            }
+        }
+
+        if (offset >= total) {
+            return (new uint256[](0), total);
+        }
+
+        uint256 size = total - offset;
+        if (size > limit) {
+            size = limit;
+        }
+
+        offerIdList = new uint256[](size);
+        uint256 currentIndex;
+        uint256 skipped;
+
+        for (uint256 i = 0; i < sourceOffers.length && currentIndex < size; i++) {
+            if (_isActiveCollectionOffer(collectionOffers[sourceOffers[i]])) {
+                if (skipped < offset) {
+                    skipped++;
+                    continue;
+                }
+                offerIdList[currentIndex++] = sourceOffers[i];
+            }
+        }
+
+        return (offerIdList, total);
+    }
+
+    function _isCollectionOfferExpired(CollectionOffer storage offer) private view returns (bool) {
+        return offer.expiresAt != 0 && block.timestamp > offer.expiresAt;
+    }
+
+    function _isActiveCollectionOffer(CollectionOffer storage offer) private view returns (bool) {
+        return offer.status == OfferStatus.PENDING && !_isCollectionOfferExpired(offer);
+    }
+}
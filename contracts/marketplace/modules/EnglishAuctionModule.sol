@@ -0,0 +1,432 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.17;
+
+import "../MarketplaceBase.sol";
+
+// English auctions, reached through the NFTMarketplace fallback
+contract EnglishAuctionModule is MarketplaceBase {
+    using SafeERC20 for IERC20;
+
+    constructor(address _designatedToken) MarketplaceBase(_designatedToken) {}
+
+    function createAuction(
+        address collection,
+        uint256 tokenId,
+        uint256 quantity,
+        uint256 startPrice,
+        uint256 minBidIncrement,
+        uint256 duration
+    ) external nonReentrant returns (uint256) {
+        return _createEnglishAuction(
+            collection,
+            tokenId,
+            quantity,
+            startPrice,
+            minBidIncrement,
+            duration,
+            AuctionOptions({ reservePrice: 0, reserveCommitment: 0, buyNowPrice: 0, paymentToken: address(0) })
+        );
+    }
+
+    function createAuctionWithOptions(
+        address collection,
+        uint256 tokenId,
+        uint256 quantity,
+        uint256 startPrice,
+        uint256 minBidIncrement,
+        uint256 duration,
+        AuctionOptions calldata options
+    ) external nonReentrant returns (uint256) {
+        return _createEnglishAuction(
+            collection,
+            tokenId,
+            quantity,
+            startPrice,
+            minBidIncrement,
+            duration,
+            options
+        );
+    }
+
+    function _createEnglishAuction(
+        address collection,
+        uint256 tokenId,
+        uint256 quantity,
+        uint256 startPrice,
+        uint256 minBidIncrement,
+        uint256 duration,
+        AuctionOptions memory options
+    ) internal returns (uint256) {
+        require(minBidIncrement > 0, "Invalid min bid increment");
+        require(
+            options.reservePrice == 0 ||
+            (options.reservePrice > startPrice && options.reserveCommitment == bytes32(0)),
+            "Invalid reserve price"
+        );
+        require(
+            options.buyNowPrice == 0 ||
+            (options.buyNowPrice > startPrice && options.buyNowPrice >= options.reservePrice),
+            "Invalid buy now price"
+        );
+        _validateAuctionParams(
+            collection,
+            tokenId,
+            quantity,
+            startPrice,
+            duration
+        );
+
+        address paymentToken = _resolvePaymentToken(options.paymentToken);
+
+        _auctionIds++;
+        uint256 auctionId = _auctionIds;
+        
+        _createAuctionListing(
+            collection,
+            tokenId,
+            quantity,
+            startPrice,
+            auctionId,
+            ListingType.AUCTION,
+            paymentToken
+        );
+
+        if (options.reservePrice > 0 || options.reserveCommitment != bytes32(0) || options.buyNowPrice > 0) {
+            auctionOptions[auctionId] = options;
+        }
+
+        _setupAuction(
+            auctionId,
+            collection,
+            tokenId,
+            quantity,
+            startPrice,
+            minBidIncrement,
+            duration
+        );
+
+        return auctionId;
+    }
+
+    function placeBid(uint256 auctionId, uint256 bidAmount) external nonReentrant {
+        _placeBid(auctionId, bidAmount);
+    }
+
+    function placeBidWithPermit(
+        uint256 auctionId,
+        uint256 bidAmount,
+        PermitSignature calldata permit
+    ) external nonReentrant {
+        _permit(auctionPaymentTokens[auctionId], permit);
+        _placeBid(auctionId, bidAmount);
+    }
+
+    // The attached ETH is the bid, the auction must be priced in WETH
+    function placeBidWithETH(uint256 auctionId) external payable nonReentrant {
+        _placeBid(auctionId, msg.value);
+    }
+
+    function _placeBid(uint256 auctionId, uint256 bidAmount) private {
+        AuctionDetails storage auction = _validateBid(auctionId, bidAmount);
+
+        // A leading proxy bid whose cap covers this bid counters it right away
+        address leader = auction.highestBidder;
+        if (leader != msg.sender && bids[auctionId][leader] >= bidAmount) {
+            _counterWithProxyBid(auctionId, bidAmount);
+            if (msg.value > 0) {
+                // Nothing is escrowed for a bid that is already outbid, return the attached ETH unwrapped
+                require(auctionPaymentTokens[auctionId] == address(weth), "Not payable in ETH");
+                (bool success, ) = payable(msg.sender).call{value: msg.value}("");
+                require(success, "ETH return failed");
+            }
+            return;
+        }
+
+        _takeLead(auctionId, bidAmount, bidAmount);
+    }
+
+    // Escrows maxBid but only bids what is needed to lead. While leading, competing bids are
+    // countered automatically with currentPrice + minBidIncrement, up to maxBid.
+    function placeProxyBid(uint256 auctionId, uint256 maxBid) external nonReentrant {
+        AuctionDetails storage auction = _validateBid(auctionId, maxBid);
+        address leader = auction.highestBidder;
+        uint256 leaderCap = leader == address(0) ? auction.currentPrice : bids[auctionId][leader];
+
+        if (leader == msg.sender) {
+            // Raising the cap of the leading bid, the price stays where it is
+            require(maxBid > leaderCap, "Bid too low");
+            address paymentToken = auctionPaymentTokens[auctionId];
+            bids[auctionId][msg.sender] = maxBid;
+            amountLockedInPool[paymentToken] += maxBid - leaderCap;
+            _receivePayment(paymentToken, maxBid - leaderCap);
+
+            emit ProxyBidPlaced(auctionId, msg.sender, maxBid);
+            return;
+        }
+
+        emit ProxyBidPlaced(auctionId, msg.sender, maxBid);
+
+        // Ties go to the earlier bid
+        if (leaderCap >= maxBid) {
+            _counterWithProxyBid(auctionId, maxBid);
+            return;
+        }
+
+        // Plain bids escrow exactly the current price, so this is the minimum increment over them too
+        uint256 price = leaderCap + auction.minBidIncrement;
+        if (price > maxBid) {
+            price = maxBid;
+        }
+        _takeLead(auctionId, price, maxBid);
+    }
+
+    function _validateBid(uint256 auctionId, uint256 bidAmount) private view returns (AuctionDetails storage auction) {
+        auction = auctions[auctionId];
+        require(auction.status == AuctionStatus.ACTIVE, "Auction not active");
+        require(auctionTypes[auctionId] == AuctionType.ENGLISH, "Not an English auction");
+        require(block.timestamp <= auction.endTime, "Auction ended");
+        require(bidAmount >= auction.currentPrice + auction.minBidIncrement, "Bid too low");
+    }
+
+    // Makes the caller the highest bidder at price, escrowing escrowAmount (above price for proxy bids)
+    function _takeLead(uint256 auctionId, uint256 price, uint256 escrowAmount) private {
+        AuctionDetails storage auction = auctions[auctionId];
+        _extendIfEnding(auctionId);
+
+        address previousBidder = auction.highestBidder;
+        uint256 previousBid = bids[auctionId][previousBidder];
+        address paymentToken = auctionPaymentTokens[auctionId];
+
+        auction.highestBidder = msg.sender;
+        auction.currentPrice = price;
+        bids[auctionId][previousBidder] = 0;
+        bids[auctionId][msg.sender] = escrowAmount;
+        // locking the amount in pool
+        amountLockedInPool[paymentToken] += escrowAmount - previousBid; 
+    
+        _receivePayment(paymentToken, escrowAmount);
+
+        if (previousBidder != address(0)) {
+            _refund(paymentToken, previousBidder, previousBid);
+        }
+
+        emit BidPlaced(auctionId, msg.sender, price);
+    }
+
+    // The leading proxy bid answers a lower or equal challenge, no funds move.
+    // BidPlaced is only emitted for the leader, the challenger gets BidCountered.
+    function _counterWithProxyBid(uint256 auctionId, uint256 challengeAmount) private {
+        AuctionDetails storage auction = auctions[auctionId];
+        _extendIfEnding(auctionId);
+
+        uint256 maxBid = bids[auctionId][auction.highestBidder];
+        uint256 counterBid = challengeAmount + auction.minBidIncrement;
+        auction.currentPrice = counterBid < maxBid ? counterBid : maxBid;
+
+        emit BidCountered(auctionId, msg.sender, challengeAmount);
+        emit BidPlaced(auctionId, auction.highestBidder, auction.currentPrice);
+    }
+
+    function settleAuction(uint256 auctionId) external nonReentrant {
+        AuctionDetails storage auction = _validateSettlement(auctionId);
+
+        // An unrevealed hidden reserve counts as not met once the seller's reveal period is over
+        if (auctionOptions[auctionId].reserveCommitment != bytes32(0)) {
+            require(block.timestamp > auction.endTime + RESERVE_REVEAL_PERIOD, "Reserve not revealed");
+            _closeReserveNotMet(auctionId);
+            return;
+        }
+
+        _settleAuction(auctionId);
+    }
+
+    // Seller reveals the hidden reserve committed at creation and settles against it
+    function settleAuctionWithReserve(
+        uint256 auctionId,
+        uint256 reservePrice,
+        bytes32 salt
+    ) external nonReentrant {
+        AuctionDetails storage auction = _validateSettlement(auctionId);
+        require(msg.sender == auction.seller, "Not seller");
+
+        AuctionOptions storage options = auctionOptions[auctionId];
+        require(options.reserveCommitment != bytes32(0), "No hidden reserve");
+        require(
+            getReserveCommitment(msg.sender, reservePrice, salt) == options.reserveCommitment,
+            "Invalid reveal"
+        );
+        options.reservePrice = reservePrice;
+        options.reserveCommitment = bytes32(0);
+        emit ReservePriceRevealed(auctionId, reservePrice);
+
+        _settleAuction(auctionId);
+    }
+
+    function _validateSettlement(uint256 auctionId) private view returns (AuctionDetails storage auction) {
+        auction = auctions[auctionId];
+        require(auction.status == AuctionStatus.ACTIVE, "Auction not active");
+        require(auctionTypes[auctionId] == AuctionType.ENGLISH, "Not an English auction");
+        require(block.timestamp > auction.endTime, "Auction not ended");
+        require(auction.highestBidder != address(0), "No bids placed");
+    }
+
+    function _settleAuction(uint256 auctionId) private {
+        AuctionDetails storage auction = auctions[auctionId];
+
+        // A proxy bid whose cap covers the reserve pays the reserve
+        uint256 reservePrice = auctionOptions[auctionId].reservePrice;
+        uint256 escrow = bids[auctionId][auction.highestBidder];
+        if (auction.currentPrice < reservePrice && escrow >= reservePrice) {
+            auction.currentPrice = reservePrice;
+        }
+
+        if (auction.currentPrice < reservePrice) {
+            _closeReserveNotMet(auctionId);
+            return;
+        }
+
+        auction.status = AuctionStatus.ENDED;
+        address collection = auctionCollections[auctionId];
+        address paymentToken = auctionPaymentTokens[auctionId];
+        uint256 finalPrice = auction.currentPrice;
+
+        // Return the unused part of a proxy bid's escrow
+        if (escrow > finalPrice) {
+            bids[auctionId][auction.highestBidder] = finalPrice;
+            amountLockedInPool[paymentToken] -= escrow - finalPrice;
+            _refund(paymentToken, auction.highestBidder, escrow - finalPrice);
+        }
+
+        // Distribute funds
+        _distributeSalePayment(IERC20(paymentToken), collection, auction.tokenId, auction.seller, finalPrice);
+
+        // Transfer NFT
+        IERC1155(collection).safeTransferFrom(
+            address(this),
+            auction.highestBidder,
+            auction.tokenId,
+            auction.quantity,
+            ""
+        );
+
+        // freeing the locked amount after auctions settled
+        amountLockedInPool[paymentToken] -= finalPrice;
+
+        // Remove listing
+        address seller = auction.seller;
+        delete listings[collection][auction.tokenId][seller];
+        emit ListingRemoved(collection, auction.tokenId, seller, "AUCTION_SETTLED");
+
+        emit AuctionSettled(auctionId, auction.highestBidder, finalPrice);
+    }
+
+    function _closeReserveNotMet(uint256 auctionId) private {
+        AuctionDetails storage auction = auctions[auctionId];
+        auction.status = AuctionStatus.RESERVE_NOT_MET;
+        address collection = auctionCollections[auctionId];
+        address highestBidder = auction.highestBidder;
+        uint256 highestBid = auction.currentPrice;
+
+        // Refund the top bidder's full escrow, which includes any unused proxy cap
+        address paymentToken = auctionPaymentTokens[auctionId];
+        uint256 escrow = bids[auctionId][highestBidder];
+        bids[auctionId][highestBidder] = 0;
+        amountLockedInPool[paymentToken] -= escrow;
+        _refund(paymentToken, highestBidder, escrow);
+
+        // Return NFT to seller
+        IERC1155(collection).safeTransferFrom(
+            address(this),
+            auction.seller,
+            auction.tokenId,
+            auction.quantity,
+            ""
+        );
+
+        delete listings[collection][auction.tokenId][auction.seller];
+        emit ListingRemoved(collection, auction.tokenId, auction.seller, "RESERVE_NOT_MET");
+
+        emit AuctionReserveNotMet(auctionId, highestBidder, highestBid);
+    }
+
+    // Hidden reserves are committed as a hash by the seller, who reveals the price at settlement
+    function getReserveCommitment(
+        address seller,
+        uint256 reservePrice,
+        bytes32 salt
+    ) public pure returns (bytes32) {
+        return keccak256(abi.encodePacked(seller, reservePrice, salt));
+    }
+
+    // Returns zero for a hidden reserve until the seller reveals it
+    function getReservePrice(uint256 auctionId) external view returns (uint256 reservePrice, bool isHidden) {
+        AuctionOptions storage options = auctionOptions[auctionId];
+        if (options.reserveCommitment != bytes32(0)) {
+            return (0, true);
+        }
+        return (options.reservePrice, false);
+    }
+
+    // Always false for an unrevealed hidden reserve, which the contract cannot check
+    function isReservePriceMet(uint256 auctionId) external view returns (bool) {
+        AuctionDetails storage auction = auctions[auctionId];
+        AuctionOptions storage options = auctionOptions[auctionId];
+        // Proxy bids settle at the reserve when their cap covers it
+        return auction.highestBidder != address(0) &&
+            options.reserveCommitment == bytes32(0) &&
+            bids[auctionId][auction.highestBidder] >= options.reservePrice;
+    }
+
+    function cancelAuction(uint256 auctionId) external nonReentrant {
+        AuctionDetails storage auction = auctions[auctionId];
+        require(auction.status == AuctionStatus.ACTIVE, "Auction not active");
+        require(msg.sender == auction.seller, "Not seller");
+        require(!_hasBids(auctionId), "Bids already placed");
+
+        auction.status = AuctionStatus.CANCELLED;
+        address collection = auctionCollections[auctionId];
+
+        IERC1155(collection).safeTransferFrom(
+            address(this),
+            auction.seller,
+            auction.tokenId,
+            auction.quantity,
+            ""
+        );
+
+        // Remove listing
+        delete listings[collection][auction.tokenId][auction.seller];
+        emit ListingRemoved(collection, auction.tokenId, auction.seller, "AUCTION_CANCELLED");
+
+        emit AuctionCancelled(auctionId);
+    }
+
+    function buyNow(uint256 auctionId) external nonReentrant {
+        AuctionDetails storage auction = auctions[auctionId];
+        require(auction.status == AuctionStatus.ACTIVE, "Auction not active");
+        require(auctionTypes[auctionId] == AuctionType.ENGLISH, "Not an English auction");
+        require(block.timestamp <= auction.endTime, "Auction ended");
+
+        uint256 buyNowPrice = auctionOptions[auctionId].buyNowPrice;
+        require(
+            buyNowPrice > 0 && auction.currentPrice < buyNowPrice,
+            "Buy now not available"
+        );
+
+        // Refund the current highest bidder from escrow
+        address previousBidder = auction.highestBidder;
+        if (previousBidder != address(0)) {
+            uint256 previousBid = bids[auctionId][previousBidder];
+            address paymentToken = auctionPaymentTokens[auctionId];
+            bids[auctionId][previousBidder] = 0;
+            amountLockedInPool[paymentToken] -= previousBid;
+            _refund(paymentToken, previousBidder, previousBid);
+        }
+
+        _completeInstantPurchase(auctionId, buyNowPrice, "BOUGHT_NOW");
+    }
+
+    function getBuyNowPrice(uint256 auctionId) external view returns (uint256) {
+        return auctionOptions[auctionId].buyNowPrice;
+    }
+}
@@ -0,0 +1,101 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.17;
+
+import "../MarketplaceBase.sol";
+
+// Upkeep of fixed price listings after they are created, reached through the NFTMarketplace fallback
+contract ListingModule is MarketplaceBase {
+    using SafeERC20 for IERC20;
+
+    constructor(address _designatedToken) MarketplaceBase(_designatedToken) {}
+
+    // Callable by anyone to clean up fixed price listings past their expiration
+    function clearExpiredListing(
+        address collection,
+        uint256 tokenId,
+        address seller
+    ) external nonReentrant {
+        Listing storage listing = listings[collection][tokenId][seller];
+        require(listing.seller == seller && listing.quantity > 0, "Invalid listing");
+        require(_isListingExpired(listing), "Listing not expired");
+
+        delete listings[collection][tokenId][seller];
+        emit ListingRemoved(collection, tokenId, seller, "EXPIRED");
+    }
+
+    // Whether the listing could be bought right now. Fixed price listings need the seller to still
+    // hold and approve the listed quantity, auction listings need the auction to be running.
+    function isListingFillable(
+        address collection,
+        uint256 tokenId,
+        address seller
+    ) public view returns (bool) {
+        Listing storage listing = listings[collection][tokenId][seller];
+        if (listing.seller != seller || listing.quantity == 0) return false;
+
+        if (listing.listingType != ListingType.FIXED_PRICE) {
+            AuctionDetails storage auction = auctions[listing.auctionId];
+            // A Dutch auction past endTime can no longer be bought, only closed
+            return auction.status == AuctionStatus.ACTIVE &&
+                (listing.listingType != ListingType.DUTCH_AUCTION || block.timestamp <= auction.endTime);
+        }
+
+        // A partly backed listing can still be bought up to the seller's balance
+        return !_isListingExpired(listing) &&
+            IERC1155(collection).balanceOf(seller, tokenId) > 0 &&
+            IERC1155(collection).isApprovedForAll(seller, address(this));
+    }
+
+    // Callable by anyone to clean up fixed price listings the seller can no longer deliver.
+    // A partly backed listing is shrunk to the seller's balance instead of removed.
+    function invalidateListing(
+        address collection,
+        uint256 tokenId,
+        address seller
+    ) external nonReentrant {
+        Listing storage listing = listings[collection][tokenId][seller];
+        require(listing.seller == seller && listing.quantity > 0, "Invalid listing");
+        require(listing.listingType == ListingType.FIXED_PRICE, "Not a fixed price listing");
+
+        if (!isListingFillable(collection, tokenId, seller)) {
+            delete listings[collection][tokenId][seller];
+            emit ListingRemoved(collection, tokenId, seller, "INVALID");
+            return;
+        }
+
+        uint256 balance = IERC1155(collection).balanceOf(seller, tokenId);
+        require(balance < listing.quantity, "Listing is fillable");
+        listing.quantity = balance;
+        emit ListingQuantityUpdated(collection, tokenId, seller, balance);
+    }
+
+    // Reprices or resizes a fixed price listing in place
+    function updateListing(
+        address collection,
+        uint256 tokenId,
+        uint256 newPrice,
+        uint256 newQuantity
+    ) external nonReentrant {
+        Listing storage listing = listings[collection][tokenId][msg.sender];
+        require(listing.seller == msg.sender && listing.quantity > 0, "No active listing");
+        require(listing.listingType == ListingType.FIXED_PRICE, "Not a fixed price listing");
+        require(!_isListingExpired(listing), "Listing expired");
+        require(newPrice > 0, "Invalid price");
+        require(newQuantity > 0, "Invalid quantity");
+        require(
+            IERC1155(collection).balanceOf(msg.sender, tokenId) >= newQuantity,
+            "Insufficient balance"
+        );
+        require(
+            IERC1155(collection).isApprovedForAll(msg.sender, address(this)),
+            "Not approved"
+        );
+
+        uint256 oldPrice = listing.price;
+        uint256 oldQuantity = listing.quantity;
+        listing.price = newPrice;
+        listing.quantity = newQuantity;
+
+        emit ListingUpdated(collection, tokenId, msg.sender, oldPrice, newPrice, oldQuantity, newQuantity);
+    }
+}
@@ -0,0 +1,549 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.17;
+
+import "../MarketplaceBase.sol";
+
+// Offers made to the holder of a token, reached through the NFTMarketplace fallback
+contract OfferBookModule is MarketplaceBase {
+    using SafeERC20 for IERC20;
+
+    constructor(address _designatedToken) MarketplaceBase(_designatedToken) {}
+
+    // Original signature, a non-expiring offer in the designated token
+    function makeOffer(
+        address collection,
+        uint256 tokenId,
+        address seller,
+        uint256 quantity,
+        uint256 price
+    ) external nonReentrant {
+        _makeOffer(collection, tokenId, seller, quantity, price, 0, address(0));
+    }
+
+    function makeOffer(
+        address collection,
+        uint256 tokenId,
+        address seller,
+        uint256 quantity,
+        uint256 price,
+        uint256 expiresAt,
+        address paymentToken
+    ) external nonReentrant {
+        _makeOffer(collection, tokenId, seller, quantity, price, expiresAt, paymentToken);
+    }
+
+    function makeOfferWithPermit(
+        address collection,
+        uint256 tokenId,
+        address seller,
+        uint256 quantity,
+        uint256 price,
+        uint256 expiresAt,
+        address paymentToken,
+        PermitSignature calldata permit
+    ) external nonReentrant {
+        _permit(_resolvePaymentToken(paymentToken), permit);
+        _makeOffer(collection, tokenId, seller, quantity, price, expiresAt, paymentToken);
+    }
+
+    // Escrows the attached ETH as WETH, it must equal price * quantity
+    function makeOfferWithETH(
+        address collection,
+        uint256 tokenId,
+        address seller,
+        uint256 quantity,
+        uint256 price,
+        uint256 expiresAt
+    ) external payable nonReentrant {
+        require(address(weth) != address(0), "WETH not set");
+        _makeOffer(collection, tokenId, seller, quantity, price, expiresAt, address(weth));
+    }
+
+    function _makeOffer(
+        address collection,
+        uint256 tokenId,
+        address seller,
+        uint256 quantity,
+        uint256 price,
+        uint256 expiresAt,
+        address paymentToken
+    ) private {
+        require(registeredCollections[collection], "Collection not registered");
+        require(quantity > 0, "Invalid quantity");
+        require(price > 0, "Invalid price");
+        require(expiresAt == 0 || expiresAt > block.timestamp, "Invalid expiration");
+        require(seller != address(0), "Invalid seller");
+        require(seller != msg.sender, "Cannot make offer to self");
+        
+        uint256 sellerBalance = IERC1155(collection).balanceOf(seller, tokenId);
+        require(sellerBalance >= quantity, "Insufficient seller balance");
+
+        _offerIds++;
+        uint256 offerId = _offerIds;
+
+        offers[collection][tokenId][offerId] = Offer({
+            buyer: msg.sender,
+            seller: seller,
+            price: price,
+            quantity: quantity,
+            createTime: block.timestamp,
+            expiresAt: expiresAt,
+            status: OfferStatus.PENDING
+        });
+
+        userOfferIds[msg.sender].push(offerId);
+        sellerReceivedOffers[seller].push(offerId);
+        tokenOffers[collection][tokenId].push(offerId);
+        offerCollections[offerId] = collection;
+        offerTokenIds[offerId] = tokenId;
+        _lockOfferEscrow(offerId, paymentToken, price * quantity);
+
+        emit OfferCreated(offerId, collection, tokenId, msg.sender, seller, price, quantity, expiresAt);
+    }
+
+    // Original signature, without a minimum on the seller's share
+    function acceptOffer(uint256 offerId) external nonReentrant {
+        _acceptOffer(offerId, 0);
+    }
+
+    // minNetProceeds protects the seller against fee or royalty changes made before the call is mined
+    function acceptOffer(uint256 offerId, uint256 minNetProceeds) external nonReentrant {
+        _acceptOffer(offerId, minNetProceeds);
+    }
+
+    function _acceptOffer(uint256 offerId, uint256 minNetProceeds) private {
+        (address collection, uint256 tokenId, Offer storage offer) = _validateAndGetOffer(offerId);
+        _requireMinNetProceeds(collection, tokenId, msg.sender, offer.price * offer.quantity, minNetProceeds);
+        uint256 totalBalance = _validateSellerBalance(collection, tokenId, offer);
+        _validateAndUpdateListing(collection, tokenId, msg.sender, offer.quantity, totalBalance);
+        _processOfferAcceptance(collection, tokenId, offer, offerId);
+    }
+
+    function acceptOfferPartial(uint256 offerId, uint256 quantity, uint256 minNetProceeds) external nonReentrant {
+        (address collection, uint256 tokenId, Offer storage offer) = _validateAndGetOffer(offerId);
+        require(quantity > 0 && quantity <= offer.quantity, "Invalid quantity");
+        _requireMinNetProceeds(collection, tokenId, msg.sender, offer.price * quantity, minNetProceeds);
+
+        uint256 totalBalance = IERC1155(collection).balanceOf(msg.sender, tokenId);
+        require(totalBalance >= quantity, "Insufficient balance");
+        _validateAndUpdateListing(collection, tokenId, msg.sender, quantity, totalBalance);
+
+        // The remainder stays pending with its escrow still locked
+        offer.quantity -= quantity;
+        if (offer.quantity == 0) {
+            offer.status = OfferStatus.ACCEPTED;
+        }
+
+        _executeOfferFill(offerId, collection, tokenId, msg.sender, offer.buyer, quantity, offer.price * quantity);
+
+        emit OfferPartiallyAccepted(offerId, msg.sender, quantity, offer.quantity);
+        if (offer.quantity == 0) {
+            emit OfferAccepted(offerId, msg.sender);
+        }
+    }
+
+    function _validateAndGetOffer(uint256 offerId) private view returns (
+        address collection,
+        uint256 tokenId,
+        Offer storage offer
+    ) {
+        collection = offerCollections[offerId];
+        require(collection != address(0), "Offer does not exist");
+
+        tokenId = offerTokenIds[offerId];
+        offer = offers[collection][tokenId][offerId];
+        
+        require(counterOfferParent[offerId] == 0, "Is a counter-offer");
+        require(offer.status == OfferStatus.PENDING, "Invalid offer status");
+        require(msg.sender == offer.seller, "Not offer recipient");
+        require(!_isOfferExpired(offer), "Offer expired");
+
+        return (collection, tokenId, offer);
+    }
+
+    function _validateSellerBalance(
+        address collection,
+        uint256 tokenId,
+        Offer memory offer
+    ) private view returns (uint256) {
+        uint256 totalBalance = IERC1155(collection).balanceOf(msg.sender, tokenId);
+        require(totalBalance >= offer.quantity, "Insufficient balance");
+        return totalBalance;
+    }
+
+    function _processOfferAcceptance(
+        address collection,
+        uint256 tokenId,
+        Offer storage offer,
+        uint256 offerId
+    ) private {
+        _executeOfferFill(offerId, collection, tokenId, msg.sender, offer.buyer, offer.quantity, offer.price * offer.quantity);
+
+        offer.status = OfferStatus.ACCEPTED;
+        emit OfferAccepted(offerId, msg.sender);
+    }
+
+    function rejectOffer(uint256 offerId) external nonReentrant {
+        address collection = offerCollections[offerId];
+        uint256 tokenId = offerTokenIds[offerId];
+        require(collection != address(0), "Offer does not exist");
+
+        require(counterOfferParent[offerId] == 0, "Is a counter-offer");
+
+        Offer storage offer = offers[collection][tokenId][offerId];
+        require(offer.status == OfferStatus.PENDING, "Invalid offer status");
+        require(
+            msg.sender == offer.seller,
+            "Not offer recipient"
+        );
+
+        offer.status = OfferStatus.REJECTED;
+        _releaseOfferEscrow(offerId, offer.buyer, offer.price * offer.quantity);
+
+        emit OfferRejected(offerId, msg.sender);
+    }
+
+    function cancelOffer(uint256 offerId) external nonReentrant {
+        address collection = offerCollections[offerId];
+        uint256 tokenId = offerTokenIds[offerId];
+        require(collection != address(0), "Offer does not exist");
+
+        require(counterOfferParent[offerId] == 0, "Is a counter-offer");
+
+        Offer storage offer = offers[collection][tokenId][offerId];
+        require(offer.buyer == msg.sender, "Not offer creator");
+        require(
+            offer.status == OfferStatus.PENDING || offer.status == OfferStatus.COUNTERED,
+            "Invalid offer status"
+        );
+
+        // Withdrawing the escrow also withdraws the pending counter-offer
+        if (offer.status == OfferStatus.COUNTERED) {
+            _latestCounterOffer(collection, tokenId, offerId).status = OfferStatus.CANCELLED;
+        }
+        offer.status = OfferStatus.CANCELLED;
+        _releaseOfferEscrow(offerId, msg.sender, offer.price * offer.quantity);
+
+        emit OfferCancelled(offerId, msg.sender);
+    }
+
+    // Refunds the escrow of an expired offer back to the buyer, callable by anyone
+    function reclaimExpiredOffer(uint256 offerId) external nonReentrant {
+        address collection = offerCollections[offerId];
+        uint256 tokenId = offerTokenIds[offerId];
+        require(collection != address(0), "Offer does not exist");
+
+        require(counterOfferParent[offerId] == 0, "Is a counter-offer");
+
+        Offer storage offer = offers[collection][tokenId][offerId];
+        require(offer.status == OfferStatus.PENDING, "Invalid offer status");
+        require(_isOfferExpired(offer), "Offer not expired");
+
+        offer.status = OfferStatus.EXPIRED;
+        _releaseOfferEscrow(offerId, offer.buyer, offer.price * offer.quantity);
+
+        emit OfferExpired(offerId, offer.buyer);
+    }
+
+    // Seller proposes new terms, the buyer's escrow stays locked on the original offer until the counter is closed
+    function makeCounterOffer(
+        uint256 offerId,
+        uint256 price,
+        uint256 quantity,
+        uint256 expiresAt,
+        uint256 minNetProceeds
+    ) external nonReentrant returns (uint256) {
+        (address collection, uint256 tokenId, Offer storage offer) = _validateAndGetOffer(offerId);
+        require(quantity > 0, "Invalid quantity");
+        require(price > 0, "Invalid price");
+        require(expiresAt == 0 || expiresAt > block.timestamp, "Invalid expiration");
+        require(price != offer.price || quantity != offer.quantity, "Same terms");
+        require(
+            IERC1155(collection).balanceOf(msg.sender, tokenId) >= quantity,
+            "Insufficient balance"
+        );
+
+        _offerIds++;
+        uint256 counterOfferId = _offerIds;
+
+        offers[collection][tokenId][counterOfferId] = Offer({
+            buyer: offer.buyer,
+            seller: msg.sender,
+            price: price,
+            quantity: quantity,
+            createTime: block.timestamp,
+            expiresAt: expiresAt,
+            status: OfferStatus.PENDING
+        });
+        offer.status = OfferStatus.COUNTERED;
+
+        userOfferIds[offer.buyer].push(counterOfferId);
+        sellerReceivedOffers[msg.sender].push(counterOfferId);
+        tokenOffers[collection][tokenId].push(counterOfferId);
+        offerCollections[counterOfferId] = collection;
+        offerTokenIds[counterOfferId] = tokenId;
+        offerPaymentTokens[counterOfferId] = offerPaymentTokens[offerId];
+        counterOfferParent[counterOfferId] = offerId;
+        offerCounterIds[offerId].push(counterOfferId);
+        counterOfferMinNetProceeds[counterOfferId] = minNetProceeds;
+
+        emit CounterOfferCreated(counterOfferId, offerId, msg.sender, price, quantity, expiresAt);
+        return counterOfferId;
+    }
+
+    // Buyer settles the counter-offer, topping up or releasing escrow to match the new terms
+    // The seller's minNetProceeds from makeCounterOffer is checked here, as fee or royalty changes can reduce their share
+    function acceptCounterOffer(uint256 counterOfferId) external nonReentrant {
+        (
+            address collection,
+            uint256 tokenId,
+            Offer storage counter,
+            Offer storage offer
+        ) = _getOpenCounterOffer(counterOfferId);
+        require(msg.sender == counter.buyer, "Not offer recipient");
+        require(!_isOfferExpired(counter), "Offer expired");
+
+        uint256 totalBalance = IERC1155(collection).balanceOf(counter.seller, tokenId);
+        require(totalBalance >= counter.quantity, "Insufficient seller balance");
+        _validateAndUpdateListing(collection, tokenId, counter.seller, counter.quantity, totalBalance);
+
+        uint256 escrow = offer.price * offer.quantity;
+        uint256 totalPrice = counter.price * counter.quantity;
+        _requireMinNetProceeds(
+            collection,
+            tokenId,
+            counter.seller,
+            totalPrice,
+            counterOfferMinNetProceeds[counterOfferId]
+        );
+
+        counter.status = OfferStatus.ACCEPTED;
+        offer.status = OfferStatus.ACCEPTED;
+
+        // Re-locking the escrow at the counter-offer terms
+        IERC20 paymentToken = IERC20(offerPaymentTokens[counterOfferId]);
+        amountLockedInPool[address(paymentToken)] = amountLockedInPool[address(paymentToken)] + totalPrice - escrow;
+        if (totalPrice > escrow) {
+            paymentToken.safeTransferFrom(msg.sender, address(this), totalPrice - escrow);
+        } else if (escrow > totalPrice) {
+            _refund(address(paymentToken), msg.sender, escrow - totalPrice);
+        }
+
+        _executeOfferFill(counterOfferId, collection, tokenId, counter.seller, msg.sender, counter.quantity, totalPrice);
+
+        emit CounterOfferAccepted(counterOfferId, msg.sender);
+    }
+
+    // Buyer declines the counter-offer, the original offer becomes pending again
+    function rejectCounterOffer(uint256 counterOfferId) external nonReentrant {
+        (, , Offer storage counter, Offer storage offer) = _getOpenCounterOffer(counterOfferId);
+        require(msg.sender == counter.buyer, "Not offer recipient");
+
+        counter.status = OfferStatus.REJECTED;
+        offer.status = OfferStatus.PENDING;
+
+        emit CounterOfferRejected(counterOfferId, msg.sender);
+    }
+
+    // Seller withdraws the counter-offer, the original offer becomes pending again
+    function cancelCounterOffer(uint256 counterOfferId) external nonReentrant {
+        (, , Offer storage counter, Offer storage offer) = _getOpenCounterOffer(counterOfferId);
+        require(msg.sender == counter.seller, "Not offer creator");
+
+        counter.status = OfferStatus.CANCELLED;
+        offer.status = OfferStatus.PENDING;
+
+        emit CounterOfferCancelled(counterOfferId, msg.sender);
+    }
+
+    function getCounterOffers(uint256 offerId) external view returns (uint256[] memory) {
+        return offerCounterIds[offerId];
+    }
+
+    function _getOpenCounterOffer(uint256 counterOfferId) private view returns (
+        address collection,
+        uint256 tokenId,
+        Offer storage counter,
+        Offer storage offer
+    ) {
+        uint256 offerId = counterOfferParent[counterOfferId];
+        require(offerId != 0, "Not a counter-offer");
+
+        collection = offerCollections[counterOfferId];
+        tokenId = offerTokenIds[counterOfferId];
+        counter = offers[collection][tokenId][counterOfferId];
+        offer = offers[collection][tokenId][offerId];
+        require(counter.status == OfferStatus.PENDING, "Invalid offer status");
+
+        return (collection, tokenId, counter, offer);
+    }
+
+    function _latestCounterOffer(
+        address collection,
+        uint256 tokenId,
+        uint256 offerId
+    ) private view returns (Offer storage) {
+        uint256[] storage counterIds = offerCounterIds[offerId];
+        return offers[collection][tokenId][counterIds[counterIds.length - 1]];
+    }
+
+    function _isOfferExpired(Offer storage offer) private view returns (bool) {
+        return offer.expiresAt != 0 && block.timestamp > offer.expiresAt;
+    }
+
+    function getOffersByToken(
+        address collection,
+        uint256 tokenId,
+        uint256 offset,
+        uint256 limit
+    ) external view returns (uint256[] memory offerIdList, uint256 total) {
+        return _getOffersWithFilter(
+            collection,
+            tokenId,
+            address(0), // no user filter
+            offset,
+            limit,
+            0 // filter type: BY_TOKEN
+        );
+    }
+
+    function getOffersToSeller(
+        address seller,
+        uint256 offset,
+        uint256 limit
+    ) external view returns (uint256[] memory offerIdList, uint256 total) {
+        return _getOffersWithFilter(
+            address(0), // no collection filter
+            0, // no tokenId filter
+            seller,
+            offset,
+            limit,
+            1 // filter type: BY_SELLER
+        );
+    }
+
+    function getOffersByBuyer(
+        address buyer,
+        uint256 offset,
+        uint256 limit
+    ) external view returns (uint256[] memory offerIdList, uint256 total) {
+        return _getOffersWithFilter(
+            address(0), // no collection filter
+            0, // no tokenId filter
+            buyer,
+            offset,
+            limit,
+            2 // filter type: BY_BUYER
+        );
+    }
+
+    function _getOffersWithFilter(
+        address collection,
+        uint256 tokenId,
+        address user,
+        uint256 offset,
+        uint256 limit,
+        uint8 filterType
+    ) private view returns (uint256[] memory offerIdList, uint256 total) {
+        FilterParams memory params = FilterParams(collection, tokenId, user, filterType);
+        uint256[] storage sourceOffers = _getSourceOffers(user, filterType, params);
+        
+        // Get total count first
+        uint256 count = _countValidOffers(sourceOffers, params);
+
+        if(count == 0 || offset >= count) {
+            return (new uint256[](0), count);
+        }
+
+        return _getFilteredOffers(sourceOffers, params, offset, limit, count);
+    }
+
+    function _getSourceOffers(address user, uint8 filterType, FilterParams memory params) private view returns (uint256[] storage) {
+        if (filterType == 0) { // BY_TOKEN
+            return tokenOffers[params.collection][params.tokenId];
+        } else if (filterType == 1) { // BY_SELLER
+            return sellerReceivedOffers[user];
+        } else { // BY_BUYER
+            return userOfferIds[user];
+        }
+    }
+
+    function _countValidOffers(
+        uint256[] storage sourceOffers, 
+        FilterParams memory params
+    ) private view returns (uint256) {
+        uint256 count;
+        for(uint256 i = 0; i < sourceOffers.length; i++) {
+            if(_isValidOffer(sourceOffers[i], params)) {
+                count++;
+            }
+        }
+        return count;
+    }
+
+    function _getFilteredOffers(
+        uint256[] storage sourceOffers,
+        FilterParams memory params,
+        uint256 offset,
+        uint256 limit,
+        uint256 count
+    ) private view returns (uint256[] memory offerIdList, uint256) {
+        uint256 size = count - offset;
+        if(size > limit) {
+            size = limit;
+        }
+
+        offerIdList = new uint256[](size);
+        uint256 currentIndex;
+        uint256 skipped;
+
+        for(uint256 i = 0; i < sourceOffers.length && currentIndex < size; i++) {
+            uint256 offerId = sourceOffers[i];
+            if(_isValidOffer(offerId, params)) {
+                if(skipped < offset) {
+                    skipped++;
+                    continue;
+                }
+                offerIdList[currentIndex++] = offerId;
+            }
+        }
+
+        return (offerIdList, count);
+    }
+
+    function _isValidOffer(
+        uint256 offerId,
+        FilterParams memory params
+    ) private view returns (bool) {
+        address offerCollection = offerCollections[offerId];
+        uint256 offerTokenId = offerTokenIds[offerId];
+        Offer storage offer = offers[offerCollection][offerTokenId][offerId];
+
+        if (offer.status != OfferStatus.PENDING || _isOfferExpired(offer)) {
+            return false;
+        }
+
+        if (params.filterType == 0) { // BY_TOKEN
+            return offerCollection == params.collection && 
+                   offerTokenId == params.tokenId;
+        } else if (params.filterType == 1) { // BY_SELLER
+            return offer.seller == params.user;
+        } else { // BY_BUYER
+            return offer.buyer == params.user;
+        }
+    }
+
+    function getOffer(uint256 offerId) external view returns (
+        address collection,
+        uint256 tokenId,
+        Offer memory offer
+    ) {
+        collection = offerCollections[offerId];
+        require(collection != address(0), "Offer does not exist");
+        
+        tokenId = offerTokenIds[offerId];
+        offer = offers[collection][tokenId][offerId];
+        
+        return (collection, tokenId, offer);
+    }
+}
@@ -0,0 +1,83 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.17;
+
+import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+import "../MarketplaceBase.sol";
+
+// Fixed price listings signed off-chain by the seller, reached through the NFTMarketplace fallback
+contract SignedListingModule is MarketplaceBase {
+    using SafeERC20 for IERC20;
+
+    constructor(address _designatedToken) MarketplaceBase(_designatedToken) {}
+
+    function hashSignedListing(SignedListing calldata order) public view returns (bytes32) {
+        return _hashTypedDataV4(keccak256(abi.encode(
+            SIGNED_LISTING_TYPEHASH,
+            order.seller,
+            order.collection,
+            order.tokenId,
+            order.price,
+            order.paymentToken,
+            order.quantity,
+            order.nonce,
+            order.deadline
+        )));
+    }
+
+    function fulfillSignedListing(
+        SignedListing calldata order,
+        bytes calldata signature,
+        uint256 quantity
+    ) external nonReentrant {
+        require(registeredCollections[order.collection], "Collection not registered");
+        require(quantity > 0, "Invalid quantity");
+        require(block.timestamp <= order.deadline, "Signed listing expired");
+        require(order.nonce == listingNonces[order.seller], "Invalid nonce");
+
+        bytes32 orderHash = hashSignedListing(order);
+        require(!signedListingCancelled[orderHash], "Signed listing cancelled");
+        require(ECDSA.recover(orderHash, signature) == order.seller, "Invalid signature");
+
+        uint256 filledQuantity = signedListingFilled[orderHash] + quantity;
+        require(filledQuantity <= order.quantity, "Insufficient quantity");
+        signedListingFilled[orderHash] = filledQuantity;
+
+        _collectSalePayment(
+            IERC20(_resolvePaymentToken(order.paymentToken)),
+            order.collection,
+            order.tokenId,
+            order.seller,
+            order.price * quantity
+        );
+
+        IERC1155(order.collection).safeTransferFrom(order.seller, msg.sender, order.tokenId, quantity, "");
+
+        emit SignedListingFilled(
+            orderHash,
+            order.collection,
+            order.tokenId,
+            order.seller,
+            msg.sender,
+            order.price,
+            quantity,
+            order.quantity - filledQuantity
+        );
+        emit NFTSold(order.collection, order.tokenId, order.seller, msg.sender, order.price, quantity);
+    }
+
+    function cancelSignedListing(SignedListing calldata order) external {
+        require(order.seller == msg.sender, "Not order signer");
+
+        bytes32 orderHash = hashSignedListing(order);
+        require(!signedListingCancelled[orderHash], "Signed listing cancelled");
+        signedListingCancelled[orderHash] = true;
+
+        emit SignedListingCancelled(orderHash, msg.sender);
+    }
+
+    // Invalidates every outstanding signed listing of the caller at once
+    function incrementListingNonce() external {
+        listingNonces[msg.sender]++;
+        emit ListingNonceIncremented(msg.sender, listingNonces[msg.sender]);
+    }
+}
@@ -0,0 +1,23 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.17;
+
+import "../marketplace/NFTMarketplace.sol";
+import "../marketplace/modules/EnglishAuctionModule.sol";
+
+// Bidder that asks for ETH refunds, then burns all the gas it is sent them with
+contract GasBurnerMock {
+    NFTMarketplace public marketplace;
+
+    constructor(address _marketplace) {
+        marketplace = NFTMarketplace(payable(_marketplace));
+    }
+
+    function placeBidWithETH(uint256 auctionId) external payable {
+        marketplace.setRefundInETH(true);
+        EnglishAuctionModule(address(marketplace)).placeBidWithETH{value: msg.value}(auctionId);
+    }
+
+    receive() external payable {
+        while (true) {}
+    }
+}
@@ -0,0 +1,25 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.17;
+
+import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+
+// Token that refuses transfers to blacklisted addresses, like USDC or USDT
+contract MockBlacklistERC20 is ERC20 {
+    mapping(address => bool) public blacklisted;
+
+    constructor(
+        string memory name,
+        string memory symbol,
+        uint256 initialSupply
+    ) ERC20(name, symbol) {
+        _mint(msg.sender, initialSupply);
+    }
+
+    function setBlacklisted(address account, bool value) external {
+        blacklisted[account] = value;
+    }
+
+    function _beforeTokenTransfer(address, address to, uint256) internal view override {
+        require(!blacklisted[to], "Blacklisted");
+    }
+}
@@ -15,7 +15,7 @@ contract MockReentrantERC1155 {
     // malicious function written for negative test cases only.
     function balanceOf(address account, uint256 id) public returns(uint256){
         if(reentryFunction == 1) {
-            NFTMarketplace(marketplace).listNFT(address(this),1,1,1);
+            NFTMarketplace(payable(marketplace)).listNFT(address(this),1,1,1,0);
         }
         return 1000;
     }
@@ -1,5 +1,7 @@
 import "../core/BaseCollection.sol";
 import "../marketplace/NFTMarketplace.sol";
+import "../marketplace/modules/EnglishAuctionModule.sol";
+import "../marketplace/modules/BatchModule.sol";
 
 contract MockReentrantBaseCollection is BaseCollection {
     uint256 public reentryFunction;
@@ -21,22 +23,23 @@ contract MockReentrantBaseCollection is BaseCollection {
     ) public virtual override {
         
         if(reentryFunction == 1) {
-            NFTMarketplace(marketplace).createAuction(address(this), id, 1, 1 ether, 0.1 ether, 3600);
+            EnglishAuctionModule(marketplace).createAuction(address(this), id, 1, 1 ether, 0.1 ether, 3600);
         } else if(reentryFunction == 2) {
-            NFTMarketplace(marketplace).settleAuction(1);
+            EnglishAuctionModule(marketplace).settleAuction(1);
         } else if(reentryFunction == 3) {
-            NFTMarketplace(marketplace).cancelAuction(1);
+            EnglishAuctionModule(marketplace).cancelAuction(1);
         } else if(reentryFunction == 4) {
-            NFTMarketplace(marketplace).removeListing(address(this), 1);
+            NFTMarketplace(payable(marketplace)).removeListing(address(this), 1);
         } else if(reentryFunction == 9) {
-            NFTMarketplace.BatchPurchaseParams[] memory params = new NFTMarketplace.BatchPurchaseParams[](1);
-            params[0] = NFTMarketplace.BatchPurchaseParams({
+            MarketplaceBase.BatchPurchaseParams[] memory params = new MarketplaceBase.BatchPurchaseParams[](1);
+            params[0] = MarketplaceBase.BatchPurchaseParams({
                 collection:address(this),
                 tokenId:1,
                 seller:address(0),
-                quantity:1
+                quantity:1,
+                maxUnitPrice:type(uint256).max
             });
-            NFTMarketplace(marketplace).batchBuyListedNFTs(params);
+            BatchModule(marketplace).batchBuyListedNFTs(params);
         }
     }
     function balanceOf(address account, uint256 id) public view override returns(uint256){
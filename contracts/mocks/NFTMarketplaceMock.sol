@@ -7,8 +7,9 @@ contract NFTMarketplaceMock is NFTMarketplace {
     constructor(
         address _designatedToken,
         uint256 _primaryFee,
-        uint256 _secondaryFee
-    ) NFTMarketplace(_designatedToken, _primaryFee, _secondaryFee) {
+        uint256 _secondaryFee,
+        Modules memory _modules
+    ) NFTMarketplace(_designatedToken, _primaryFee, _secondaryFee, _modules) {
         // _mint(msg.sender, initialSupply);
     }
     function updateAuctionStatus(uint256 _auctionId, bool isEnded) public {
@@ -28,13 +29,16 @@ contract NFTMarketplaceMock is NFTMarketplace {
         registeredCollections[collection] = true;
     }
 
-    function updateListing(address collection, uint256 tokenId, address user) public {
+    function updateAuctionListing(address collection, uint256 tokenId, address user) public {
         listings[collection][tokenId][user] = Listing({
             seller: user,
             price: 10,
             quantity: 1,
             listingType: ListingType.AUCTION,
-            auctionId: 1
+            auctionId: 1,
+            paymentToken: address(designatedToken),
+            allowedBuyer: address(0),
+            expiresAt: 0
         });
     }
     function updateAuction(uint auctionId) public {
@@ -50,6 +54,7 @@ contract NFTMarketplaceMock is NFTMarketplace {
             highestBidder: address(0),
             status: AuctionStatus.ACTIVE
         });
+        auctionPaymentTokens[auctionId] = address(designatedToken);
 
     }
 }
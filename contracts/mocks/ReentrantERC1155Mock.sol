@@ -2,6 +2,7 @@ pragma solidity ^0.8.17;
 
 import "@openzeppelin/contracts/token/ERC1155/ERC1155.sol";
 import "../marketplace/NFTMarketplace.sol";
+import "../marketplace/modules/EnglishAuctionModule.sol";
 
 contract ReentrantERC1155Mock is ERC1155 {
     NFTMarketplace public marketplace;
@@ -10,7 +11,7 @@ contract ReentrantERC1155Mock is ERC1155 {
     constructor() ERC1155("") {}
 
     function setMarketplace(address _marketplace) public {
-        marketplace = NFTMarketplace(_marketplace);
+        marketplace = NFTMarketplace(payable(_marketplace));
     }
 
     function setReentryFunction(uint256 _function) external {
@@ -32,11 +33,11 @@ contract ReentrantERC1155Mock is ERC1155 {
         
         if(to == address(marketplace)) {
             if(reentryFunction == 1) {
-                marketplace.createAuction(address(this), id, 1, 1 ether, 0.1 ether, 3600);
+                EnglishAuctionModule(address(marketplace)).createAuction(address(this), id, 1, 1 ether, 0.1 ether, 3600);
             } else if(reentryFunction == 2) {
-                marketplace.settleAuction(1);
+                EnglishAuctionModule(address(marketplace)).settleAuction(1);
             } else if(reentryFunction == 3) {
-                marketplace.cancelAuction(1);
+                EnglishAuctionModule(address(marketplace)).cancelAuction(1);
             }
         }
     }
@@ -2,19 +2,23 @@ pragma solidity ^0.8.17;
 
 import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
 import "../marketplace/NFTMarketplace.sol";
+import "../marketplace/modules/EnglishAuctionModule.sol";
+import "../marketplace/modules/OfferBookModule.sol";
+import "../marketplace/modules/BatchModule.sol";
 
 contract ReentrantTokenMock is ERC20 {
     NFTMarketplace public marketplace;
     address public collection;
     uint256 public tokenId;
     uint256 public reentryFunction; // 1: buyNFT, 2: placeBid
+    string public lastReentryError; // revert reason of the last re-entry made from transfer
 
     constructor() ERC20("Mock Token", "MTK") {
         _mint(msg.sender, 1000000 * 10**18);
     }
 
     function setMarketplace(address _marketplace) public {
-        marketplace = NFTMarketplace(_marketplace);
+        marketplace = NFTMarketplace(payable(_marketplace));
     }
 
     function setReentrantParams(address _collection, uint256 _tokenId, uint256 _function) external {
@@ -30,28 +34,29 @@ contract ReentrantTokenMock is ERC20 {
             if(reentryFunction == 1) {
                 // marketplace.buyNFT(collection, tokenId, 1);
             } else if(reentryFunction == 2) {
-                marketplace.placeBid(1, 2 ether);
+                EnglishAuctionModule(address(marketplace)).placeBid(1, 2 ether);
             } else if(reentryFunction == 3) {
-                marketplace.buyListedNFT(collection, tokenId, msg.sender, 1);
+                marketplace.buyListedNFT(collection, tokenId, msg.sender, 1, type(uint256).max);
             } else if(reentryFunction == 4) {
-                marketplace.settleAuction(1);
+                EnglishAuctionModule(address(marketplace)).settleAuction(1);
             } else if(reentryFunction == 5) {
-                marketplace.cancelAuction(1);
+                EnglishAuctionModule(address(marketplace)).cancelAuction(1);
             } else if(reentryFunction == 6) {
-                marketplace.createAuction(collection, tokenId, 1, 1 ether, 0.1 ether, 3600);
+                EnglishAuctionModule(address(marketplace)).createAuction(collection, tokenId, 1, 1 ether, 0.1 ether, 3600);
             } else if(reentryFunction == 7) {
-                marketplace.makeOffer(collection, tokenId, address(this), 1 ether, 0.1 ether);
+                OfferBookModule(address(marketplace)).makeOffer(collection, tokenId, address(this), 1 ether, 0.1 ether, 0, address(0));
             } else if(reentryFunction == 8) {
-                marketplace.acceptOffer(1);
+                OfferBookModule(address(marketplace)).acceptOffer(1, 0);
             } else if(reentryFunction == 9) {
-                NFTMarketplace.BatchPurchaseParams[] memory params = new NFTMarketplace.BatchPurchaseParams[](1);
-                params[0] = NFTMarketplace.BatchPurchaseParams({
+                MarketplaceBase.BatchPurchaseParams[] memory params = new MarketplaceBase.BatchPurchaseParams[](1);
+                params[0] = MarketplaceBase.BatchPurchaseParams({
                     collection:address(this),
                     tokenId:1,
                     seller:address(0),
-                    quantity:1
+                    quantity:1,
+                    maxUnitPrice:type(uint256).max
                 });
-                marketplace.batchBuyListedNFTs(params);
+                BatchModule(address(marketplace)).batchBuyListedNFTs(params);
             }
         }
         
@@ -60,27 +65,39 @@ contract ReentrantTokenMock is ERC20 {
 
     function transfer(address recipient, uint256 amount) public virtual override returns (bool) {
         bool success = super.transfer(recipient, amount);
-        
+
+        // Payouts credit the recipient when a transfer fails, which would hide the re-entry,
+        // so its revert reason is recorded instead of bubbled
+        try this.reenterFromTransfer(msg.sender, recipient) {
+            lastReentryError = "";
+        } catch Error(string memory reason) {
+            lastReentryError = reason;
+        }
+
+        return success;
+    }
+
+    function reenterFromTransfer(address caller, address recipient) external {
+        require(msg.sender == address(this), "Only self");
+
         if(recipient != address(marketplace) && reentryFunction == 2) {
-            marketplace.placeBid(1, 2 ether);
+            EnglishAuctionModule(address(marketplace)).placeBid(1, 2 ether);
         } else if(reentryFunction == 2) {
-            marketplace.placeBid(1, 2 ether);
+            EnglishAuctionModule(address(marketplace)).placeBid(1, 2 ether);
         } else if(reentryFunction == 3) {
-            marketplace.buyListedNFT(collection, tokenId, msg.sender, 1);
+            marketplace.buyListedNFT(collection, tokenId, caller, 1, type(uint256).max);
         } else if(reentryFunction == 4) {
-            marketplace.settleAuction(1);
+            EnglishAuctionModule(address(marketplace)).settleAuction(1);
         } else if(reentryFunction == 5) {
-            marketplace.cancelAuction(1);
+            EnglishAuctionModule(address(marketplace)).cancelAuction(1);
         } else if(reentryFunction == 6) {
-            marketplace.createAuction(collection, tokenId, 1, 1 ether, 0.1 ether, 3600);
+            EnglishAuctionModule(address(marketplace)).createAuction(collection, tokenId, 1, 1 ether, 0.1 ether, 3600);
         } else if(reentryFunction == 8) {
-            marketplace.acceptOffer(1);
+            OfferBookModule(address(marketplace)).acceptOffer(1, 0);
         } else if(reentryFunction == 9) {
-            marketplace.cancelOffer(1);
+            OfferBookModule(address(marketplace)).cancelOffer(1);
         } else if(reentryFunction == 10) {
-            marketplace.rejectOffer(1);
+            OfferBookModule(address(marketplace)).rejectOffer(1);
         }
-        
-        return success;
     }
 }
\ No newline at end of file
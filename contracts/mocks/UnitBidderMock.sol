@@ -0,0 +1,24 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.17;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "../marketplace/NFTMarketplace.sol";
+import "../marketplace/modules/AuctionVariantsModule.sol";
+
+// Uniform-price bidder that does not implement IERC1155Receiver, so pushed units bounce
+contract UnitBidderMock {
+    NFTMarketplace public marketplace;
+
+    constructor(address _marketplace) {
+        marketplace = NFTMarketplace(payable(_marketplace));
+    }
+
+    function placeUnitBid(address token, uint256 auctionId, uint256 quantity, uint256 unitPrice) external {
+        IERC20(token).approve(address(marketplace), quantity * unitPrice);
+        AuctionVariantsModule(address(marketplace)).placeUnitBid(auctionId, quantity, unitPrice);
+    }
+
+    function claimUnits(uint256 auctionId, address recipient) external {
+        AuctionVariantsModule(address(marketplace)).claimUnits(auctionId, recipient);
+    }
+}
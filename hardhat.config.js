@@ -14,8 +14,7 @@ module.exports = {
     },
     networks: {
         hardhat: {
-            chainId: 1337,
-            allowUnlimitedContractSize: true
+            chainId: 1337
         }
     },
     mocha: {
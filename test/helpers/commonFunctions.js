@@ -4,14 +4,14 @@ async function primarySale(collection, marketplace, creator, tokenId, token, buy
     let initialBalance = await collection.balanceOf(buyer.address, tokenId);
     let initialBalanceCreator = await collection.balanceOf(creator.address, tokenId);
     await collection.connect(creator).setApprovalForAll(marketplace.address, true);
-        await marketplace.connect(creator).listNFT(
+        await marketplace.connect(creator)["listNFT(address,uint256,uint256,uint256)"](
             collection.address,
             tokenId,
             nftPrice,
             buyAmount
         );
         await token.connect(buyer).approve(marketplace.address, ethers.utils.parseEther("10000"));
-        await marketplace.connect(buyer).buyListedNFT(
+        await marketplace.connect(buyer)["buyListedNFT(address,uint256,address,uint256)"](
             collection.address,
             tokenId,
             creator.address,
@@ -20,6 +20,55 @@ async function primarySale(collection, marketplace, creator, tokenId, token, buy
         expect(await collection.balanceOf(creator.address, tokenId)).to.equal(initialBalanceCreator-buyAmount);
         expect(await collection.balanceOf(buyer.address, tokenId)).to.equal(initialBalance/1 + buyAmount/1);
 }
+async function signListing(marketplace, signer, order) {
+    const domain = {
+        name: "NFTMarketplace",
+        version: "1",
+        chainId: (await ethers.provider.getNetwork()).chainId,
+        verifyingContract: marketplace.address
+    };
+    const types = {
+        SignedListing: [
+            { name: "seller", type: "address" },
+            { name: "collection", type: "address" },
+            { name: "tokenId", type: "uint256" },
+            { name: "price", type: "uint256" },
+            { name: "paymentToken", type: "address" },
+            { name: "quantity", type: "uint256" },
+            { name: "nonce", type: "uint256" },
+            { name: "deadline", type: "uint256" }
+        ]
+    };
+    return signer._signTypedData(domain, types, order);
+}
+async function signPermit(token, signer, spender, value, deadline) {
+    const domain = {
+        name: await token.name(),
+        version: "1",
+        chainId: (await ethers.provider.getNetwork()).chainId,
+        verifyingContract: token.address
+    };
+    const types = {
+        Permit: [
+            { name: "owner", type: "address" },
+            { name: "spender", type: "address" },
+            { name: "value", type: "uint256" },
+            { name: "nonce", type: "uint256" },
+            { name: "deadline", type: "uint256" }
+        ]
+    };
+    const message = {
+        owner: signer.address,
+        spender: spender,
+        value: value,
+        nonce: await token.nonces(signer.address),
+        deadline: deadline
+    };
+    const { v, r, s } = ethers.utils.splitSignature(await signer._signTypedData(domain, types, message));
+    return { value, deadline, v, r, s };
+}
 module.exports = {
-    primarySale
+    primarySale,
+    signListing,
+    signPermit
 }
\ No newline at end of file
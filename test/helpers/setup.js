@@ -1,6 +1,55 @@
 const { ethers } = require("hardhat");
 const { time } = require("@nomicfoundation/hardhat-network-helpers");
 
+// Feature modules NFTMarketplace delegates to, in its constructor's Modules order
+const MARKETPLACE_MODULES = [
+    "EnglishAuctionModule",
+    "AuctionVariantsModule",
+    "OfferBookModule",
+    "CollectionOfferModule",
+    "ListingModule",
+    "BatchModule",
+    "BundleSwapModule",
+    "SignedListingModule"
+];
+
+// Deploys every module for the designated token, keyed as the NFTMarketplace Modules struct
+async function deployMarketplaceModules(designatedToken) {
+    const modules = {};
+    for (const moduleName of MARKETPLACE_MODULES) {
+        const Module = await ethers.getContractFactory(moduleName);
+        const module = await Module.deploy(designatedToken);
+        await module.deployed();
+        modules[moduleName.charAt(0).toLowerCase() + moduleName.slice(1, -"Module".length)] = module.address;
+    }
+    return modules;
+}
+
+// Deploys the marketplace (or a contract extending it) with its modules and returns it
+// with the combined ABI, so the functions the modules implement can be called directly
+async function deployMarketplace(contractName, designatedToken, primaryFee, secondaryFee) {
+    const modules = await deployMarketplaceModules(designatedToken);
+    const Marketplace = await ethers.getContractFactory(contractName);
+    const marketplace = await Marketplace.deploy(designatedToken, primaryFee, secondaryFee, modules);
+    await marketplace.deployed();
+
+    const fragments = new Map();
+    for (const fragment of marketplace.interface.fragments) {
+        fragments.set(fragment.format("full"), fragment);
+    }
+    for (const moduleName of MARKETPLACE_MODULES) {
+        const Module = await ethers.getContractFactory(moduleName);
+        for (const fragment of Module.interface.fragments) {
+            // the constructor of a module is not callable through the marketplace
+            if (fragment.type !== "constructor") {
+                fragments.set(fragment.format("full"), fragment);
+            }
+        }
+    }
+
+    return new ethers.Contract(marketplace.address, [...fragments.values()], marketplace.signer);
+}
+
 async function deployTestContracts() {
     const [owner, creator, buyer, seller] = await ethers.getSigners();
 
@@ -10,13 +59,12 @@ async function deployTestContracts() {
     await token.deployed();
 
     // Deploy NFTMarketplace
-    const NFTMarketplace = await ethers.getContractFactory("NFTMarketplace");
-    const marketplace = await NFTMarketplace.deploy(
+    const marketplace = await deployMarketplace(
+        "NFTMarketplace",
         token.address,    // designated token
         25,              // primaryFee (2.5%)
         10,              // secondaryFee (1%)
     );
-    await marketplace.deployed();
 
     // Deploy BaseCollection implementation
     const BaseCollection = await ethers.getContractFactory("BaseCollection");
@@ -57,5 +105,8 @@ async function deployTestContracts() {
 }
 
 module.exports = {
+    MARKETPLACE_MODULES,
+    deployMarketplace,
+    deployMarketplaceModules,
     deployTestContracts
 };
\ No newline at end of file
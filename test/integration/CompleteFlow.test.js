@@ -46,7 +46,7 @@ describe("Complete Flow", function () {
 
         // Secondary Sale Setup
         await collection.connect(buyer).setApprovalForAll(marketplace.address, true);
-        await marketplace.connect(buyer).listNFT(
+        await marketplace.connect(buyer)["listNFT(address,uint256,uint256,uint256)"](
             collection.address,
             tokenId,
             ethers.utils.parseEther("2"),
@@ -54,7 +54,7 @@ describe("Complete Flow", function () {
         );
 
         await token.connect(seller).approve(marketplace.address, ethers.utils.parseEther("10"));
-        await marketplace.connect(seller).buyListedNFT(
+        await marketplace.connect(seller)["buyListedNFT(address,uint256,address,uint256)"](
             collection.address,
             tokenId,
             buyer.address,
@@ -67,7 +67,7 @@ describe("Complete Flow", function () {
 
         // Platform fees
         const initialOwnerBalance = await token.balanceOf(owner.address);
-        await marketplace.connect(owner).withdrawFees();
+        await marketplace.connect(owner)["withdrawFees()"]();
         expect(await token.balanceOf(owner.address)).to.be.gt(initialOwnerBalance);
     });
 
@@ -110,7 +110,7 @@ describe("Complete Flow", function () {
 
         // Secondary sale
         await drop.connect(buyer).setApprovalForAll(marketplace.address, true);
-        await marketplace.connect(buyer).listNFT(
+        await marketplace.connect(buyer)["listNFT(address,uint256,uint256,uint256)"](
             drop.address,
             tokenId,
             ethers.utils.parseEther("2"),
@@ -118,7 +118,7 @@ describe("Complete Flow", function () {
         );
 
         await token.connect(seller).approve(marketplace.address, ethers.utils.parseEther("10"));
-        await marketplace.connect(seller).buyListedNFT(
+        await marketplace.connect(seller)["buyListedNFT(address,uint256,address,uint256)"](
             drop.address,
             tokenId,
             buyer.address,
@@ -151,13 +151,13 @@ describe("Complete Flow", function () {
 
         // List NFTs
         await collection.connect(buyer).setApprovalForAll(marketplace.address, true);
-        await marketplace.connect(buyer).listNFT(
+        await marketplace.connect(buyer)["listNFT(address,uint256,uint256,uint256)"](
             collection.address,
             1,
             ethers.utils.parseEther("2"),
             2
         );
-        await marketplace.connect(buyer).listNFT(
+        await marketplace.connect(buyer)["listNFT(address,uint256,uint256,uint256)"](
             collection.address,
             2,
             ethers.utils.parseEther("3"),
@@ -166,7 +166,7 @@ describe("Complete Flow", function () {
 
         // Partial purchase
         await token.connect(seller).approve(marketplace.address, ethers.utils.parseEther("100"));
-        await marketplace.connect(seller).buyListedNFT(
+        await marketplace.connect(seller)["buyListedNFT(address,uint256,address,uint256)"](
             collection.address,
             1,
             buyer.address,
@@ -349,7 +349,7 @@ describe("Complete Flow", function () {
 
         // Try to make offer while auction is active
         await token.connect(seller).approve(marketplace.address, ethers.utils.parseEther("10"));
-        await marketplace.connect(seller).makeOffer(
+        await marketplace.connect(seller)["makeOffer(address,uint256,address,uint256,uint256)"](
             collection.address,
             tokenId,
             creator.address,
@@ -358,7 +358,7 @@ describe("Complete Flow", function () {
         );
 
         // Try to accept offer while auction is active
-        const offerTx = await marketplace.connect(seller).makeOffer(
+        const offerTx = await marketplace.connect(seller)["makeOffer(address,uint256,address,uint256,uint256)"](
             collection.address,
             tokenId,
             creator.address,
@@ -369,12 +369,12 @@ describe("Complete Flow", function () {
         const offerId = offerReceipt.events.find(e => e.event === "OfferCreated").args.offerId;
 
         await expect(
-            marketplace.connect(creator).acceptOffer(offerId)
+            marketplace.connect(creator)["acceptOffer(uint256)"](offerId)
         ).to.be.revertedWith("Active auction exists");
 
         // Cancel auction and then accept offer
         await marketplace.connect(creator).cancelAuction(auctionId);
-        await marketplace.connect(creator).acceptOffer(offerId);
+        await marketplace.connect(creator)["acceptOffer(uint256)"](offerId);
 
         // Verify final states
         expect(await collection.balanceOf(seller.address, tokenId)).to.equal(1);
@@ -406,7 +406,7 @@ describe("Complete Flow", function () {
 
         // Create listing
         await collection.connect(buyer).setApprovalForAll(marketplace.address, true);
-        await marketplace.connect(buyer).listNFT(
+        await marketplace.connect(buyer)["listNFT(address,uint256,uint256,uint256)"](
             collection.address,
             tokenId,
             ethers.utils.parseEther("2"),
@@ -415,7 +415,7 @@ describe("Complete Flow", function () {
 
         // Make offer
         await token.connect(seller).approve(marketplace.address, ethers.utils.parseEther("3"));
-        const offerTx = await marketplace.connect(seller).makeOffer(
+        const offerTx = await marketplace.connect(seller)["makeOffer(address,uint256,address,uint256,uint256)"](
             collection.address,
             tokenId,
             buyer.address,
@@ -426,7 +426,7 @@ describe("Complete Flow", function () {
         const offerId = offerReceipt.events.find(e => e.event === "OfferCreated").args.offerId;
 
         // Accept offer
-        await marketplace.connect(buyer).acceptOffer(offerId);
+        await marketplace.connect(buyer)["acceptOffer(uint256)"](offerId);
 
         // Verify final states
         expect(await collection.balanceOf(seller.address, tokenId)).to.equal(2);
@@ -486,21 +486,21 @@ describe("Complete Flow", function () {
         await primarySale(collection1, marketplace, creator, 1, token, seller, 10, 100, ethers.utils.parseEther("1"));
 
         // List all nfts for sale
-        await marketplace.connect(seller).listNFT(
+        await marketplace.connect(seller)["listNFT(address,uint256,uint256,uint256)"](
             collection1.address,
             1,
             ethers.utils.parseEther("1"),
             10
         );
         
-        await marketplace.connect(creator).listNFT(
+        await marketplace.connect(creator)["listNFT(address,uint256,uint256,uint256)"](
             collection1.address,
             2,
             ethers.utils.parseEther("1"),
             20
         );
         
-        await marketplace.connect(seller).listNFT(
+        await marketplace.connect(seller)["listNFT(address,uint256,uint256,uint256)"](
             collection2.address,
             1,
             ethers.utils.parseEther("1"),
@@ -519,19 +519,22 @@ describe("Complete Flow", function () {
                 collection:collection1.address,
                 tokenId:1,
                 seller:seller.address,
-                quantity:1
+                quantity:1,
+                maxUnitPrice: ethers.constants.MaxUint256
             },
             {
                 collection:collection1.address,
                 tokenId:2,
                 seller:creator.address,
-                quantity:5
+                quantity:5,
+                maxUnitPrice: ethers.constants.MaxUint256
             },
             {
                 collection:collection2.address,
                 tokenId:1,
                 seller:seller.address,
-                quantity:5
+                quantity:5,
+                maxUnitPrice: ethers.constants.MaxUint256
             }
     ]);
         
@@ -210,7 +210,7 @@ describe("Drop", function () {
 
         it("Should list and trade after mint", async function () {
             await drop.connect(buyer).setApprovalForAll(marketplace.address, true);
-            await marketplace.connect(buyer).listNFT(
+            await marketplace.connect(buyer)["listNFT(address,uint256,uint256,uint256)"](
                 drop.address,
                 tokenId,
                 ethers.utils.parseEther("2"),
@@ -218,7 +218,7 @@ describe("Drop", function () {
             );
 
             await token.connect(seller).approve(marketplace.address, ethers.utils.parseEther("10"));
-            await marketplace.connect(seller).buyListedNFT(
+            await marketplace.connect(seller)["buyListedNFT(address,uint256,address,uint256)"](
                 drop.address,
                 tokenId,
                 buyer.address,
@@ -231,7 +231,7 @@ describe("Drop", function () {
 
         it("Should handle multiple secondary trades", async function () {
             await drop.connect(buyer).setApprovalForAll(marketplace.address, true);
-            await marketplace.connect(buyer).listNFT(
+            await marketplace.connect(buyer)["listNFT(address,uint256,uint256,uint256)"](
                 drop.address,
                 tokenId,
                 ethers.utils.parseEther("2"),
@@ -239,7 +239,7 @@ describe("Drop", function () {
             );
 
             await token.connect(seller).approve(marketplace.address, ethers.utils.parseEther("10"));
-            await marketplace.connect(seller).buyListedNFT(
+            await marketplace.connect(seller)["buyListedNFT(address,uint256,address,uint256)"](
                 drop.address,
                 tokenId,
                 buyer.address,
@@ -1,9 +1,15 @@
 const { expect } = require("chai");
+const hre = require("hardhat");
 const { ethers } = require("hardhat");
 const { network } = require("hardhat");
 const { time } = require("@nomicfoundation/hardhat-network-helpers");
-const { deployTestContracts } = require("../helpers/setup");
-const { primarySale } = require("../helpers/commonFunctions")
+const {
+    MARKETPLACE_MODULES,
+    deployMarketplace,
+    deployMarketplaceModules,
+    deployTestContracts
+} = require("../helpers/setup");
+const { primarySale, signListing, signPermit } = require("../helpers/commonFunctions")
 
 describe("NFTMarketplace", function () {
     let token, factory, marketplace;
@@ -79,9 +85,9 @@ describe("NFTMarketplace", function () {
         });
 
         it("Should revert when initializing with zero address token", async function () {
-            const NFTMarketplace = await ethers.getContractFactory("NFTMarketplace");
             await expect(
-                NFTMarketplace.deploy(
+                deployMarketplace(
+                    "NFTMarketplace",
                     ethers.constants.AddressZero,
                     25,
                     10
@@ -89,9 +95,9 @@ describe("NFTMarketplace", function () {
             ).to.be.revertedWith("Invalid token address");
         });
         it("Should revert when initializing with high primary fee", async function () {
-            const NFTMarketplace = await ethers.getContractFactory("NFTMarketplace");
             await expect(
-                NFTMarketplace.deploy(
+                deployMarketplace(
+                    "NFTMarketplace",
                     token.address,
                     1001,
                     10
@@ -99,9 +105,9 @@ describe("NFTMarketplace", function () {
             ).to.be.revertedWith("Primary fee too high");
         });
         it("Should revert when initializing with high Secondary fee", async function () {
-            const NFTMarketplace = await ethers.getContractFactory("NFTMarketplace");
             await expect(
-                NFTMarketplace.deploy(
+                deployMarketplace(
+                    "NFTMarketplace",
                     token.address,
                     25,
                     1001
@@ -205,11 +211,12 @@ describe("NFTMarketplace", function () {
         });
 
         it("Should list NFT", async function () {
-            await marketplace.connect(buyer).listNFT(
+            await marketplace.connect(buyer)["listNFT(address,uint256,uint256,uint256,uint256)"](
                 collection.address,
                 tokenId,
                 ethers.utils.parseEther("2"),
-                1
+                1,
+                0
             );
 
             const listing = await marketplace.getListing(collection.address, tokenId, buyer.address);
@@ -219,36 +226,40 @@ describe("NFTMarketplace", function () {
         });
 
         it("Should revert if tries to buy more than listed Nft", async function () {
-            await marketplace.connect(buyer).listNFT(
+            await marketplace.connect(buyer)["listNFT(address,uint256,uint256,uint256,uint256)"](
                 collection.address,
                 tokenId,
                 ethers.utils.parseEther("2"),
-                1
+                1,
+                0
             );
             await expect(
-                marketplace.connect(seller).buyListedNFT(
+                marketplace.connect(seller)["buyListedNFT(address,uint256,address,uint256,uint256)"](
                     collection.address,
                     tokenId,
                     buyer.address,
-                    100
+                    100,
+                    ethers.constants.MaxUint256
                 )
             ).to.be.revertedWith("Insufficient quantity");
         });
 
         it("Should buy listed NFT", async function () {
-            await marketplace.connect(buyer).listNFT(
+            await marketplace.connect(buyer)["listNFT(address,uint256,uint256,uint256,uint256)"](
                 collection.address,
                 tokenId,
                 ethers.utils.parseEther("2"),
-                1
+                1,
+                0
             );
 
             await token.connect(seller).approve(marketplace.address, ethers.utils.parseEther("10"));
-            await marketplace.connect(seller).buyListedNFT(
+            await marketplace.connect(seller)["buyListedNFT(address,uint256,address,uint256,uint256)"](
                 collection.address,
                 tokenId,
                 buyer.address,
-                1
+                1,
+                ethers.constants.MaxUint256
             );
 
             expect(await collection.balanceOf(seller.address, tokenId)).to.equal(1);
@@ -256,21 +267,23 @@ describe("NFTMarketplace", function () {
 
         it("Should revert if tries to buy from incorrect seller", async function () {
             await expect(
-                marketplace.connect(seller).buyListedNFT(
+                marketplace.connect(seller)["buyListedNFT(address,uint256,address,uint256,uint256)"](
                     collection.address,
                     tokenId,
                     owner.address,
-                    1
+                    1,
+                    ethers.constants.MaxUint256
                 )
             ).to.be.revertedWith("Invalid listing");
         });
 
         it("Should distribute fees correctly in secondary sale", async function () {
-            await marketplace.connect(buyer).listNFT(
+            await marketplace.connect(buyer)["listNFT(address,uint256,uint256,uint256,uint256)"](
                 collection.address,
                 tokenId,
                 ethers.utils.parseEther("2"),
-                1
+                1,
+                0
             );
             await collection.connect(creator).updateRoyaltyPercentage(100);
 
@@ -279,11 +292,12 @@ describe("NFTMarketplace", function () {
             const initialMarketplaceBalance = await token.balanceOf(marketplace.address);
 
             await token.connect(seller).approve(marketplace.address, ethers.utils.parseEther("10"));
-            await marketplace.connect(seller).buyListedNFT(
+            await marketplace.connect(seller)["buyListedNFT(address,uint256,address,uint256,uint256)"](
                 collection.address,
                 tokenId,
                 buyer.address,
-                1
+                1,
+                ethers.constants.MaxUint256
             );
 
             const finalCreatorBalance = await token.balanceOf(creator.address);
@@ -296,11 +310,12 @@ describe("NFTMarketplace", function () {
         });
 
         it("Should remove listing", async function () {
-            await marketplace.connect(buyer).listNFT(
+            await marketplace.connect(buyer)["listNFT(address,uint256,uint256,uint256,uint256)"](
                 collection.address,
                 tokenId,
                 ethers.utils.parseEther("2"),
-                1
+                1,
+                0
             );
 
             await marketplace.connect(buyer).removeListing(collection.address, tokenId);
@@ -401,26 +416,26 @@ describe("NFTMarketplace", function () {
             await primarySale(collection, marketplace, creator, tokenId, token, buyer, 1, 100, ethers.utils.parseEther("1"));
 
             const initialBalance = await token.balanceOf(owner.address);
-            await marketplace.connect(owner).withdrawFees();
+            await marketplace.connect(owner)["withdrawFees(address)"](token.address);
             const finalBalance = await token.balanceOf(owner.address);
 
             expect(finalBalance).to.be.gt(initialBalance);
         });
 
         it("Should handle zero balance in withdrawFees", async function () {
-            await marketplace.connect(owner).withdrawFees();
+            await marketplace.connect(owner)["withdrawFees(address)"](token.address);
             // Should complete without reverting
         });
 
         it("Should revert when non-owner withdraws fees", async function () {
             await expect(
-                marketplace.connect(buyer).withdrawFees()
+                marketplace.connect(buyer)["withdrawFees(address)"](token.address)
             ).to.be.revertedWith("Ownable: caller is not the owner");
         });
     });
     describe("Fee Management and Edge Cases", function () {
         it("Should handle zero balance withdrawal", async function () {
-            await marketplace.connect(owner).withdrawFees();
+            await marketplace.connect(owner)["withdrawFees(address)"](token.address);
             // Should not revert
         });
     
@@ -497,41 +512,45 @@ describe("NFTMarketplace", function () {
         });
         it("Should revert if tries to list Nft from non existent collection", async function () {
             await expect(
-                marketplace.connect(buyer).listNFT(
+                marketplace.connect(buyer)["listNFT(address,uint256,uint256,uint256,uint256)"](
                     ethers.constants.AddressZero,
                     tokenId,
                     ethers.utils.parseEther("2"),
-                    1
+                    1,
+                    0
                 )
             ).to.be.revertedWith("Collection not registered");
         });
         it("Should revert if tries to list Nft zero tokens", async function () {
             await expect(
-                marketplace.connect(buyer).listNFT(
+                marketplace.connect(buyer)["listNFT(address,uint256,uint256,uint256,uint256)"](
                     collection.address,
                     tokenId,
                     ethers.utils.parseEther("0"),
-                    1
+                    1,
+                    0
                 )
             ).to.be.revertedWith("Invalid price");
         });
         it("Should revert if tries to list zero quantity Nft", async function () {
             await expect(
-                marketplace.connect(buyer).listNFT(
+                marketplace.connect(buyer)["listNFT(address,uint256,uint256,uint256,uint256)"](
                     collection.address,
                     tokenId,
                     ethers.utils.parseEther("2"),
+                    0,
                     0
                 )
             ).to.be.revertedWith("Invalid quantity");
         });
         it("Should revert if tries to list more than owned Nft", async function () {
             await expect(
-                marketplace.connect(buyer).listNFT(
+                marketplace.connect(buyer)["listNFT(address,uint256,uint256,uint256,uint256)"](
                     collection.address,
                     tokenId,
                     ethers.utils.parseEther("2"),
-                    100
+                    100,
+                    0
                 )
             ).to.be.revertedWith("Insufficient balance");
         });
@@ -542,11 +561,12 @@ describe("NFTMarketplace", function () {
         });
         it("Should revert if tries to buy Nft from unregistered collection", async function () {
             await expect(
-                marketplace.connect(seller).buyListedNFT(
+                marketplace.connect(seller)["buyListedNFT(address,uint256,address,uint256,uint256)"](
                     ethers.constants.AddressZero,
                     tokenId,
                     buyer.address,
-                    1
+                    1,
+                    ethers.constants.MaxUint256
                 )
             ).to.be.revertedWith("Collection not registered");
         });
@@ -614,11 +634,12 @@ describe("NFTMarketplace", function () {
     
             it("Should revert if already listed", async function () {
                 await collection.connect(buyer).setApprovalForAll(marketplace.address, true);
-                await marketplace.connect(buyer).listNFT(
+                await marketplace.connect(buyer)["listNFT(address,uint256,uint256,uint256,uint256)"](
                     collection.address,
                     tokenId,
                     ethers.utils.parseEther("1"),
-                    2
+                    2,
+                    0
                 );
     
                 await expect(
@@ -1047,11 +1068,12 @@ describe("NFTMarketplace", function () {
     
             // Try to list same NFT while auction is active
             await expect(
-                marketplace.connect(buyer).listNFT(
+                marketplace.connect(buyer)["listNFT(address,uint256,uint256,uint256,uint256)"](
                     collection.address,
                     tokenId,
                     ethers.utils.parseEther("1"),
-                    1
+                    1,
+                    0
                 )
             ).to.be.revertedWith("Already listed");
         });
@@ -1079,11 +1101,12 @@ describe("NFTMarketplace", function () {
             await marketplace.connect(buyer).settleAuction(auctionId);
     
             // Should now be able to list remaining NFTs
-            await marketplace.connect(buyer).listNFT(
+            await marketplace.connect(buyer)["listNFT(address,uint256,uint256,uint256,uint256)"](
                 collection.address,
                 tokenId,
                 ethers.utils.parseEther("1"),
-                1
+                1,
+                0
             );
         });
     
@@ -1115,11 +1138,12 @@ describe("NFTMarketplace", function () {
     
             // Try to buy as fixed price
             await expect(
-                marketplace.connect(seller).buyListedNFT(
+                marketplace.connect(seller)["buyListedNFT(address,uint256,address,uint256,uint256)"](
                     collection.address,
                     tokenId,
                     buyer.address,
-                    1
+                    1,
+                    ethers.constants.MaxUint256
                 )
             ).to.be.revertedWith("Not a fixed price listing");
         });
@@ -1271,13 +1295,7 @@ describe("NFTMarketplace", function () {
         
         beforeEach(async function () {
             // Deploy mock marketplace
-            const MockMarketplace = await ethers.getContractFactory("NFTMarketplaceMock");
-            mockMarketplace = await MockMarketplace.deploy(
-                token.address,
-                25,              // primaryFee (2.5%)
-                10              // secondaryFee (1%)
-            );
-            await mockMarketplace.deployed();
+            mockMarketplace = await deployMarketplace("NFTMarketplaceMock", token.address, 25, 10);
     
             // Deploy new factory pointing to mock marketplace
             const CollectionFactory = await ethers.getContractFactory("CollectionFactory");
@@ -1355,11 +1373,12 @@ describe("NFTMarketplace", function () {
             // Force update auction status to ENDED
             await mockMarketplace.updateAuctionStatus(auctionId,true);
             // Should be able to list the nft once the auction is ended
-            await mockMarketplace.connect(buyer).listNFT(
+            await mockMarketplace.connect(buyer)["listNFT(address,uint256,uint256,uint256,uint256)"](
                 collection.address,
                 tokenId,
                 ethers.utils.parseEther("1"),
-                2
+                2,
+                0
             );
             
         });
@@ -1412,13 +1431,7 @@ describe("NFTMarketplace", function () {
             await reentrantNFT.deployed();
     
             // Deploy mock marketplace
-            const MockMarketplace = await ethers.getContractFactory("NFTMarketplaceMock");
-            mockMarketplace = await MockMarketplace.deploy(
-                reentrantToken.address,
-                25,
-                10
-            );
-            await mockMarketplace.deployed();
+            mockMarketplace = await deployMarketplace("NFTMarketplaceMock", reentrantToken.address, 25, 10);
     
             await reentrantToken.setMarketplace(mockMarketplace.address);
             await reentrantNFT.setMarketplace(mockMarketplace.address);
@@ -1501,11 +1514,12 @@ describe("NFTMarketplace", function () {
     
             // Create listing
             await collection.connect(buyer).setApprovalForAll(mockMarketplace.address, true);
-            await mockMarketplace.connect(buyer).listNFT(
+            await mockMarketplace.connect(buyer)["listNFT(address,uint256,uint256,uint256,uint256)"](
                 collection.address,
                 tokenId,
                 ethers.utils.parseEther("1"),
-                2
+                2,
+                0
             );
     
             // Setup reentrant parameters
@@ -1513,11 +1527,12 @@ describe("NFTMarketplace", function () {
             
             // Try to buy listed NFT which should trigger reentry
             await expect(
-                mockMarketplace.connect(seller).buyListedNFT(
+                mockMarketplace.connect(seller)["buyListedNFT(address,uint256,address,uint256,uint256)"](
                     collection.address,
                     tokenId,
                     buyer.address,
-                    1
+                    1,
+                    ethers.constants.MaxUint256
                 )
             ).to.be.revertedWith("ReentrancyGuard: reentrant call");
         });
@@ -1553,9 +1568,14 @@ describe("NFTMarketplace", function () {
             await reentrantToken.setReentrantParams(collection.address, tokenId, 4); // New function number for settleAuction
             
             // Try to settle auction which should trigger reentry
-            await expect(
-                mockMarketplace.connect(buyer).settleAuction(auctionId)
-            ).to.be.revertedWith("ReentrancyGuard: reentrant call");
+            await mockMarketplace.connect(buyer).settleAuction(auctionId);
+
+            // The payout's re-entry is refused and the auction settles exactly once
+            expect(await reentrantToken.lastReentryError()).to.equal("ReentrancyGuard: reentrant call");
+            expect((await mockMarketplace.auctions(auctionId)).status).to.equal(1); // ENDED
+            expect(await collection.balanceOf(seller.address, tokenId)).to.equal(2);
+            expect(await mockMarketplace.amountLockedInPool(reentrantToken.address)).to.equal(0);
+            expect(await mockMarketplace.credits(buyer.address, reentrantToken.address)).to.equal(0);
         });
     
         it("Should prevent reentrant calls through cancelAuction", async function () {
@@ -1631,11 +1651,12 @@ describe("NFTMarketplace", function () {
             
             // Try to create auction which should trigger reentry
             await expect(
-                mockMarketplace.connect(buyer).listNFT(
+                mockMarketplace.connect(buyer)["listNFT(address,uint256,uint256,uint256,uint256)"](
                     mockbasecoll.address,
                     tokenId,
                     2,
-                    1
+                    1,
+                    0
                 )
             ).to.be.revertedWith("ReentrancyGuard: reentrant call");
         });
@@ -1648,11 +1669,12 @@ describe("NFTMarketplace", function () {
             await mockbasecoll.setReentryFunction(9);
             
             
-            await mockMarketplace.connect(creator).listNFT(
+            await mockMarketplace.connect(creator)["listNFT(address,uint256,uint256,uint256,uint256)"](
                 mockbasecoll.address,
                 tokenId,
                 ethers.utils.parseEther("1"),
-                5  // List all NFTs
+                5,  // List all NFTs
+                0
             );
             
            
@@ -1663,7 +1685,8 @@ describe("NFTMarketplace", function () {
                     collection:mockbasecoll.address,
                     tokenId:tokenId,
                     seller:creator.address,
-                    quantity:1
+                    quantity:1,
+                    maxUnitPrice: ethers.constants.MaxUint256
                 }
             ])).to.be.revertedWith("ReentrancyGuard: reentrant call");
 
@@ -1702,12 +1725,14 @@ describe("NFTMarketplace", function () {
         describe("Making Offers", function () {
             it("Should create offer successfully", async function () {
                 await token.connect(seller).approve(marketplace.address, ethers.utils.parseEther("2"));
-                const tx = await marketplace.connect(seller).makeOffer(
+                const tx = await marketplace.connect(seller)["makeOffer(address,uint256,address,uint256,uint256,uint256,address)"](
                     collection.address,
                     tokenId,
                     buyer.address,
                     2,
-                    ethers.utils.parseEther("1")
+                    ethers.utils.parseEther("1"),
+                    0,
+                    ethers.constants.AddressZero
                 );
     
                 const receipt = await tx.wait();
@@ -1722,12 +1747,14 @@ describe("NFTMarketplace", function () {
             it("Should revert with invalid seller", async function () {
                 await token.connect(seller).approve(marketplace.address, ethers.utils.parseEther("2"));
                 await expect(
-                    marketplace.connect(seller).makeOffer(
+                    marketplace.connect(seller)["makeOffer(address,uint256,address,uint256,uint256,uint256,address)"](
                         collection.address,
                         tokenId,
                         ethers.constants.AddressZero,
                         2,
-                        ethers.utils.parseEther("1")
+                        ethers.utils.parseEther("1"),
+                        0,
+                        ethers.constants.AddressZero
                     )
                 ).to.be.revertedWith("Invalid seller");
             });
@@ -1735,12 +1762,14 @@ describe("NFTMarketplace", function () {
             it("Should revert when making offer to self", async function () {
                 await token.connect(buyer).approve(marketplace.address, ethers.utils.parseEther("2"));
                 await expect(
-                    marketplace.connect(buyer).makeOffer(
+                    marketplace.connect(buyer)["makeOffer(address,uint256,address,uint256,uint256,uint256,address)"](
                         collection.address,
                         tokenId,
                         buyer.address,
                         2,
-                        ethers.utils.parseEther("1")
+                        ethers.utils.parseEther("1"),
+                        0,
+                        ethers.constants.AddressZero
                     )
                 ).to.be.revertedWith("Cannot make offer to self");
             });
@@ -1751,12 +1780,14 @@ describe("NFTMarketplace", function () {
     
             beforeEach(async function () {
                 await token.connect(seller).approve(marketplace.address, ethers.utils.parseEther("2"));
-                const tx = await marketplace.connect(seller).makeOffer(
+                const tx = await marketplace.connect(seller)["makeOffer(address,uint256,address,uint256,uint256,uint256,address)"](
                     collection.address,
                     tokenId,
                     buyer.address,
                     2,
-                    ethers.utils.parseEther("1")
+                    ethers.utils.parseEther("1"),
+                    0,
+                    ethers.constants.AddressZero
                 );
                 const receipt = await tx.wait();
                 offerId = receipt.events.find(e => e.event === "OfferCreated").args.offerId;
@@ -1764,7 +1795,7 @@ describe("NFTMarketplace", function () {
     
             it("Should accept offer successfully", async function () {
                 await collection.connect(buyer).setApprovalForAll(marketplace.address, true);
-                await marketplace.connect(buyer).acceptOffer(offerId);
+                await marketplace.connect(buyer)["acceptOffer(uint256,uint256)"](offerId, 0);
     
                 const offer = await marketplace.getOffer(offerId);
                 expect(offer.offer.status).to.equal(1); // ACCEPTED
@@ -1788,16 +1819,17 @@ describe("NFTMarketplace", function () {
             it("Should handle listing quantity updates when accepting offer", async function () {
                 // Create listing first
                 await collection.connect(buyer).setApprovalForAll(marketplace.address, true);
-                await marketplace.connect(buyer).listNFT(
+                await marketplace.connect(buyer)["listNFT(address,uint256,uint256,uint256,uint256)"](
                     collection.address,
                     tokenId,
                     ethers.utils.parseEther("1"),
-                    4
+                    4,
+                    0
                 );
                 // updating royalty %
                 await collection.connect(creator).updateRoyaltyPercentage(100);
                 // Accept offer for 2 NFTs
-                await marketplace.connect(buyer).acceptOffer(offerId);
+                await marketplace.connect(buyer)["acceptOffer(uint256,uint256)"](offerId, 0);
         
                 const listing = await marketplace.listings(collection.address, tokenId, buyer.address);
                 expect(listing.quantity).to.equal(3); // Should be 3 because it will use 1 from unlisted (5-4=1) and 1 from listed
@@ -1811,28 +1843,34 @@ describe("NFTMarketplace", function () {
                 await token.connect(creator).approve(marketplace.address, ethers.utils.parseEther("10"));
     
                 // Seller makes offers
-                await marketplace.connect(seller).makeOffer(
+                await marketplace.connect(seller)["makeOffer(address,uint256,address,uint256,uint256,uint256,address)"](
                     collection.address,
                     tokenId,
                     buyer.address,
                     1,
-                    ethers.utils.parseEther("1")
+                    ethers.utils.parseEther("1"),
+                    0,
+                    ethers.constants.AddressZero
                 );
-                await marketplace.connect(seller).makeOffer(
+                await marketplace.connect(seller)["makeOffer(address,uint256,address,uint256,uint256,uint256,address)"](
                     collection.address,
                     tokenId,
                     buyer.address,
                     2,
-                    ethers.utils.parseEther("1.5")
+                    ethers.utils.parseEther("1.5"),
+                    0,
+                    ethers.constants.AddressZero
                 );
     
                 // Creator makes offer
-                await marketplace.connect(creator).makeOffer(
+                await marketplace.connect(creator)["makeOffer(address,uint256,address,uint256,uint256,uint256,address)"](
                     collection.address,
                     tokenId,
                     buyer.address,
                     1,
-                    ethers.utils.parseEther("2")
+                    ethers.utils.parseEther("2"),
+                    0,
+                    ethers.constants.AddressZero
                 );
             });
     
@@ -1911,13 +1949,7 @@ describe("NFTMarketplace", function () {
             await reentrantToken.deployed();
     
             // Deploy new marketplace with reentrant token
-            const MockMarketplace = await ethers.getContractFactory("NFTMarketplaceMock");
-            const mockMarketplace = await MockMarketplace.deploy(
-                reentrantToken.address,
-                25,
-                10
-            );
-            await mockMarketplace.deployed();
+            const mockMarketplace = await deployMarketplace("NFTMarketplaceMock", reentrantToken.address, 25, 10);
             await reentrantToken.setMarketplace(mockMarketplace.address);
             await mockMarketplace.setCollectionFactory(factory.address);
             await mockMarketplace.registerCollectionMock(collection.address);
@@ -1930,12 +1962,14 @@ describe("NFTMarketplace", function () {
     
             // Try to make offer which should trigger reentry
             await expect(
-                mockMarketplace.connect(seller).makeOffer(
+                mockMarketplace.connect(seller)["makeOffer(address,uint256,address,uint256,uint256,uint256,address)"](
                     collection.address,
                     tokenId,
                     buyer.address,
                     1,
-                    ethers.utils.parseEther("1")
+                    ethers.utils.parseEther("1"),
+                    0,
+                    ethers.constants.AddressZero
                 )
             ).to.be.revertedWith("ReentrancyGuard: reentrant call");
         });
@@ -1946,48 +1980,56 @@ describe("NFTMarketplace", function () {
             await unregisteredCollection.deployed();
     
             await expect(
-                marketplace.connect(seller).makeOffer(
+                marketplace.connect(seller)["makeOffer(address,uint256,address,uint256,uint256,uint256,address)"](
                     unregisteredCollection.address,
                     tokenId,
                     buyer.address,
                     1,
-                    ethers.utils.parseEther("1")
+                    ethers.utils.parseEther("1"),
+                    0,
+                    ethers.constants.AddressZero
                 )
             ).to.be.revertedWith("Collection not registered");
         });
     
         it("Should revert with zero quantity", async function () {
             await expect(
-                marketplace.connect(seller).makeOffer(
+                marketplace.connect(seller)["makeOffer(address,uint256,address,uint256,uint256,uint256,address)"](
                     collection.address,
                     tokenId,
                     buyer.address,
                     0,
-                    ethers.utils.parseEther("1")
+                    ethers.utils.parseEther("1"),
+                    0,
+                    ethers.constants.AddressZero
                 )
             ).to.be.revertedWith("Invalid quantity");
         });
     
         it("Should revert with zero price", async function () {
             await expect(
-                marketplace.connect(seller).makeOffer(
+                marketplace.connect(seller)["makeOffer(address,uint256,address,uint256,uint256,uint256,address)"](
                     collection.address,
                     tokenId,
                     buyer.address,
                     1,
-                    0
+                    0,
+                    0,
+                    ethers.constants.AddressZero
                 )
             ).to.be.revertedWith("Invalid price");
         });
     
         it("Should revert when seller has insufficient balance", async function () {
             await expect(
-                marketplace.connect(seller).makeOffer(
+                marketplace.connect(seller)["makeOffer(address,uint256,address,uint256,uint256,uint256,address)"](
                     collection.address,
                     tokenId,
                     buyer.address,
                     10, // More than buyer's balance of 5
-                    ethers.utils.parseEther("1")
+                    ethers.utils.parseEther("1"),
+                    0,
+                    ethers.constants.AddressZero
                 )
             ).to.be.revertedWith("Insufficient seller balance");
         });
@@ -2000,13 +2042,7 @@ describe("NFTMarketplace", function () {
                 await reentrantToken.deployed();
     
                 // Deploy new marketplace with reentrant token
-                const MockMarketplace = await ethers.getContractFactory("NFTMarketplaceMock");
-                const mockMarketplace = await MockMarketplace.deploy(
-                    reentrantToken.address,
-                    25,
-                    10
-                );
-                await mockMarketplace.deployed();
+                const mockMarketplace = await deployMarketplace("NFTMarketplaceMock", reentrantToken.address, 25, 10);
     
                 await reentrantToken.setMarketplace(mockMarketplace.address);
                 await mockMarketplace.setCollectionFactory(factory.address);
@@ -2017,12 +2053,14 @@ describe("NFTMarketplace", function () {
                 await reentrantToken.connect(seller).approve(mockMarketplace.address, ethers.utils.parseEther("2"));
                 await collection.connect(buyer).setApprovalForAll(mockMarketplace.address,true);
                 
-                const tx = await mockMarketplace.connect(seller).makeOffer(
+                const tx = await mockMarketplace.connect(seller)["makeOffer(address,uint256,address,uint256,uint256,uint256,address)"](
                     collection.address,
                     tokenId,
                     buyer.address,
                     1,
-                    ethers.utils.parseEther("1")
+                    ethers.utils.parseEther("1"),
+                    0,
+                    ethers.constants.AddressZero
                 );
                 const receipt = await tx.wait();
                 const offerId = receipt.events.find(e => e.event === "OfferCreated").args.offerId;
@@ -2031,26 +2069,31 @@ describe("NFTMarketplace", function () {
                 await reentrantToken.setReentrantParams(collection.address, tokenId, 8); // New function number for acceptOffer
     
                 // Try to accept offer which should trigger reentry
-                await expect(
-                    mockMarketplace.connect(buyer).acceptOffer(offerId)
-                ).to.be.revertedWith("ReentrancyGuard: reentrant call");
+                await mockMarketplace.connect(buyer)["acceptOffer(uint256,uint256)"](offerId, 0);
+
+                // The payout's re-entry is refused and the offer is settled exactly once
+                expect(await reentrantToken.lastReentryError()).to.equal("ReentrancyGuard: reentrant call");
+                expect((await mockMarketplace.getOffer(offerId)).offer.status).to.equal(1); // ACCEPTED
+                expect(await mockMarketplace.amountLockedInPool(reentrantToken.address)).to.equal(0);
             });
     
             it("Should revert when offer does not exist", async function () {
                 await expect(
-                    marketplace.connect(buyer).acceptOffer(999) // Non-existent offerId
+                    marketplace.connect(buyer)["acceptOffer(uint256,uint256)"](999, 0) // Non-existent offerId
                 ).to.be.revertedWith("Offer does not exist");
             });
     
             it("Should revert when offer status is not pending", async function () {
                 // Create and cancel offer first
                 await token.connect(seller).approve(marketplace.address, ethers.utils.parseEther("2"));
-                const tx = await marketplace.connect(seller).makeOffer(
+                const tx = await marketplace.connect(seller)["makeOffer(address,uint256,address,uint256,uint256,uint256,address)"](
                     collection.address,
                     tokenId,
                     buyer.address,
                     1,
-                    ethers.utils.parseEther("1")
+                    ethers.utils.parseEther("1"),
+                    0,
+                    ethers.constants.AddressZero
                 );
                 const receipt = await tx.wait();
                 const offerId = receipt.events.find(e => e.event === "OfferCreated").args.offerId;
@@ -2060,26 +2103,28 @@ describe("NFTMarketplace", function () {
     
                 // Try to accept cancelled offer
                 await expect(
-                    marketplace.connect(buyer).acceptOffer(offerId)
+                    marketplace.connect(buyer)["acceptOffer(uint256,uint256)"](offerId, 0)
                 ).to.be.revertedWith("Invalid offer status");
             });
     
             it("Should revert when caller is not the offer recipient", async function () {
                 // Create offer
                 await token.connect(seller).approve(marketplace.address, ethers.utils.parseEther("2"));
-                const tx = await marketplace.connect(seller).makeOffer(
+                const tx = await marketplace.connect(seller)["makeOffer(address,uint256,address,uint256,uint256,uint256,address)"](
                     collection.address,
                     tokenId,
                     buyer.address,
                     1,
-                    ethers.utils.parseEther("1")
+                    ethers.utils.parseEther("1"),
+                    0,
+                    ethers.constants.AddressZero
                 );
                 const receipt = await tx.wait();
                 const offerId = receipt.events.find(e => e.event === "OfferCreated").args.offerId;
     
                 // Try to accept offer from wrong address
                 await expect(
-                    marketplace.connect(seller).acceptOffer(offerId) // seller instead of buyer
+                    marketplace.connect(seller)["acceptOffer(uint256,uint256)"](offerId, 0) // seller instead of buyer
                 ).to.be.revertedWith("Not offer recipient");
             });
         });
@@ -2087,12 +2132,14 @@ describe("NFTMarketplace", function () {
             it("Should revert when seller balance is insufficient", async function () {
                 // Create offer
                 await token.connect(seller).approve(marketplace.address, ethers.utils.parseEther("2"));
-                const tx = await marketplace.connect(seller).makeOffer(
+                const tx = await marketplace.connect(seller)["makeOffer(address,uint256,address,uint256,uint256,uint256,address)"](
                     collection.address,
                     tokenId,
                     buyer.address,
                     1,
-                    ethers.utils.parseEther("1")
+                    ethers.utils.parseEther("1"),
+                    0,
+                    ethers.constants.AddressZero
                 );
                 const receipt = await tx.wait();
                 const offerId = receipt.events.find(e => e.event === "OfferCreated").args.offerId;
@@ -2108,7 +2155,7 @@ describe("NFTMarketplace", function () {
     
                 // Try to accept offer with insufficient balance
                 await expect(
-                    marketplace.connect(buyer).acceptOffer(offerId)
+                    marketplace.connect(buyer)["acceptOffer(uint256,uint256)"](offerId, 0)
                 ).to.be.revertedWith("Insufficient balance");
             });
     
@@ -2126,46 +2173,51 @@ describe("NFTMarketplace", function () {
     
                 // Create offer
                 await token.connect(seller).approve(marketplace.address, ethers.utils.parseEther("2"));
-                const tx = await marketplace.connect(seller).makeOffer(
+                const tx = await marketplace.connect(seller)["makeOffer(address,uint256,address,uint256,uint256,uint256,address)"](
                     collection.address,
                     tokenId,
                     buyer.address,
                     1,
-                    ethers.utils.parseEther("1")
+                    ethers.utils.parseEther("1"),
+                    0,
+                    ethers.constants.AddressZero
                 );
                 const receipt = await tx.wait();
                 const offerId = receipt.events.find(e => e.event === "OfferCreated").args.offerId;
     
                 // Try to accept offer while auction is active
                 await expect(
-                    marketplace.connect(buyer).acceptOffer(offerId)
+                    marketplace.connect(buyer)["acceptOffer(uint256,uint256)"](offerId, 0)
                 ).to.be.revertedWith("Active auction exists");
             });
     
             it("Should delete listing when all listed NFTs are used", async function () {
                 // Create listing for all NFTs
                 await collection.connect(buyer).setApprovalForAll(marketplace.address, true);
-                await marketplace.connect(buyer).listNFT(
+                await marketplace.connect(buyer)["listNFT(address,uint256,uint256,uint256,uint256)"](
                     collection.address,
                     tokenId,
                     ethers.utils.parseEther("1"),
-                    5  // List all NFTs
+                    5,  // List all NFTs
+                    0
                 );
     
                 // Create offer for all listed NFTs
                 await token.connect(seller).approve(marketplace.address, ethers.utils.parseEther("5"));
-                const tx = await marketplace.connect(seller).makeOffer(
+                const tx = await marketplace.connect(seller)["makeOffer(address,uint256,address,uint256,uint256,uint256,address)"](
                     collection.address,
                     tokenId,
                     buyer.address,
                     5,  // Offer for all NFTs
-                    ethers.utils.parseEther("1")
+                    ethers.utils.parseEther("1"),
+                    0,
+                    ethers.constants.AddressZero
                 );
                 const receipt = await tx.wait();
                 const offerId = receipt.events.find(e => e.event === "OfferCreated").args.offerId;
     
                 // Accept offer
-                const acceptTx = await marketplace.connect(buyer).acceptOffer(offerId);
+                const acceptTx = await marketplace.connect(buyer)["acceptOffer(uint256,uint256)"](offerId, 0);
                 const acceptReceipt = await acceptTx.wait();
     
                 // Verify listing was deleted
@@ -2183,12 +2235,14 @@ describe("NFTMarketplace", function () {
             beforeEach(async function () {
                 // Create offer
                 await token.connect(seller).approve(marketplace.address, ethers.utils.parseEther("2"));
-                const tx = await marketplace.connect(seller).makeOffer(
+                const tx = await marketplace.connect(seller)["makeOffer(address,uint256,address,uint256,uint256,uint256,address)"](
                     collection.address,
                     tokenId,
                     buyer.address,
                     1,
-                    ethers.utils.parseEther("1")
+                    ethers.utils.parseEther("1"),
+                    0,
+                    ethers.constants.AddressZero
                 );
                 const receipt = await tx.wait();
                 offerId = receipt.events.find(e => e.event === "OfferCreated").args.offerId;
@@ -2201,13 +2255,7 @@ describe("NFTMarketplace", function () {
                 await reentrantToken.deployed();
         
                 // Deploy new marketplace with reentrant token
-                const MockMarketplace = await ethers.getContractFactory("NFTMarketplaceMock");
-                const mockMarketplace = await MockMarketplace.deploy(
-                    reentrantToken.address,
-                    25,
-                    10
-                );
-                await mockMarketplace.deployed();
+                const mockMarketplace = await deployMarketplace("NFTMarketplaceMock", reentrantToken.address, 25, 10);
         
                 await reentrantToken.setMarketplace(mockMarketplace.address);
                 await mockMarketplace.registerCollectionMock(collection.address);
@@ -2216,12 +2264,14 @@ describe("NFTMarketplace", function () {
                 await reentrantToken.transfer(seller.address, ethers.utils.parseEther("10"));
                 await reentrantToken.connect(seller).approve(mockMarketplace.address, ethers.utils.parseEther("2"));
                 
-                const tx = await mockMarketplace.connect(seller).makeOffer(
+                const tx = await mockMarketplace.connect(seller)["makeOffer(address,uint256,address,uint256,uint256,uint256,address)"](
                     collection.address,
                     tokenId,
                     buyer.address,
                     1,
-                    ethers.utils.parseEther("1")
+                    ethers.utils.parseEther("1"),
+                    0,
+                    ethers.constants.AddressZero
                 );
                 const receipt = await tx.wait();
                 const newOfferId = receipt.events.find(e => e.event === "OfferCreated").args.offerId;
@@ -2230,9 +2280,12 @@ describe("NFTMarketplace", function () {
                 await reentrantToken.setReentrantParams(collection.address, tokenId, 9); // New function number for cancelOffer
         
                 // Try to cancel offer which should trigger reentry
-                await expect(
-                    mockMarketplace.connect(seller).cancelOffer(newOfferId)
-                ).to.be.revertedWith("ReentrancyGuard: reentrant call");
+                await mockMarketplace.connect(seller).cancelOffer(newOfferId);
+
+                // The payout's re-entry is refused and the offer is settled exactly once
+                expect(await reentrantToken.lastReentryError()).to.equal("ReentrancyGuard: reentrant call");
+                expect((await mockMarketplace.getOffer(newOfferId)).offer.status).to.equal(3); // CANCELLED
+                expect(await mockMarketplace.amountLockedInPool(reentrantToken.address)).to.equal(0);
             });
         
             it("Should revert when offer does not exist", async function () {
@@ -2263,12 +2316,14 @@ describe("NFTMarketplace", function () {
             beforeEach(async function () {
                 // Create offer
                 await token.connect(seller).approve(marketplace.address, ethers.utils.parseEther("2"));
-                const tx = await marketplace.connect(seller).makeOffer(
+                const tx = await marketplace.connect(seller)["makeOffer(address,uint256,address,uint256,uint256,uint256,address)"](
                     collection.address,
                     tokenId,
                     buyer.address,
                     1,
-                    ethers.utils.parseEther("1")
+                    ethers.utils.parseEther("1"),
+                    0,
+                    ethers.constants.AddressZero
                 );
                 const receipt = await tx.wait();
                 offerId = receipt.events.find(e => e.event === "OfferCreated").args.offerId;
@@ -2303,13 +2358,7 @@ describe("NFTMarketplace", function () {
                 await reentrantToken.deployed();
         
                 // Deploy new marketplace with reentrant token
-                const MockMarketplace = await ethers.getContractFactory("NFTMarketplaceMock");
-                const mockMarketplace = await MockMarketplace.deploy(
-                    reentrantToken.address,
-                    25,
-                    10
-                );
-                await mockMarketplace.deployed();
+                const mockMarketplace = await deployMarketplace("NFTMarketplaceMock", reentrantToken.address, 25, 10);
 
                 const CollectionFactory = await ethers.getContractFactory("CollectionFactory");
                 mockFactory = await CollectionFactory.deploy(
@@ -2346,12 +2395,14 @@ describe("NFTMarketplace", function () {
                 await reentrantToken.transfer(seller.address, ethers.utils.parseEther("10"));
                 await reentrantToken.connect(seller).approve(mockMarketplace.address, ethers.utils.parseEther("2"));
                 
-                const tx = await mockMarketplace.connect(seller).makeOffer(
+                const tx = await mockMarketplace.connect(seller)["makeOffer(address,uint256,address,uint256,uint256,uint256,address)"](
                     collectionMock.address,
                     tokenId,
                     buyer.address,
                     1,
-                    ethers.utils.parseEther("1")
+                    ethers.utils.parseEther("1"),
+                    0,
+                    ethers.constants.AddressZero
                 );
                 const receipt = await tx.wait();
                 const newOfferId = receipt.events.find(e => e.event === "OfferCreated").args.offerId;
@@ -2360,9 +2411,12 @@ describe("NFTMarketplace", function () {
                 await reentrantToken.setReentrantParams(collectionMock.address, tokenId, 10); // New function number for rejectOffer
         
                 // Try to reject offer which should trigger reentry
-                await expect(
-                    mockMarketplace.connect(buyer).rejectOffer(newOfferId)
-                ).to.be.revertedWith("ReentrancyGuard: reentrant call");
+                await mockMarketplace.connect(buyer).rejectOffer(newOfferId);
+
+                // The payout's re-entry is refused and the offer is settled exactly once
+                expect(await reentrantToken.lastReentryError()).to.equal("ReentrancyGuard: reentrant call");
+                expect((await mockMarketplace.getOffer(newOfferId)).offer.status).to.equal(2); // REJECTED
+                expect(await mockMarketplace.amountLockedInPool(reentrantToken.address)).to.equal(0);
             });
             it("Should prevent reentrancy in removeListing", async function () {
                 // Deploy reentrant token
@@ -2371,13 +2425,7 @@ describe("NFTMarketplace", function () {
                 await reentrantToken.deployed();
         
                 // Deploy new marketplace with reentrant token
-                const MockMarketplace = await ethers.getContractFactory("NFTMarketplaceMock");
-                const mockMarketplace = await MockMarketplace.deploy(
-                    reentrantToken.address,
-                    25,
-                    10
-                );
-                await mockMarketplace.deployed();
+                const mockMarketplace = await deployMarketplace("NFTMarketplaceMock", reentrantToken.address, 25, 10);
                 const mockBaseCollection = await ethers.getContractFactory("MockReentrantBaseCollection");
                 let mockbasecoll = await mockBaseCollection.deploy(mockMarketplace.address);
                 await mockbasecoll.deployed();
@@ -2389,7 +2437,7 @@ describe("NFTMarketplace", function () {
                  tokenId = 1;
     
                 await mockbasecoll.setReentryFunction(4);
-                await mockMarketplace.connect(buyer).updateListing(mockbasecoll.address,tokenId,buyer.address);
+                await mockMarketplace.connect(buyer).updateAuctionListing(mockbasecoll.address,tokenId,buyer.address);
                 await mockMarketplace.connect(buyer).updateAuction(1);
                 // Try to remove listing which should trigger reentry
                 await expect(
@@ -2400,12 +2448,14 @@ describe("NFTMarketplace", function () {
             it("Should revert when accepting offer without approval", async function () {
                 // Create offer
                 await token.connect(seller).approve(marketplace.address, ethers.utils.parseEther("2"));
-                const tx = await marketplace.connect(seller).makeOffer(
+                const tx = await marketplace.connect(seller)["makeOffer(address,uint256,address,uint256,uint256,uint256,address)"](
                     collection.address,
                     tokenId,
                     buyer.address,
                     1,
-                    ethers.utils.parseEther("1")
+                    ethers.utils.parseEther("1"),
+                    0,
+                    ethers.constants.AddressZero
                 );
                 const receipt = await tx.wait();
                 const offerId = receipt.events.find(e => e.event === "OfferCreated").args.offerId;
@@ -2415,7 +2465,7 @@ describe("NFTMarketplace", function () {
         
                 // Try to accept offer without approval
                 await expect(
-                    marketplace.connect(buyer).acceptOffer(offerId)
+                    marketplace.connect(buyer)["acceptOffer(uint256,uint256)"](offerId, 0)
                 ).to.be.revertedWith("Not approved");
             });
         
@@ -2445,12 +2495,14 @@ describe("NFTMarketplace", function () {
                     await token.connect(buyer).approve(marketplace.address, ethers.utils.parseEther("10"));
                     await primarySale(collection, marketplace, creator, tokenId, token, buyer, 5, 100, ethers.utils.parseEther("1"));
                     // await marketplace.connect(buyer).buyNFT(collection.address, tokenId, 5);
-                    const tx = await marketplace.connect(seller).makeOffer(
+                    const tx = await marketplace.connect(seller)["makeOffer(address,uint256,address,uint256,uint256,uint256,address)"](
                         collection.address,
                         tokenId,
                         buyer.address,
                         1,
-                        ethers.utils.parseEther("1")
+                        ethers.utils.parseEther("1"),
+                        0,
+                        ethers.constants.AddressZero
                     );
             
                     // Get offers with large offset
@@ -2480,12 +2532,14 @@ describe("NFTMarketplace", function () {
                     await token.connect(buyer).approve(marketplace.address, ethers.utils.parseEther("10"));
                     await primarySale(collection, marketplace, creator, tokenId, token, buyer, 5, 100, ethers.utils.parseEther("1"));
                     // await marketplace.connect(buyer).buyNFT(collection.address, tokenId, 5);
-                    const tx1 = await marketplace.connect(seller).makeOffer(
+                    const tx1 = await marketplace.connect(seller)["makeOffer(address,uint256,address,uint256,uint256,uint256,address)"](
                         collection.address,
                         tokenId,
                         buyer.address,
                         1,
-                        ethers.utils.parseEther("1")
+                        ethers.utils.parseEther("1"),
+                        0,
+                        ethers.constants.AddressZero
                     );
                     const receipt1 = await tx1.wait();
                     const offerId1 = receipt1.events.find(e => e.event === "OfferCreated").args.offerId;
@@ -2494,12 +2548,14 @@ describe("NFTMarketplace", function () {
                     await marketplace.connect(seller).cancelOffer(offerId1);
             
                     // Create second offer (will remain pending)
-                    await marketplace.connect(seller).makeOffer(
+                    await marketplace.connect(seller)["makeOffer(address,uint256,address,uint256,uint256,uint256,address)"](
                         collection.address,
                         tokenId,
                         buyer.address,
                         1,
-                        ethers.utils.parseEther("1")
+                        ethers.utils.parseEther("1"),
+                        0,
+                        ethers.constants.AddressZero
                     );
             
                     // Get offers and verify only pending ones are counted
@@ -2536,12 +2592,14 @@ describe("NFTMarketplace", function () {
                     // await marketplace.connect(buyer).buyNFT(collection.address, tokenId, 35);
                     // Create 5 offers
                     for(let i = 0; i < 5; i++) {
-                        await marketplace.connect(seller).makeOffer(
+                        await marketplace.connect(seller)["makeOffer(address,uint256,address,uint256,uint256,uint256,address)"](
                             collection.address,
                             tokenId,
                             buyer.address,
                             1,
-                            ethers.utils.parseEther("1")
+                            ethers.utils.parseEther("1"),
+                            0,
+                            ethers.constants.AddressZero
                         );
                     }
                     // Get offers with small limit
@@ -2557,13 +2615,7 @@ describe("NFTMarketplace", function () {
                 });
                 it("Should accept offer when auction listing exists but is not active", async function () {
                     // Deploy mock marketplace
-                    const MockMarketplace = await ethers.getContractFactory("NFTMarketplaceMock");
-                    const mockMarketplace = await MockMarketplace.deploy(
-                        token.address,
-                        25,
-                        10
-                    );
-                    await mockMarketplace.deployed();
+                    const mockMarketplace = await deployMarketplace("NFTMarketplaceMock", token.address, 25, 10);
                     const CollectionFactory = await ethers.getContractFactory("CollectionFactory");
                     mockFactory = await CollectionFactory.deploy(
                         await factory.collectionImplementation(),
@@ -2612,12 +2664,14 @@ describe("NFTMarketplace", function () {
             
                     // Create offer
                     await token.connect(seller).approve(mockMarketplace.address, ethers.utils.parseEther("2"));
-                    const offerTx = await mockMarketplace.connect(seller).makeOffer(
+                    const offerTx = await mockMarketplace.connect(seller)["makeOffer(address,uint256,address,uint256,uint256,uint256,address)"](
                         collectionMock.address,
                         tokenId,
                         buyer.address,
                         1,
-                        ethers.utils.parseEther("1")
+                        ethers.utils.parseEther("1"),
+                        0,
+                        ethers.constants.AddressZero
                     );
                     const offerReceipt = await offerTx.wait();
                     const offerId = offerReceipt.events.find(e => e.event === "OfferCreated").args.offerId;
@@ -2626,7 +2680,7 @@ describe("NFTMarketplace", function () {
                     await mockMarketplace.updateAuctionStatus(auctionId, true); // true = ENDED
             
                     // Accept offer - should work now as auction is not active
-                    await mockMarketplace.connect(buyer).acceptOffer(offerId);
+                    await mockMarketplace.connect(buyer)["acceptOffer(uint256,uint256)"](offerId, 0);
             
                     // Verify offer was accepted
                     const offer = await mockMarketplace.offers(collectionMock.address, tokenId, offerId);
@@ -2647,7 +2701,8 @@ describe("NFTMarketplace", function () {
                             collection:creator.address,
                             tokenId:1,
                             seller:seller.address,
-                            quantity:1
+                            quantity:1,
+                            maxUnitPrice: ethers.constants.MaxUint256
                         }
                     ])
                 ).to.be.revertedWith("Collection not registered");
@@ -2659,7 +2714,8 @@ describe("NFTMarketplace", function () {
                             collection:collection.address,
                             tokenId:1,
                             seller:seller.address,
-                            quantity:1
+                            quantity:1,
+                            maxUnitPrice: ethers.constants.MaxUint256
                         }
                     ])
                 ).to.be.revertedWith("Invalid listing");
@@ -2688,7 +2744,8 @@ describe("NFTMarketplace", function () {
                             collection:collection.address,
                             tokenId:1,
                             seller:creator.address,
-                            quantity:1
+                            quantity:1,
+                            maxUnitPrice: ethers.constants.MaxUint256
                         }
                     ])
                 ).to.be.revertedWith("Not a fixed price listing");
@@ -2702,11 +2759,12 @@ describe("NFTMarketplace", function () {
                     100
                 );
                 tokenId = 1;
-                await marketplace.connect(creator).listNFT(
+                await marketplace.connect(creator)["listNFT(address,uint256,uint256,uint256,uint256)"](
                     collection.address,
                     tokenId,
                     ethers.utils.parseEther("1"),
-                    5  // List all NFTs
+                    5,  // List all NFTs
+                    0
                 );
                 await expect(
                     marketplace.batchBuyListedNFTs([
@@ -2714,7 +2772,8 @@ describe("NFTMarketplace", function () {
                             collection:collection.address,
                             tokenId:1,
                             seller:creator.address,
-                            quantity:6
+                            quantity:6,
+                            maxUnitPrice: ethers.constants.MaxUint256
                         }
                     ])
                 ).to.be.revertedWith("Insufficient quantity");
@@ -2722,4 +2781,3721 @@ describe("NFTMarketplace", function () {
 
         });
     });
-});
\ No newline at end of file
+    describe("Signed Listings", function () {
+        let order;
+
+        beforeEach(async function () {
+            await collection.connect(creator).setApprovalForAll(marketplace.address, true);
+            await token.connect(buyer).approve(marketplace.address, ethers.utils.parseEther("100"));
+            order = {
+                seller: creator.address,
+                collection: collection.address,
+                tokenId: tokenId,
+                price: ethers.utils.parseEther("1"),
+                paymentToken: ethers.constants.AddressZero,
+                quantity: 10,
+                nonce: 0,
+                deadline: (await time.latest()) + 3600
+            };
+        });
+
+        it("Should fill a signed listing with the primary fee split", async function () {
+            const signature = await signListing(marketplace, creator, order);
+            const initialCreatorBalance = await token.balanceOf(creator.address);
+
+            await expect(
+                marketplace.connect(buyer).fulfillSignedListing(order, signature, 4)
+            ).to.emit(marketplace, "SignedListingFilled")
+                .withArgs(
+                    await marketplace.hashSignedListing(order),
+                    collection.address,
+                    tokenId,
+                    creator.address,
+                    buyer.address,
+                    order.price,
+                    4,
+                    6
+                );
+
+            const totalPrice = ethers.utils.parseEther("4");
+            const platformFee = totalPrice.mul(25).div(1000);
+            expect(await collection.balanceOf(buyer.address, tokenId)).to.equal(4);
+            expect(await token.balanceOf(marketplace.address)).to.equal(platformFee);
+            expect(await token.balanceOf(creator.address)).to.equal(
+                initialCreatorBalance.add(totalPrice).sub(platformFee)
+            );
+        });
+
+        it("Should track partial fills on-chain", async function () {
+            const signature = await signListing(marketplace, creator, order);
+            const orderHash = await marketplace.hashSignedListing(order);
+
+            await marketplace.connect(buyer).fulfillSignedListing(order, signature, 6);
+            expect(await marketplace.signedListingFilled(orderHash)).to.equal(6);
+
+            await expect(
+                marketplace.connect(buyer).fulfillSignedListing(order, signature, 5)
+            ).to.be.revertedWith("Insufficient quantity");
+
+            await marketplace.connect(buyer).fulfillSignedListing(order, signature, 4);
+            expect(await marketplace.signedListingFilled(orderHash)).to.equal(10);
+            expect(await collection.balanceOf(buyer.address, tokenId)).to.equal(10);
+        });
+
+        it("Should revert when signature is not from the seller", async function () {
+            const signature = await signListing(marketplace, buyer, order);
+            await expect(
+                marketplace.connect(buyer).fulfillSignedListing(order, signature, 1)
+            ).to.be.revertedWith("Invalid signature");
+        });
+
+        it("Should revert when order parameters are tampered with", async function () {
+            const signature = await signListing(marketplace, creator, order);
+            await expect(
+                marketplace.connect(buyer).fulfillSignedListing(
+                    { ...order, price: ethers.utils.parseEther("0.1") },
+                    signature,
+                    1
+                )
+            ).to.be.revertedWith("Invalid signature");
+        });
+
+        it("Should revert when signed listing is expired", async function () {
+            const signature = await signListing(marketplace, creator, order);
+            await time.increase(3601);
+            await expect(
+                marketplace.connect(buyer).fulfillSignedListing(order, signature, 1)
+            ).to.be.revertedWith("Signed listing expired");
+        });
+
+        it("Should revert for unregistered collection or zero quantity", async function () {
+            const unregistered = { ...order, collection: seller.address };
+            const signature = await signListing(marketplace, creator, unregistered);
+            await expect(
+                marketplace.connect(buyer).fulfillSignedListing(unregistered, signature, 1)
+            ).to.be.revertedWith("Collection not registered");
+
+            const validSignature = await signListing(marketplace, creator, order);
+            await expect(
+                marketplace.connect(buyer).fulfillSignedListing(order, validSignature, 0)
+            ).to.be.revertedWith("Invalid quantity");
+        });
+
+        it("Should allow seller to cancel a signed listing", async function () {
+            const signature = await signListing(marketplace, creator, order);
+            const orderHash = await marketplace.hashSignedListing(order);
+
+            await expect(
+                marketplace.connect(buyer).cancelSignedListing(order)
+            ).to.be.revertedWith("Not order signer");
+
+            await expect(marketplace.connect(creator).cancelSignedListing(order))
+                .to.emit(marketplace, "SignedListingCancelled")
+                .withArgs(orderHash, creator.address);
+
+            await expect(
+                marketplace.connect(creator).cancelSignedListing(order)
+            ).to.be.revertedWith("Signed listing cancelled");
+            await expect(
+                marketplace.connect(buyer).fulfillSignedListing(order, signature, 1)
+            ).to.be.revertedWith("Signed listing cancelled");
+        });
+
+        it("Should invalidate all signed listings when nonce is incremented", async function () {
+            const signature = await signListing(marketplace, creator, order);
+
+            await expect(marketplace.connect(creator).incrementListingNonce())
+                .to.emit(marketplace, "ListingNonceIncremented")
+                .withArgs(creator.address, 1);
+
+            await expect(
+                marketplace.connect(buyer).fulfillSignedListing(order, signature, 1)
+            ).to.be.revertedWith("Invalid nonce");
+
+            const newOrder = { ...order, nonce: 1 };
+            const newSignature = await signListing(marketplace, creator, newOrder);
+            await marketplace.connect(buyer).fulfillSignedListing(newOrder, newSignature, 1);
+            expect(await collection.balanceOf(buyer.address, tokenId)).to.equal(1);
+        });
+
+        it("Should revert when seller has not approved the marketplace", async function () {
+            await collection.connect(creator).setApprovalForAll(marketplace.address, false);
+            const signature = await signListing(marketplace, creator, order);
+            await expect(
+                marketplace.connect(buyer).fulfillSignedListing(order, signature, 1)
+            ).to.be.revertedWith("ERC1155: caller is not token owner or approved");
+        });
+    });
+    describe("Dutch Auctions", function () {
+        let auctionId;
+        const startPrice = ethers.utils.parseEther("10");
+        const endPrice = ethers.utils.parseEther("1");
+
+        beforeEach(async function () {
+            await collection.connect(creator).setApprovalForAll(marketplace.address, true);
+            await token.connect(buyer).approve(marketplace.address, ethers.utils.parseEther("100"));
+            const tx = await marketplace.connect(creator).createDutchAuction(
+                collection.address,
+                tokenId,
+                5,
+                startPrice,
+                endPrice,
+                9000, // 2.5 hours
+                900,  // price drops every 15 minutes
+                ethers.constants.AddressZero
+            );
+            const receipt = await tx.wait();
+            auctionId = receipt.events.find(e => e.event === "AuctionCreated").args.auctionId;
+        });
+
+        it("Should create a Dutch auction and escrow the NFTs", async function () {
+            const listing = await marketplace.getListing(collection.address, tokenId, creator.address);
+            expect(listing.listingType).to.equal(2); // DUTCH_AUCTION
+            expect(listing.auctionId).to.equal(auctionId);
+            expect(await marketplace.auctionTypes(auctionId)).to.equal(1); // DUTCH
+            const config = await marketplace.dutchAuctions(auctionId);
+            expect(config.endPrice).to.equal(endPrice);
+            expect(config.dropInterval).to.equal(900);
+            expect(await collection.balanceOf(marketplace.address, tokenId)).to.equal(5);
+        });
+
+        it("Should decay the price on the drop schedule", async function () {
+            expect(await marketplace.getDutchAuctionPrice(auctionId)).to.equal(startPrice);
+
+            // still within the first interval
+            await time.increase(800);
+            expect(await marketplace.getDutchAuctionPrice(auctionId)).to.equal(startPrice);
+
+            // 2 of 10 drops elapsed
+            await time.increase(1000);
+            expect(await marketplace.getDutchAuctionPrice(auctionId)).to.equal(ethers.utils.parseEther("8.2"));
+
+            await time.increase(9000);
+            expect(await marketplace.getDutchAuctionPrice(auctionId)).to.equal(endPrice);
+        });
+
+        it("Should settle instantly at the current price with fee distribution", async function () {
+            await time.increase(4500); // 5 drops elapsed
+            const price = ethers.utils.parseEther("5.5");
+            const initialCreatorBalance = await token.balanceOf(creator.address);
+            const initialBuyerBalance = await token.balanceOf(buyer.address);
+
+            await expect(marketplace.connect(buyer).buyDutchAuction(auctionId, startPrice))
+                .to.emit(marketplace, "AuctionSettled")
+                .withArgs(auctionId, buyer.address, price);
+
+            const platformFee = price.mul(25).div(1000);
+            expect(await token.balanceOf(buyer.address)).to.equal(initialBuyerBalance.sub(price));
+            expect(await token.balanceOf(creator.address)).to.equal(initialCreatorBalance.add(price).sub(platformFee));
+            expect(await token.balanceOf(marketplace.address)).to.equal(platformFee);
+            expect(await collection.balanceOf(buyer.address, tokenId)).to.equal(5);
+
+            const auction = await marketplace.auctions(auctionId);
+            expect(auction.status).to.equal(1); // ENDED
+            const listing = await marketplace.getListing(collection.address, tokenId, creator.address);
+            expect(listing.quantity).to.equal(0);
+
+            await expect(
+                marketplace.connect(buyer).buyDutchAuction(auctionId, startPrice)
+            ).to.be.revertedWith("Auction not active");
+        });
+
+        it("Should pay royalties on secondary Dutch auctions", async function () {
+            await collection.connect(creator).updateRoyaltyPercentage(50);
+            await collection.connect(creator).safeTransferFrom(creator.address, seller.address, tokenId, 5, "0x");
+            await collection.connect(seller).setApprovalForAll(marketplace.address, true);
+            const tx = await marketplace.connect(seller).createDutchAuction(
+                collection.address,
+                tokenId,
+                5,
+                startPrice,
+                endPrice,
+                9000,
+                900,
+                ethers.constants.AddressZero
+            );
+            const receipt = await tx.wait();
+            const secondaryAuctionId = receipt.events.find(e => e.event === "AuctionCreated").args.auctionId;
+
+            const initialCreatorBalance = await token.balanceOf(creator.address);
+            const initialSellerBalance = await token.balanceOf(seller.address);
+            await marketplace.connect(buyer).buyDutchAuction(secondaryAuctionId, startPrice);
+
+            const royaltyFee = startPrice.mul(50).div(1000);
+            const platformFee = startPrice.mul(10).div(1000);
+            expect(await token.balanceOf(creator.address)).to.equal(initialCreatorBalance.add(royaltyFee));
+            expect(await token.balanceOf(seller.address)).to.equal(
+                initialSellerBalance.add(startPrice).sub(royaltyFee).sub(platformFee)
+            );
+        });
+
+        it("Should revert when max price is below the current price", async function () {
+            await expect(
+                marketplace.connect(buyer).buyDutchAuction(auctionId, ethers.utils.parseEther("9"))
+            ).to.be.revertedWith("Price above max");
+        });
+
+        it("Should not accept English auction operations", async function () {
+            await expect(
+                marketplace.connect(buyer).placeBid(auctionId, startPrice)
+            ).to.be.revertedWith("Not an English auction");
+            await time.increase(10000);
+            await expect(
+                marketplace.settleAuction(auctionId)
+            ).to.be.revertedWith("Not an English auction");
+        });
+
+        it("Should revert Dutch operations on English auctions", async function () {
+            await collection.connect(creator).createNFT("Token 2", "Desc 2", "ipfs://test2", 10);
+            const tx = await marketplace.connect(creator).createAuction(
+                collection.address,
+                2,
+                1,
+                startPrice,
+                endPrice,
+                3600
+            );
+            const receipt = await tx.wait();
+            const englishAuctionId = receipt.events.find(e => e.event === "AuctionCreated").args.auctionId;
+            await expect(
+                marketplace.getDutchAuctionPrice(englishAuctionId)
+            ).to.be.revertedWith("Not a Dutch auction");
+            await expect(
+                marketplace.connect(buyer).buyDutchAuction(englishAuctionId, startPrice)
+            ).to.be.revertedWith("Not a Dutch auction");
+            await time.increase(3601);
+            await expect(
+                marketplace.connect(buyer).closeDutchAuction(englishAuctionId)
+            ).to.be.revertedWith("Not a Dutch auction");
+        });
+
+        it("Should stop selling at endTime and let anyone return the units", async function () {
+            await expect(
+                marketplace.connect(buyer).closeDutchAuction(auctionId)
+            ).to.be.revertedWith("Auction not ended");
+
+            await time.increase(9001);
+            expect(await marketplace.isListingFillable(collection.address, tokenId, creator.address)).to.equal(false);
+            await expect(
+                marketplace.connect(buyer).buyDutchAuction(auctionId, startPrice)
+            ).to.be.revertedWith("Auction ended");
+
+            await expect(marketplace.connect(buyer).closeDutchAuction(auctionId))
+                .to.emit(marketplace, "AuctionCancelled")
+                .withArgs(auctionId)
+                .and.to.emit(marketplace, "ListingRemoved")
+                .withArgs(collection.address, tokenId, creator.address, "AUCTION_EXPIRED");
+            expect(await collection.balanceOf(creator.address, tokenId)).to.equal(100);
+            expect((await marketplace.auctions(auctionId)).status).to.equal(2); // CANCELLED
+
+            await expect(
+                marketplace.connect(buyer).closeDutchAuction(auctionId)
+            ).to.be.revertedWith("Auction not active");
+        });
+
+        it("Should unblock offers on the seller's units once an expired auction is closed", async function () {
+            const tx = await marketplace.connect(buyer)["makeOffer(address,uint256,address,uint256,uint256,uint256,address)"](
+                collection.address, tokenId, creator.address, 2, endPrice, 0, ethers.constants.AddressZero
+            );
+            const offerId = (await tx.wait()).events.find(e => e.event === "OfferCreated").args.offerId;
+
+            await time.increase(9001);
+            await expect(
+                marketplace.connect(creator)["acceptOffer(uint256,uint256)"](offerId, 0)
+            ).to.be.revertedWith("Active auction exists");
+
+            await marketplace.connect(seller).closeDutchAuction(auctionId);
+            await marketplace.connect(creator)["acceptOffer(uint256,uint256)"](offerId, 0);
+            expect(await collection.balanceOf(buyer.address, tokenId)).to.equal(2);
+        });
+
+        it("Should allow seller to cancel an unsold Dutch auction", async function () {
+            await marketplace.connect(creator).removeListing(collection.address, tokenId);
+            expect(await collection.balanceOf(creator.address, tokenId)).to.equal(100);
+            const auction = await marketplace.auctions(auctionId);
+            expect(auction.status).to.equal(2); // CANCELLED
+            await expect(
+                marketplace.connect(buyer).buyDutchAuction(auctionId, startPrice)
+            ).to.be.revertedWith("Auction not active");
+        });
+
+        it("Should prevent listing while a Dutch auction is active", async function () {
+            await expect(
+                marketplace.connect(creator)["listNFT(address,uint256,uint256,uint256,uint256)"](collection.address, tokenId, startPrice, 1, 0)
+            ).to.be.revertedWith("Already listed");
+        });
+
+        it("Should validate Dutch auction parameters", async function () {
+            await expect(
+                marketplace.connect(creator).createDutchAuction(collection.address, tokenId, 1, startPrice, startPrice, 9000, 900, ethers.constants.AddressZero)
+            ).to.be.revertedWith("Invalid end price");
+            await expect(
+                marketplace.connect(creator).createDutchAuction(collection.address, tokenId, 1, startPrice, 0, 9000, 900, ethers.constants.AddressZero)
+            ).to.be.revertedWith("Invalid end price");
+            await expect(
+                marketplace.connect(creator).createDutchAuction(collection.address, tokenId, 1, startPrice, endPrice, 9000, 0, ethers.constants.AddressZero)
+            ).to.be.revertedWith("Invalid drop interval");
+            await expect(
+                marketplace.connect(creator).createDutchAuction(collection.address, tokenId, 1, startPrice, endPrice, 9000, 9001, ethers.constants.AddressZero)
+            ).to.be.revertedWith("Invalid drop interval");
+            await expect(
+                marketplace.connect(creator).createDutchAuction(collection.address, tokenId, 1, startPrice, endPrice, 60, 60, ethers.constants.AddressZero)
+            ).to.be.revertedWith("Invalid duration");
+        });
+    });
+    describe("Auction Reserve Price", function () {
+        const startPrice = ethers.utils.parseEther("1");
+        const minBidIncrement = ethers.utils.parseEther("0.1");
+        const reservePrice = ethers.utils.parseEther("5");
+
+        const salt = ethers.utils.formatBytes32String("reserve salt");
+
+        async function createReserveAuction(hideReservePrice) {
+            const options = hideReservePrice
+                ? {
+                    reservePrice: 0,
+                    reserveCommitment: await marketplace.getReserveCommitment(creator.address, reservePrice, salt)
+                }
+                : { reservePrice, reserveCommitment: ethers.constants.HashZero };
+            const tx = await marketplace.connect(creator).createAuctionWithOptions(
+                collection.address,
+                tokenId,
+                2,
+                startPrice,
+                minBidIncrement,
+                3600,
+                { ...options, buyNowPrice: 0, paymentToken: ethers.constants.AddressZero }
+            );
+            const receipt = await tx.wait();
+            return receipt.events.find(e => e.event === "AuctionCreated").args.auctionId;
+        }
+
+        beforeEach(async function () {
+            await collection.connect(creator).setApprovalForAll(marketplace.address, true);
+            await token.connect(buyer).approve(marketplace.address, ethers.utils.parseEther("100"));
+        });
+
+        it("Should expose a public reserve price", async function () {
+            const auctionId = await createReserveAuction(false);
+            const [price, isHidden] = await marketplace.getReservePrice(auctionId);
+            expect(price).to.equal(reservePrice);
+            expect(isHidden).to.equal(false);
+        });
+
+        it("Should not reveal a hidden reserve price through views", async function () {
+            const auctionId = await createReserveAuction(true);
+            const [price, isHidden] = await marketplace.getReservePrice(auctionId);
+            expect(price).to.equal(0);
+            expect(isHidden).to.equal(true);
+
+            await marketplace.connect(buyer).placeBid(auctionId, reservePrice);
+            expect(await marketplace.isReservePriceMet(auctionId)).to.equal(false);
+        });
+
+        it("Should return NFT and refund bidder when reserve is not met", async function () {
+            const auctionId = await createReserveAuction(false);
+            const bid = ethers.utils.parseEther("2");
+            const initialBuyerBalance = await token.balanceOf(buyer.address);
+            await marketplace.connect(buyer).placeBid(auctionId, bid);
+            expect(await marketplace.amountLockedInPool(token.address)).to.equal(bid);
+            expect(await marketplace.isReservePriceMet(auctionId)).to.equal(false);
+
+            await time.increase(3601);
+            await expect(marketplace.settleAuction(auctionId))
+                .to.emit(marketplace, "AuctionReserveNotMet")
+                .withArgs(auctionId, buyer.address, bid)
+                .and.to.emit(marketplace, "ListingRemoved")
+                .withArgs(collection.address, tokenId, creator.address, "RESERVE_NOT_MET");
+
+            expect(await token.balanceOf(buyer.address)).to.equal(initialBuyerBalance);
+            expect(await marketplace.amountLockedInPool(token.address)).to.equal(0);
+            expect(await marketplace.bids(auctionId, buyer.address)).to.equal(0);
+            expect(await collection.balanceOf(creator.address, tokenId)).to.equal(100);
+            expect((await marketplace.auctions(auctionId)).status).to.equal(3); // RESERVE_NOT_MET
+
+            await expect(
+                marketplace.settleAuction(auctionId)
+            ).to.be.revertedWith("Auction not active");
+        });
+
+        it("Should settle a hidden reserve revealed by the seller", async function () {
+            const auctionId = await createReserveAuction(true);
+            await marketplace.connect(buyer).placeBid(auctionId, reservePrice);
+            await time.increase(3601);
+
+            await expect(
+                marketplace.settleAuction(auctionId)
+            ).to.be.revertedWith("Reserve not revealed");
+            await expect(
+                marketplace.connect(buyer).settleAuctionWithReserve(auctionId, reservePrice, salt)
+            ).to.be.revertedWith("Not seller");
+            await expect(
+                marketplace.connect(creator).settleAuctionWithReserve(auctionId, startPrice, salt)
+            ).to.be.revertedWith("Invalid reveal");
+
+            await expect(marketplace.connect(creator).settleAuctionWithReserve(auctionId, reservePrice, salt))
+                .to.emit(marketplace, "ReservePriceRevealed")
+                .withArgs(auctionId, reservePrice)
+                .and.to.emit(marketplace, "AuctionSettled")
+                .withArgs(auctionId, buyer.address, reservePrice);
+            expect(await collection.balanceOf(buyer.address, tokenId)).to.equal(2);
+        });
+
+        it("Should close as not met when the revealed reserve is above the top bid", async function () {
+            const auctionId = await createReserveAuction(true);
+            const bid = ethers.utils.parseEther("2");
+            await marketplace.connect(buyer).placeBid(auctionId, bid);
+            await time.increase(3601);
+
+            await expect(marketplace.connect(creator).settleAuctionWithReserve(auctionId, reservePrice, salt))
+                .to.emit(marketplace, "AuctionReserveNotMet")
+                .withArgs(auctionId, buyer.address, bid);
+            expect(await collection.balanceOf(creator.address, tokenId)).to.equal(100);
+        });
+
+        it("Should count an unrevealed hidden reserve as not met after the reveal period", async function () {
+            const auctionId = await createReserveAuction(true);
+            const initialBuyerBalance = await token.balanceOf(buyer.address);
+            await marketplace.connect(buyer).placeBid(auctionId, reservePrice.mul(2));
+
+            await time.increase(3600 + (await marketplace.RESERVE_REVEAL_PERIOD()).toNumber() + 1);
+            await expect(marketplace.connect(seller).settleAuction(auctionId))
+                .to.emit(marketplace, "AuctionReserveNotMet")
+                .withArgs(auctionId, buyer.address, reservePrice.mul(2));
+            expect(await token.balanceOf(buyer.address)).to.equal(initialBuyerBalance);
+            expect(await collection.balanceOf(creator.address, tokenId)).to.equal(100);
+        });
+
+        it("Should settle normally when reserve is met", async function () {
+            const auctionId = await createReserveAuction(false);
+            await marketplace.connect(buyer).placeBid(auctionId, reservePrice);
+            await time.increase(3601);
+            await expect(marketplace.settleAuction(auctionId))
+                .to.emit(marketplace, "AuctionSettled")
+                .withArgs(auctionId, buyer.address, reservePrice);
+            expect(await collection.balanceOf(buyer.address, tokenId)).to.equal(2);
+            expect((await marketplace.auctions(auctionId)).status).to.equal(1); // ENDED
+        });
+
+        it("Should allow relisting after reserve is not met", async function () {
+            const auctionId = await createReserveAuction(false);
+            await marketplace.connect(buyer).placeBid(auctionId, ethers.utils.parseEther("2"));
+            await time.increase(3601);
+            await marketplace.settleAuction(auctionId);
+
+            await marketplace.connect(creator)["listNFT(address,uint256,uint256,uint256,uint256)"](collection.address, tokenId, startPrice, 2, 0);
+            const listing = await marketplace.getListing(collection.address, tokenId, creator.address);
+            expect(listing.quantity).to.equal(2);
+        });
+
+        it("Should revert when reserve price is not above start price", async function () {
+            await expect(
+                marketplace.connect(creator).createAuctionWithOptions(
+                    collection.address,
+                    tokenId,
+                    2,
+                    startPrice,
+                    minBidIncrement,
+                    3600,
+                    { reservePrice: startPrice, reserveCommitment: ethers.constants.HashZero, buyNowPrice: 0, paymentToken: ethers.constants.AddressZero }
+                )
+            ).to.be.revertedWith("Invalid reserve price");
+            await expect(
+                marketplace.connect(creator).createAuctionWithOptions(
+                    collection.address,
+                    tokenId,
+                    2,
+                    startPrice,
+                    minBidIncrement,
+                    3600,
+                    {
+                        reservePrice,
+                        reserveCommitment: await marketplace.getReserveCommitment(creator.address, reservePrice, salt),
+                        buyNowPrice: 0,
+                        paymentToken: ethers.constants.AddressZero
+                    }
+                )
+            ).to.be.revertedWith("Invalid reserve price");
+        });
+
+        it("Should only take a reveal for hidden reserves", async function () {
+            const auctionId = await createReserveAuction(false);
+            await marketplace.connect(buyer).placeBid(auctionId, reservePrice);
+            await time.increase(3601);
+            await expect(
+                marketplace.connect(creator).settleAuctionWithReserve(auctionId, reservePrice, salt)
+            ).to.be.revertedWith("No hidden reserve");
+        });
+
+        it("Should report no reserve for plain auctions", async function () {
+            const tx = await marketplace.connect(creator).createAuction(
+                collection.address,
+                tokenId,
+                2,
+                startPrice,
+                minBidIncrement,
+                3600
+            );
+            const receipt = await tx.wait();
+            const auctionId = receipt.events.find(e => e.event === "AuctionCreated").args.auctionId;
+            const [price, isHidden] = await marketplace.getReservePrice(auctionId);
+            expect(price).to.equal(0);
+            expect(isHidden).to.equal(false);
+            expect(await marketplace.isReservePriceMet(auctionId)).to.equal(false);
+        });
+    });
+    describe("Auction Buy Now", function () {
+        const startPrice = ethers.utils.parseEther("1");
+        const minBidIncrement = ethers.utils.parseEther("0.1");
+        const buyNowPrice = ethers.utils.parseEther("10");
+        let auctionId;
+
+        beforeEach(async function () {
+            await collection.connect(creator).setApprovalForAll(marketplace.address, true);
+            await token.connect(buyer).approve(marketplace.address, ethers.utils.parseEther("100"));
+            await token.connect(seller).approve(marketplace.address, ethers.utils.parseEther("100"));
+            const tx = await marketplace.connect(creator).createAuctionWithOptions(
+                collection.address,
+                tokenId,
+                3,
+                startPrice,
+                minBidIncrement,
+                3600,
+                { reservePrice: 0, reserveCommitment: ethers.constants.HashZero, buyNowPrice, paymentToken: ethers.constants.AddressZero }
+            );
+            const receipt = await tx.wait();
+            auctionId = receipt.events.find(e => e.event === "AuctionCreated").args.auctionId;
+        });
+
+        it("Should buy an auction without bids at the buy now price", async function () {
+            expect(await marketplace.getBuyNowPrice(auctionId)).to.equal(buyNowPrice);
+            const initialCreatorBalance = await token.balanceOf(creator.address);
+
+            await expect(marketplace.connect(buyer).buyNow(auctionId))
+                .to.emit(marketplace, "AuctionSettled")
+                .withArgs(auctionId, buyer.address, buyNowPrice)
+                .and.to.emit(marketplace, "ListingRemoved")
+                .withArgs(collection.address, tokenId, creator.address, "BOUGHT_NOW");
+
+            const platformFee = buyNowPrice.mul(25).div(1000);
+            expect(await collection.balanceOf(buyer.address, tokenId)).to.equal(3);
+            expect(await token.balanceOf(creator.address)).to.equal(
+                initialCreatorBalance.add(buyNowPrice).sub(platformFee)
+            );
+            expect(await token.balanceOf(marketplace.address)).to.equal(platformFee);
+            expect((await marketplace.auctions(auctionId)).status).to.equal(1); // ENDED
+        });
+
+        it("Should refund the highest bidder when bought now", async function () {
+            const bid = ethers.utils.parseEther("2");
+            const initialSellerBalance = await token.balanceOf(seller.address);
+            await marketplace.connect(seller).placeBid(auctionId, bid);
+            expect(await marketplace.amountLockedInPool(token.address)).to.equal(bid);
+
+            await marketplace.connect(buyer).buyNow(auctionId);
+
+            expect(await token.balanceOf(seller.address)).to.equal(initialSellerBalance);
+            expect(await marketplace.bids(auctionId, seller.address)).to.equal(0);
+            expect(await marketplace.amountLockedInPool(token.address)).to.equal(0);
+            expect(await collection.balanceOf(buyer.address, tokenId)).to.equal(3);
+            expect(await collection.balanceOf(seller.address, tokenId)).to.equal(0);
+        });
+
+        it("Should disable buy now once bids reach the buy now price", async function () {
+            await marketplace.connect(seller).placeBid(auctionId, buyNowPrice);
+            await expect(
+                marketplace.connect(buyer).buyNow(auctionId)
+            ).to.be.revertedWith("Buy now not available");
+        });
+
+        it("Should revert buy now after the auction ended or settled", async function () {
+            await time.increase(3601);
+            await expect(
+                marketplace.connect(buyer).buyNow(auctionId)
+            ).to.be.revertedWith("Auction ended");
+
+            await marketplace.connect(creator).cancelAuction(auctionId);
+            await expect(
+                marketplace.connect(buyer).buyNow(auctionId)
+            ).to.be.revertedWith("Auction not active");
+        });
+
+        it("Should revert buy now on auctions without a buy now price", async function () {
+            await collection.connect(creator).createNFT("Token 2", "Desc 2", "ipfs://test2", 10);
+            const tx = await marketplace.connect(creator).createAuction(
+                collection.address,
+                2,
+                1,
+                startPrice,
+                minBidIncrement,
+                3600
+            );
+            const receipt = await tx.wait();
+            const plainAuctionId = receipt.events.find(e => e.event === "AuctionCreated").args.auctionId;
+            expect(await marketplace.getBuyNowPrice(plainAuctionId)).to.equal(0);
+            await expect(
+                marketplace.connect(buyer).buyNow(plainAuctionId)
+            ).to.be.revertedWith("Buy now not available");
+        });
+
+        it("Should revert buy now on Dutch auctions", async function () {
+            await collection.connect(creator).createNFT("Token 2", "Desc 2", "ipfs://test2", 10);
+            const tx = await marketplace.connect(creator).createDutchAuction(
+                collection.address,
+                2,
+                1,
+                buyNowPrice,
+                startPrice,
+                3600,
+                600,
+                ethers.constants.AddressZero
+            );
+            const receipt = await tx.wait();
+            const dutchAuctionId = receipt.events.find(e => e.event === "AuctionCreated").args.auctionId;
+            await expect(
+                marketplace.connect(buyer).buyNow(dutchAuctionId)
+            ).to.be.revertedWith("Not an English auction");
+        });
+
+        it("Should validate the buy now price", async function () {
+            await collection.connect(creator).createNFT("Token 2", "Desc 2", "ipfs://test2", 10);
+            await expect(
+                marketplace.connect(creator).createAuctionWithOptions(
+                    collection.address,
+                    2,
+                    1,
+                    startPrice,
+                    minBidIncrement,
+                    3600,
+                    { reservePrice: 0, reserveCommitment: ethers.constants.HashZero, buyNowPrice: startPrice, paymentToken: ethers.constants.AddressZero }
+                )
+            ).to.be.revertedWith("Invalid buy now price");
+            await expect(
+                marketplace.connect(creator).createAuctionWithOptions(
+                    collection.address,
+                    2,
+                    1,
+                    startPrice,
+                    minBidIncrement,
+                    3600,
+                    {
+                        reservePrice: ethers.utils.parseEther("5"),
+                        reserveCommitment: ethers.constants.HashZero,
+                        buyNowPrice: ethers.utils.parseEther("4"),
+                        paymentToken: ethers.constants.AddressZero
+                    }
+                )
+            ).to.be.revertedWith("Invalid buy now price");
+        });
+    });
+    describe("Sealed-Bid Auctions", function () {
+        const startPrice = ethers.utils.parseEther("1");
+        const salt = ethers.utils.formatBytes32String("salt");
+        let auctionId;
+        let owner2;
+
+        async function createSealedAuction(secondPrice, forfeitureRule) {
+            const tx = await marketplace.connect(creator).createSealedBidAuction(
+                collection.address,
+                tokenId,
+                2,
+                startPrice,
+                3600,
+                1800,
+                secondPrice,
+                forfeitureRule,
+                ethers.constants.AddressZero
+            );
+            const receipt = await tx.wait();
+            return receipt.events.find(e => e.event === "AuctionCreated").args.auctionId;
+        }
+
+        async function commit(bidder, amount, deposit) {
+            const commitment = await marketplace.getSealedBidCommitment(auctionId, bidder.address, amount, salt);
+            await marketplace.connect(bidder).commitSealedBid(auctionId, commitment, deposit);
+        }
+
+        beforeEach(async function () {
+            [owner2] = await ethers.getSigners();
+            await collection.connect(creator).setApprovalForAll(marketplace.address, true);
+            for (const bidder of [buyer, seller, owner2]) {
+                await token.connect(bidder).approve(marketplace.address, ethers.utils.parseEther("100"));
+            }
+            auctionId = await createSealedAuction(false, 0);
+        });
+
+        it("Should create a sealed-bid auction", async function () {
+            const auction = await marketplace.auctions(auctionId);
+            const sealedAuction = await marketplace.sealedBidAuctions(auctionId);
+            expect(await marketplace.auctionTypes(auctionId)).to.equal(2); // SEALED_BID
+            expect(sealedAuction.revealEndTime).to.equal(auction.endTime.add(1800));
+            expect(sealedAuction.secondPrice).to.equal(false);
+            expect(await collection.balanceOf(marketplace.address, tokenId)).to.equal(2);
+        });
+
+        it("Should lock deposits on commit without revealing the bid", async function () {
+            const deposit = ethers.utils.parseEther("5");
+            await expect(
+                marketplace.connect(buyer).commitSealedBid(
+                    auctionId,
+                    await marketplace.getSealedBidCommitment(auctionId, buyer.address, startPrice, salt),
+                    deposit
+                )
+            ).to.emit(marketplace, "SealedBidCommitted").withArgs(auctionId, buyer.address, deposit);
+            expect(await marketplace.amountLockedInPool(token.address)).to.equal(deposit);
+            expect((await marketplace.auctions(auctionId)).highestBidder).to.equal(ethers.constants.AddressZero);
+
+            await expect(
+                commit(buyer, startPrice, deposit)
+            ).to.be.revertedWith("Bid already committed");
+            await expect(
+                commit(seller, startPrice, ethers.utils.parseEther("0.5"))
+            ).to.be.revertedWith("Deposit too low");
+        });
+
+        it("Should settle at the highest revealed bid and refund others", async function () {
+            await commit(buyer, ethers.utils.parseEther("3"), ethers.utils.parseEther("5"));
+            await commit(seller, ethers.utils.parseEther("2"), ethers.utils.parseEther("2"));
+            await time.increase(3601);
+
+            await marketplace.connect(buyer).revealSealedBid(auctionId, ethers.utils.parseEther("3"), salt);
+            await marketplace.connect(seller).revealSealedBid(auctionId, ethers.utils.parseEther("2"), salt);
+
+            await expect(
+                marketplace.settleSealedBidAuction(auctionId)
+            ).to.be.revertedWith("Reveal not ended");
+            await time.increase(1800);
+
+            const initialBuyerBalance = await token.balanceOf(buyer.address);
+            const initialSellerBalance = await token.balanceOf(seller.address);
+            const initialCreatorBalance = await token.balanceOf(creator.address);
+            const price = ethers.utils.parseEther("3");
+
+            await expect(marketplace.settleSealedBidAuction(auctionId))
+                .to.emit(marketplace, "AuctionSettled")
+                .withArgs(auctionId, buyer.address, price);
+
+            const platformFee = price.mul(25).div(1000);
+            expect(await collection.balanceOf(buyer.address, tokenId)).to.equal(2);
+            expect(await token.balanceOf(buyer.address)).to.equal(
+                initialBuyerBalance.add(ethers.utils.parseEther("2"))
+            );
+            expect(await token.balanceOf(creator.address)).to.equal(
+                initialCreatorBalance.add(price).sub(platformFee)
+            );
+
+            await marketplace.connect(owner2).releaseSealedBid(auctionId, seller.address);
+            expect(await token.balanceOf(seller.address)).to.equal(
+                initialSellerBalance.add(ethers.utils.parseEther("2"))
+            );
+            expect(await marketplace.amountLockedInPool(token.address)).to.equal(0);
+            expect(await token.balanceOf(marketplace.address)).to.equal(platformFee);
+
+            await expect(
+                marketplace.releaseSealedBid(auctionId, buyer.address)
+            ).to.be.revertedWith("Nothing to release");
+        });
+
+        it("Should charge the second highest bid in Vickrey mode", async function () {
+            await collection.connect(creator).createNFT("Token 2", "Desc 2", "ipfs://test2", 10);
+            const tx = await marketplace.connect(creator).createSealedBidAuction(
+                collection.address,
+                2,
+                1,
+                startPrice,
+                3600,
+                1800,
+                true,
+                0,
+                ethers.constants.AddressZero
+            );
+            const receipt = await tx.wait();
+            auctionId = receipt.events.find(e => e.event === "AuctionCreated").args.auctionId;
+
+            await commit(buyer, ethers.utils.parseEther("2"), ethers.utils.parseEther("2"));
+            await commit(seller, ethers.utils.parseEther("4"), ethers.utils.parseEther("4"));
+            await time.increase(3601);
+            await marketplace.connect(buyer).revealSealedBid(auctionId, ethers.utils.parseEther("2"), salt);
+            await marketplace.connect(seller).revealSealedBid(auctionId, ethers.utils.parseEther("4"), salt);
+            expect((await marketplace.sealedBidAuctions(auctionId)).secondHighestBid).to.equal(ethers.utils.parseEther("2"));
+            await time.increase(1800);
+
+            const initialSellerBalance = await token.balanceOf(seller.address);
+            await expect(marketplace.settleSealedBidAuction(auctionId))
+                .to.emit(marketplace, "AuctionSettled")
+                .withArgs(auctionId, seller.address, ethers.utils.parseEther("2"));
+            expect(await token.balanceOf(seller.address)).to.equal(
+                initialSellerBalance.add(ethers.utils.parseEther("2"))
+            );
+            expect(await collection.balanceOf(seller.address, 2)).to.equal(1);
+        });
+
+        it("Should charge the start price in Vickrey mode with a single reveal", async function () {
+            await collection.connect(creator).createNFT("Token 2", "Desc 2", "ipfs://test2", 10);
+            const tx = await marketplace.connect(creator).createSealedBidAuction(
+                collection.address,
+                2,
+                1,
+                startPrice,
+                3600,
+                1800,
+                true,
+                0,
+                ethers.constants.AddressZero
+            );
+            const receipt = await tx.wait();
+            auctionId = receipt.events.find(e => e.event === "AuctionCreated").args.auctionId;
+
+            await commit(buyer, ethers.utils.parseEther("3"), ethers.utils.parseEther("3"));
+            await time.increase(3601);
+            await marketplace.connect(buyer).revealSealedBid(auctionId, ethers.utils.parseEther("3"), salt);
+            await time.increase(1800);
+
+            await expect(marketplace.settleSealedBidAuction(auctionId))
+                .to.emit(marketplace, "AuctionSettled")
+                .withArgs(auctionId, buyer.address, startPrice);
+        });
+
+        it("Should validate reveals", async function () {
+            await commit(buyer, ethers.utils.parseEther("3"), ethers.utils.parseEther("2"));
+            await expect(
+                marketplace.connect(buyer).revealSealedBid(auctionId, ethers.utils.parseEther("3"), salt)
+            ).to.be.revertedWith("Not in reveal window");
+
+            await time.increase(3601);
+            await expect(
+                marketplace.connect(buyer).revealSealedBid(auctionId, ethers.utils.parseEther("2"), salt)
+            ).to.be.revertedWith("Invalid reveal");
+            await expect(
+                marketplace.connect(buyer).revealSealedBid(auctionId, ethers.utils.parseEther("3"), salt)
+            ).to.be.revertedWith("Invalid bid amount");
+            await expect(
+                marketplace.connect(seller).revealSealedBid(auctionId, ethers.utils.parseEther("3"), salt)
+            ).to.be.revertedWith("No bid to reveal");
+            await expect(
+                commit(seller, startPrice, startPrice)
+            ).to.be.revertedWith("Bidding ended");
+        });
+
+        it("Should refund unrevealed deposits under the refund rule", async function () {
+            await commit(buyer, ethers.utils.parseEther("3"), ethers.utils.parseEther("3"));
+            await time.increase(5401);
+            await expect(
+                marketplace.releaseSealedBid(auctionId, buyer.address)
+            ).to.be.revertedWith("Auction not settled");
+
+            await expect(marketplace.settleSealedBidAuction(auctionId))
+                .to.emit(marketplace, "ListingRemoved")
+                .withArgs(collection.address, tokenId, creator.address, "NO_VALID_BIDS");
+            expect((await marketplace.auctions(auctionId)).status).to.equal(2); // CANCELLED
+            expect(await collection.balanceOf(creator.address, tokenId)).to.equal(100);
+
+            const initialBuyerBalance = await token.balanceOf(buyer.address);
+            await expect(marketplace.releaseSealedBid(auctionId, buyer.address))
+                .to.emit(marketplace, "SealedBidReleased")
+                .withArgs(auctionId, buyer.address, buyer.address, ethers.utils.parseEther("3"));
+            expect(await token.balanceOf(buyer.address)).to.equal(initialBuyerBalance.add(ethers.utils.parseEther("3")));
+            expect(await marketplace.amountLockedInPool(token.address)).to.equal(0);
+        });
+
+        it("Should forfeit unrevealed deposits to the seller", async function () {
+            await collection.connect(creator).createNFT("Token 2", "Desc 2", "ipfs://test2", 10);
+            const tx = await marketplace.connect(creator).createSealedBidAuction(
+                collection.address, 2, 1, startPrice, 3600, 1800, false, 1, // SELLER
+                ethers.constants.AddressZero
+            );
+            auctionId = (await tx.wait()).events.find(e => e.event === "AuctionCreated").args.auctionId;
+            await commit(buyer, ethers.utils.parseEther("3"), ethers.utils.parseEther("3"));
+            await time.increase(5401);
+            await marketplace.settleSealedBidAuction(auctionId);
+
+            const initialCreatorBalance = await token.balanceOf(creator.address);
+            await expect(marketplace.releaseSealedBid(auctionId, buyer.address))
+                .to.emit(marketplace, "SealedBidReleased")
+                .withArgs(auctionId, buyer.address, creator.address, ethers.utils.parseEther("3"));
+            expect(await token.balanceOf(creator.address)).to.equal(initialCreatorBalance.add(ethers.utils.parseEther("3")));
+        });
+
+        it("Should forfeit unrevealed deposits to the platform", async function () {
+            await collection.connect(creator).createNFT("Token 2", "Desc 2", "ipfs://test2", 10);
+            const tx = await marketplace.connect(creator).createSealedBidAuction(
+                collection.address, 2, 1, startPrice, 3600, 1800, false, 2, // PLATFORM
+                ethers.constants.AddressZero
+            );
+            auctionId = (await tx.wait()).events.find(e => e.event === "AuctionCreated").args.auctionId;
+            await commit(buyer, ethers.utils.parseEther("3"), ethers.utils.parseEther("3"));
+            await time.increase(5401);
+            await marketplace.settleSealedBidAuction(auctionId);
+
+            await expect(marketplace.releaseSealedBid(auctionId, buyer.address))
+                .to.emit(marketplace, "SealedBidReleased")
+                .withArgs(auctionId, buyer.address, marketplace.address, ethers.utils.parseEther("3"));
+            expect(await marketplace.amountLockedInPool(token.address)).to.equal(0);
+
+            const initialOwnerBalance = await token.balanceOf(owner.address);
+            await marketplace.connect(owner)["withdrawFees(address)"](token.address);
+            expect(await token.balanceOf(owner.address)).to.equal(initialOwnerBalance.add(ethers.utils.parseEther("3")));
+        });
+
+        it("Should prevent cancellation and English operations once bids are committed", async function () {
+            await commit(buyer, startPrice, startPrice);
+            await expect(
+                marketplace.connect(creator).cancelAuction(auctionId)
+            ).to.be.revertedWith("Bids already placed");
+            await expect(
+                marketplace.connect(creator).removeListing(collection.address, tokenId)
+            ).to.be.revertedWith("Bids already placed");
+            await expect(
+                marketplace.connect(buyer).placeBid(auctionId, ethers.utils.parseEther("2"))
+            ).to.be.revertedWith("Not an English auction");
+            await time.increase(3601);
+            await marketplace.connect(buyer).revealSealedBid(auctionId, startPrice, salt);
+            await expect(
+                marketplace.settleAuction(auctionId)
+            ).to.be.revertedWith("Not an English auction");
+        });
+
+        it("Should reject sealed-bid operations on other auction types", async function () {
+            await collection.connect(creator).createNFT("Token 2", "Desc 2", "ipfs://test2", 10);
+            const tx = await marketplace.connect(creator).createAuction(
+                collection.address, 2, 1, startPrice, startPrice, 3600
+            );
+            const englishAuctionId = (await tx.wait()).events.find(e => e.event === "AuctionCreated").args.auctionId;
+            await expect(
+                marketplace.connect(buyer).commitSealedBid(englishAuctionId, salt, startPrice)
+            ).to.be.revertedWith("Not a sealed-bid auction");
+            await expect(
+                marketplace.connect(buyer).revealSealedBid(englishAuctionId, startPrice, salt)
+            ).to.be.revertedWith("Not a sealed-bid auction");
+            await expect(
+                marketplace.settleSealedBidAuction(englishAuctionId)
+            ).to.be.revertedWith("Not a sealed-bid auction");
+            await expect(
+                marketplace.releaseSealedBid(englishAuctionId, buyer.address)
+            ).to.be.revertedWith("Not a sealed-bid auction");
+            await expect(
+                marketplace.connect(creator).createSealedBidAuction(
+                    collection.address, 2, 1, startPrice, 3600, 0, false, 0,
+                    ethers.constants.AddressZero
+                )
+            ).to.be.revertedWith("Invalid reveal duration");
+        });
+    });
+    describe("Offer Expiration", function () {
+        let offerId;
+        let expiresAt;
+        const price = ethers.utils.parseEther("1");
+
+        beforeEach(async function () {
+            await collection.connect(creator).setApprovalForAll(marketplace.address, true);
+            await token.connect(buyer).approve(marketplace.address, ethers.utils.parseEther("10"));
+            expiresAt = (await time.latest()) + 3600;
+            const tx = await marketplace.connect(buyer)["makeOffer(address,uint256,address,uint256,uint256,uint256,address)"](
+                collection.address,
+                tokenId,
+                creator.address,
+                2,
+                price,
+                expiresAt,
+                ethers.constants.AddressZero
+            );
+            const receipt = await tx.wait();
+            offerId = receipt.events.find(e => e.event === "OfferCreated").args.offerId;
+        });
+
+        it("Should store the offer expiration", async function () {
+            const offer = await marketplace.getOffer(offerId);
+            expect(offer.offer.expiresAt).to.equal(expiresAt);
+        });
+
+        it("Should accept an offer before it expires", async function () {
+            await marketplace.connect(creator)["acceptOffer(uint256,uint256)"](offerId, 0);
+            expect(await collection.balanceOf(buyer.address, tokenId)).to.equal(2);
+        });
+
+        it("Should refuse to accept an expired offer", async function () {
+            await time.increase(3601);
+            await expect(
+                marketplace.connect(creator)["acceptOffer(uint256,uint256)"](offerId, 0)
+            ).to.be.revertedWith("Offer expired");
+        });
+
+        it("Should let anyone reclaim an expired offer for the buyer", async function () {
+            await expect(
+                marketplace.connect(seller).reclaimExpiredOffer(offerId)
+            ).to.be.revertedWith("Offer not expired");
+
+            await time.increase(3601);
+            const initialBuyerBalance = await token.balanceOf(buyer.address);
+            await expect(marketplace.connect(seller).reclaimExpiredOffer(offerId))
+                .to.emit(marketplace, "OfferExpired")
+                .withArgs(offerId, buyer.address);
+
+            expect(await token.balanceOf(buyer.address)).to.equal(initialBuyerBalance.add(price.mul(2)));
+            expect(await marketplace.amountLockedInPool(token.address)).to.equal(0);
+            expect((await marketplace.getOffer(offerId)).offer.status).to.equal(4); // EXPIRED
+
+            await expect(
+                marketplace.connect(seller).reclaimExpiredOffer(offerId)
+            ).to.be.revertedWith("Invalid offer status");
+        });
+
+        it("Should revert reclaim for non-existent offers or offers without expiration", async function () {
+            await expect(
+                marketplace.reclaimExpiredOffer(999)
+            ).to.be.revertedWith("Offer does not exist");
+
+            const tx = await marketplace.connect(buyer)["makeOffer(address,uint256,address,uint256,uint256,uint256,address)"](
+                collection.address,
+                tokenId,
+                creator.address,
+                1,
+                price,
+                0,
+                ethers.constants.AddressZero
+            );
+            const receipt = await tx.wait();
+            const openOfferId = receipt.events.find(e => e.event === "OfferCreated").args.offerId;
+            await time.increase(365 * 24 * 3600);
+            await expect(
+                marketplace.reclaimExpiredOffer(openOfferId)
+            ).to.be.revertedWith("Offer not expired");
+        });
+
+        it("Should exclude expired offers from offer queries", async function () {
+            let result = await marketplace.getOffersByToken(collection.address, tokenId, 0, 10);
+            expect(result.total).to.equal(1);
+
+            await time.increase(3601);
+            result = await marketplace.getOffersByToken(collection.address, tokenId, 0, 10);
+            expect(result.total).to.equal(0);
+            result = await marketplace.getOffersToSeller(creator.address, 0, 10);
+            expect(result.total).to.equal(0);
+            result = await marketplace.getOffersByBuyer(buyer.address, 0, 10);
+            expect(result.total).to.equal(0);
+        });
+
+        it("Should revert when expiration is in the past", async function () {
+            await expect(
+                marketplace.connect(buyer)["makeOffer(address,uint256,address,uint256,uint256,uint256,address)"](
+                    collection.address,
+                    tokenId,
+                    creator.address,
+                    1,
+                    price,
+                    await time.latest(),
+                    ethers.constants.AddressZero
+                )
+            ).to.be.revertedWith("Invalid expiration");
+        });
+    });
+    describe("Collection Offers", function () {
+        let offerId;
+        const price = ethers.utils.parseEther("1");
+
+        beforeEach(async function () {
+            await collection.connect(creator).createNFT("Token 2", "Desc 2", "ipfs://test2", 50);
+            await collection.connect(creator).safeTransferFrom(creator.address, seller.address, 2, 10, "0x");
+            await collection.connect(creator).setApprovalForAll(marketplace.address, true);
+            await collection.connect(seller).setApprovalForAll(marketplace.address, true);
+            await token.connect(buyer).approve(marketplace.address, ethers.utils.parseEther("10"));
+            const tx = await marketplace.connect(buyer).makeCollectionOffer(collection.address, 5, price, 0, ethers.constants.AddressZero);
+            const receipt = await tx.wait();
+            offerId = receipt.events.find(e => e.event === "CollectionOfferCreated").args.offerId;
+        });
+
+        it("Should escrow the full offer amount", async function () {
+            const offer = await marketplace.collectionOffers(offerId);
+            expect(offer.buyer).to.equal(buyer.address);
+            expect(offer.quantity).to.equal(5);
+            expect(await marketplace.amountLockedInPool(token.address)).to.equal(price.mul(5));
+        });
+
+        it("Should let different holders fill with different tokens", async function () {
+            const initialCreatorBalance = await token.balanceOf(creator.address);
+            const initialSellerBalance = await token.balanceOf(seller.address);
+
+            await expect(marketplace.connect(creator).acceptCollectionOffer(offerId, tokenId, 2, 0))
+                .to.emit(marketplace, "CollectionOfferFilled")
+                .withArgs(offerId, tokenId, creator.address, 2, 3);
+            await expect(marketplace.connect(seller).acceptCollectionOffer(offerId, 2, 3, 0))
+                .to.emit(marketplace, "CollectionOfferFilled")
+                .withArgs(offerId, 2, seller.address, 3, 0);
+
+            expect(await collection.balanceOf(buyer.address, tokenId)).to.equal(2);
+            expect(await collection.balanceOf(buyer.address, 2)).to.equal(3);
+
+            // creator sells with the primary fee, seller with the secondary fee
+            const creatorTotal = price.mul(2);
+            const sellerTotal = price.mul(3);
+            expect(await token.balanceOf(creator.address)).to.equal(
+                initialCreatorBalance.add(creatorTotal).sub(creatorTotal.mul(25).div(1000))
+            );
+            expect(await token.balanceOf(seller.address)).to.equal(
+                initialSellerBalance.add(sellerTotal).sub(sellerTotal.mul(10).div(1000))
+            );
+
+            const offer = await marketplace.collectionOffers(offerId);
+            expect(offer.status).to.equal(1); // ACCEPTED
+            expect(await marketplace.amountLockedInPool(token.address)).to.equal(0);
+            await expect(
+                marketplace.connect(creator).acceptCollectionOffer(offerId, tokenId, 1, 0)
+            ).to.be.revertedWith("Invalid offer status");
+        });
+
+        it("Should reconcile listed units when filling", async function () {
+            await marketplace.connect(seller)["listNFT(address,uint256,uint256,uint256,uint256)"](collection.address, 2, price, 10, 0);
+            await expect(marketplace.connect(seller).acceptCollectionOffer(offerId, 2, 4, 0))
+                .to.emit(marketplace, "ListingQuantityUpdated")
+                .withArgs(collection.address, 2, seller.address, 6);
+        });
+
+        it("Should validate fills", async function () {
+            await expect(
+                marketplace.connect(creator).acceptCollectionOffer(999, tokenId, 1, 0)
+            ).to.be.revertedWith("Offer does not exist");
+            await expect(
+                marketplace.connect(creator).acceptCollectionOffer(offerId, tokenId, 6, 0)
+            ).to.be.revertedWith("Invalid quantity");
+            await expect(
+                marketplace.connect(creator).acceptCollectionOffer(offerId, tokenId, 0, 0)
+            ).to.be.revertedWith("Invalid quantity");
+            await expect(
+                marketplace.connect(buyer).acceptCollectionOffer(offerId, tokenId, 1, 0)
+            ).to.be.revertedWith("Cannot accept own offer");
+            await expect(
+                marketplace.connect(seller).acceptCollectionOffer(offerId, tokenId, 1, 0)
+            ).to.be.revertedWith("Insufficient balance");
+
+            await collection.connect(seller).setApprovalForAll(marketplace.address, false);
+            await expect(
+                marketplace.connect(seller).acceptCollectionOffer(offerId, 2, 1, 0)
+            ).to.be.revertedWith("Not approved");
+        });
+
+        it("Should refund the remaining escrow on cancel", async function () {
+            await marketplace.connect(creator).acceptCollectionOffer(offerId, tokenId, 2, 0);
+            await expect(
+                marketplace.connect(seller).cancelCollectionOffer(offerId)
+            ).to.be.revertedWith("Not offer creator");
+
+            const initialBuyerBalance = await token.balanceOf(buyer.address);
+            await expect(marketplace.connect(buyer).cancelCollectionOffer(offerId))
+                .to.emit(marketplace, "CollectionOfferCancelled")
+                .withArgs(offerId, buyer.address, 3); // CANCELLED
+            expect(await token.balanceOf(buyer.address)).to.equal(initialBuyerBalance.add(price.mul(3)));
+            expect(await marketplace.amountLockedInPool(token.address)).to.equal(0);
+
+            await expect(
+                marketplace.connect(buyer).cancelCollectionOffer(offerId)
+            ).to.be.revertedWith("Invalid offer status");
+            await expect(
+                marketplace.connect(buyer).cancelCollectionOffer(999)
+            ).to.be.revertedWith("Offer does not exist");
+        });
+
+        it("Should handle expiring collection offers", async function () {
+            const expiresAt = (await time.latest()) + 3600;
+            const tx = await marketplace.connect(buyer).makeCollectionOffer(collection.address, 2, price, expiresAt, ethers.constants.AddressZero);
+            const receipt = await tx.wait();
+            const expiringOfferId = receipt.events.find(e => e.event === "CollectionOfferCreated").args.offerId;
+
+            let result = await marketplace.getCollectionOffers(collection.address, 0, 10);
+            expect(result.total).to.equal(2);
+
+            await time.increase(3601);
+            result = await marketplace.getCollectionOffers(collection.address, 0, 10);
+            expect(result.total).to.equal(1);
+            expect(result.offerIdList[0]).to.equal(offerId);
+
+            await expect(
+                marketplace.connect(creator).acceptCollectionOffer(expiringOfferId, tokenId, 1, 0)
+            ).to.be.revertedWith("Offer expired");
+
+            const initialBuyerBalance = await token.balanceOf(buyer.address);
+            await expect(marketplace.connect(seller).cancelCollectionOffer(expiringOfferId))
+                .to.emit(marketplace, "CollectionOfferCancelled")
+                .withArgs(expiringOfferId, buyer.address, 4); // EXPIRED
+            expect(await token.balanceOf(buyer.address)).to.equal(initialBuyerBalance.add(price.mul(2)));
+        });
+
+        it("Should paginate collection offers", async function () {
+            await marketplace.connect(buyer).makeCollectionOffer(collection.address, 1, price, 0, ethers.constants.AddressZero);
+            await marketplace.connect(buyer).makeCollectionOffer(collection.address, 1, price, 0, ethers.constants.AddressZero);
+
+            let result = await marketplace.getCollectionOffers(collection.address, 1, 1);
+            expect(result.total).to.equal(3);
+            expect(result.offerIdList.length).to.equal(1);
+            expect(result.offerIdList[0]).to.equal(offerId.add(1));
+
+            result = await marketplace.getCollectionOffers(collection.address, 3, 10);
+            expect(result.offerIdList.length).to.equal(0);
+        });
+
+        it("Should validate collection offer creation", async function () {
+            await expect(
+                marketplace.connect(buyer).makeCollectionOffer(seller.address, 1, price, 0, ethers.constants.AddressZero)
+            ).to.be.revertedWith("Collection not registered");
+            await expect(
+                marketplace.connect(buyer).makeCollectionOffer(collection.address, 0, price, 0, ethers.constants.AddressZero)
+            ).to.be.revertedWith("Invalid quantity");
+            await expect(
+                marketplace.connect(buyer).makeCollectionOffer(collection.address, 1, 0, 0, ethers.constants.AddressZero)
+            ).to.be.revertedWith("Invalid price");
+            await expect(
+                marketplace.connect(buyer).makeCollectionOffer(collection.address, 1, price, 1, ethers.constants.AddressZero)
+            ).to.be.revertedWith("Invalid expiration");
+        });
+    });
+    describe("Open Token Offers", function () {
+        let offerId;
+        let collector;
+        const price = ethers.utils.parseEther("1");
+
+        beforeEach(async function () {
+            [collector] = await ethers.getSigners();
+            await collection.connect(creator).safeTransferFrom(creator.address, seller.address, tokenId, 10, "0x");
+            await collection.connect(creator).safeTransferFrom(creator.address, collector.address, tokenId, 10, "0x");
+            for (const holder of [creator, seller, collector]) {
+                await collection.connect(holder).setApprovalForAll(marketplace.address, true);
+            }
+            await token.connect(buyer).approve(marketplace.address, ethers.utils.parseEther("20"));
+            const tx = await marketplace.connect(buyer).makeTokenOffer(collection.address, tokenId, 10, price, 0, ethers.constants.AddressZero);
+            const receipt = await tx.wait();
+            offerId = receipt.events.find(e => e.event === "TokenOfferCreated").args.offerId;
+        });
+
+        it("Should create a token offer bound to no holder", async function () {
+            const offer = await marketplace.collectionOffers(offerId);
+            expect(offer.isTokenOffer).to.equal(true);
+            expect(offer.tokenId).to.equal(tokenId);
+            expect(offer.quantity).to.equal(10);
+            expect(await marketplace.amountLockedInPool(token.address)).to.equal(price.mul(10));
+
+            const result = await marketplace.getTokenOffers(collection.address, tokenId, 0, 10);
+            expect(result.total).to.equal(1);
+            expect(result.offerIdList[0]).to.equal(offerId);
+            expect((await marketplace.getCollectionOffers(collection.address, 0, 10)).total).to.equal(0);
+        });
+
+        it("Should let several holders fill the offer partially", async function () {
+            await expect(marketplace.connect(seller).acceptTokenOffer(offerId, 4, 0))
+                .to.emit(marketplace, "CollectionOfferFilled")
+                .withArgs(offerId, tokenId, seller.address, 4, 6);
+            await marketplace.connect(collector).acceptTokenOffer(offerId, 3, 0);
+            await marketplace.connect(creator).acceptTokenOffer(offerId, 3, 0);
+
+            expect(await collection.balanceOf(buyer.address, tokenId)).to.equal(10);
+            expect((await marketplace.collectionOffers(offerId)).status).to.equal(1); // ACCEPTED
+            expect(await marketplace.amountLockedInPool(token.address)).to.equal(0);
+            expect((await marketplace.getTokenOffers(collection.address, tokenId, 0, 10)).total).to.equal(0);
+
+            await expect(
+                marketplace.connect(seller).acceptTokenOffer(offerId, 1, 0)
+            ).to.be.revertedWith("Invalid offer status");
+        });
+
+        it("Should keep the remaining escrow locked and refund it on cancel", async function () {
+            await marketplace.connect(seller).acceptTokenOffer(offerId, 4, 0);
+            expect(await marketplace.amountLockedInPool(token.address)).to.equal(price.mul(6));
+
+            await expect(
+                marketplace.connect(seller).acceptTokenOffer(offerId, 7, 0)
+            ).to.be.revertedWith("Invalid quantity");
+
+            const initialBuyerBalance = await token.balanceOf(buyer.address);
+            await marketplace.connect(buyer).cancelCollectionOffer(offerId);
+            expect(await token.balanceOf(buyer.address)).to.equal(initialBuyerBalance.add(price.mul(6)));
+            expect(await marketplace.amountLockedInPool(token.address)).to.equal(0);
+        });
+
+        it("Should only accept the offered token", async function () {
+            await collection.connect(creator).createNFT("Token 2", "Desc 2", "ipfs://test2", 10);
+            await expect(
+                marketplace.connect(creator).acceptCollectionOffer(offerId, 2, 1, 0)
+            ).to.be.revertedWith("Token not eligible");
+            await marketplace.connect(creator).acceptCollectionOffer(offerId, tokenId, 1, 0);
+            expect(await collection.balanceOf(buyer.address, tokenId)).to.equal(1);
+        });
+
+        it("Should revert accepting a collection offer as a token offer", async function () {
+            const tx = await marketplace.connect(buyer).makeCollectionOffer(collection.address, 1, price, 0, ethers.constants.AddressZero);
+            const receipt = await tx.wait();
+            const collectionOfferId = receipt.events.find(e => e.event === "CollectionOfferCreated").args.offerId;
+            await expect(
+                marketplace.connect(seller).acceptTokenOffer(collectionOfferId, 1, 0)
+            ).to.be.revertedWith("Not a token offer");
+        });
+
+        it("Should revert when the holder has too few units", async function () {
+            await collection.connect(collector).safeTransferFrom(collector.address, seller.address, tokenId, 8, "0x");
+            await expect(
+                marketplace.connect(collector).acceptTokenOffer(offerId, 3, 0)
+            ).to.be.revertedWith("Insufficient balance");
+            await marketplace.connect(collector).acceptTokenOffer(offerId, 2, 0);
+            expect((await marketplace.collectionOffers(offerId)).quantity).to.equal(8);
+        });
+    });
+    describe("Partial Offer Acceptance", function () {
+        let offerId;
+        const price = ethers.utils.parseEther("1");
+
+        beforeEach(async function () {
+            await collection.connect(creator).setApprovalForAll(marketplace.address, true);
+            await token.connect(buyer).approve(marketplace.address, ethers.utils.parseEther("10"));
+            const tx = await marketplace.connect(buyer)["makeOffer(address,uint256,address,uint256,uint256,uint256,address)"](
+                collection.address,
+                tokenId,
+                creator.address,
+                5,
+                price,
+                0,
+                ethers.constants.AddressZero
+            );
+            const receipt = await tx.wait();
+            offerId = receipt.events.find(e => e.event === "OfferCreated").args.offerId;
+        });
+
+        it("Should fill part of an offer and keep the rest pending", async function () {
+            const initialCreatorBalance = await token.balanceOf(creator.address);
+
+            await expect(marketplace.connect(creator).acceptOfferPartial(offerId, 2, 0))
+                .to.emit(marketplace, "OfferPartiallyAccepted")
+                .withArgs(offerId, creator.address, 2, 3);
+
+            const filled = price.mul(2);
+            expect(await collection.balanceOf(buyer.address, tokenId)).to.equal(2);
+            expect(await token.balanceOf(creator.address)).to.equal(
+                initialCreatorBalance.add(filled).sub(filled.mul(25).div(1000))
+            );
+            expect(await marketplace.amountLockedInPool(token.address)).to.equal(price.mul(3));
+
+            const offer = (await marketplace.getOffer(offerId)).offer;
+            expect(offer.status).to.equal(0); // PENDING
+            expect(offer.quantity).to.equal(3);
+        });
+
+        it("Should complete the offer when the remainder is filled", async function () {
+            await marketplace.connect(creator).acceptOfferPartial(offerId, 2, 0);
+            await expect(marketplace.connect(creator).acceptOfferPartial(offerId, 3, 0))
+                .to.emit(marketplace, "OfferAccepted")
+                .withArgs(offerId, creator.address);
+
+            expect((await marketplace.getOffer(offerId)).offer.status).to.equal(1); // ACCEPTED
+            expect(await marketplace.amountLockedInPool(token.address)).to.equal(0);
+            expect(await collection.balanceOf(buyer.address, tokenId)).to.equal(5);
+        });
+
+        it("Should refund only the remainder when the buyer cancels", async function () {
+            await marketplace.connect(creator).acceptOfferPartial(offerId, 4, 0);
+            const initialBuyerBalance = await token.balanceOf(buyer.address);
+            await marketplace.connect(buyer).cancelOffer(offerId);
+            expect(await token.balanceOf(buyer.address)).to.equal(initialBuyerBalance.add(price));
+            expect(await marketplace.amountLockedInPool(token.address)).to.equal(0);
+        });
+
+        it("Should reconcile listed units", async function () {
+            await marketplace.connect(creator)["listNFT(address,uint256,uint256,uint256,uint256)"](collection.address, tokenId, price, 99, 0);
+            await expect(marketplace.connect(creator).acceptOfferPartial(offerId, 3, 0))
+                .to.emit(marketplace, "ListingQuantityUpdated")
+                .withArgs(collection.address, tokenId, creator.address, 97);
+        });
+
+        it("Should validate partial acceptance", async function () {
+            await expect(
+                marketplace.connect(creator).acceptOfferPartial(offerId, 0, 0)
+            ).to.be.revertedWith("Invalid quantity");
+            await expect(
+                marketplace.connect(creator).acceptOfferPartial(offerId, 6, 0)
+            ).to.be.revertedWith("Invalid quantity");
+            await expect(
+                marketplace.connect(seller).acceptOfferPartial(offerId, 1, 0)
+            ).to.be.revertedWith("Not offer recipient");
+
+            await collection.connect(creator).safeTransferFrom(creator.address, seller.address, tokenId, 99, "0x");
+            await expect(
+                marketplace.connect(creator).acceptOfferPartial(offerId, 2, 0)
+            ).to.be.revertedWith("Insufficient balance");
+        });
+    });
+    describe("Counter Offers", function () {
+        let offerId;
+        const price = ethers.utils.parseEther("1");
+
+        beforeEach(async function () {
+            await collection.connect(creator).setApprovalForAll(marketplace.address, true);
+            await token.connect(buyer).approve(marketplace.address, ethers.utils.parseEther("20"));
+            const tx = await marketplace.connect(buyer)["makeOffer(address,uint256,address,uint256,uint256,uint256,address)"](
+                collection.address,
+                tokenId,
+                creator.address,
+                5,
+                price,
+                0,
+                ethers.constants.AddressZero
+            );
+            const receipt = await tx.wait();
+            offerId = receipt.events.find(e => e.event === "OfferCreated").args.offerId;
+        });
+
+        async function counter(newPrice, quantity) {
+            const tx = await marketplace.connect(creator).makeCounterOffer(offerId, newPrice, quantity, 0, 0);
+            const receipt = await tx.wait();
+            return receipt.events.find(e => e.event === "CounterOfferCreated").args.counterOfferId;
+        }
+
+        it("Should link a counter-offer to the original offer", async function () {
+            const newPrice = ethers.utils.parseEther("1.5");
+            await expect(marketplace.connect(creator).makeCounterOffer(offerId, newPrice, 4, 0, 0))
+                .to.emit(marketplace, "CounterOfferCreated")
+                .withArgs(offerId.add(1), offerId, creator.address, newPrice, 4, 0);
+
+            const counterId = offerId.add(1);
+            expect(await marketplace.counterOfferParent(counterId)).to.equal(offerId);
+            expect(await marketplace.getCounterOffers(offerId)).to.deep.equal([counterId]);
+            expect((await marketplace.getOffer(offerId)).offer.status).to.equal(5); // COUNTERED
+
+            const [buyerOffers] = await marketplace.getOffersByBuyer(buyer.address, 0, 10);
+            expect(buyerOffers).to.deep.equal([counterId]);
+            const [sellerOffers] = await marketplace.getOffersToSeller(creator.address, 0, 10);
+            expect(sellerOffers).to.deep.equal([counterId]);
+
+            await expect(
+                marketplace.connect(creator)["acceptOffer(uint256,uint256)"](offerId, 0)
+            ).to.be.revertedWith("Invalid offer status");
+        });
+
+        it("Should top up escrow when accepting a higher counter-offer", async function () {
+            const newPrice = ethers.utils.parseEther("1.5");
+            const counterId = await counter(newPrice, 4);
+            const initialBuyerBalance = await token.balanceOf(buyer.address);
+            const initialCreatorBalance = await token.balanceOf(creator.address);
+
+            await expect(marketplace.connect(buyer).acceptCounterOffer(counterId))
+                .to.emit(marketplace, "CounterOfferAccepted")
+                .withArgs(counterId, buyer.address);
+
+            const total = newPrice.mul(4); // 6 tokens against 5 escrowed
+            expect(await token.balanceOf(buyer.address)).to.equal(
+                initialBuyerBalance.sub(total.sub(price.mul(5)))
+            );
+            expect(await token.balanceOf(creator.address)).to.equal(
+                initialCreatorBalance.add(total).sub(total.mul(25).div(1000))
+            );
+            expect(await collection.balanceOf(buyer.address, tokenId)).to.equal(4);
+            expect(await marketplace.amountLockedInPool(token.address)).to.equal(0);
+            expect((await marketplace.getOffer(offerId)).offer.status).to.equal(1); // ACCEPTED
+            expect((await marketplace.getOffer(counterId)).offer.status).to.equal(1); // ACCEPTED
+        });
+
+        it("Should refund excess escrow when accepting a lower counter-offer", async function () {
+            const counterId = await counter(price, 3);
+            const initialBuyerBalance = await token.balanceOf(buyer.address);
+
+            await marketplace.connect(buyer).acceptCounterOffer(counterId);
+
+            expect(await token.balanceOf(buyer.address)).to.equal(initialBuyerBalance.add(price.mul(2)));
+            expect(await collection.balanceOf(buyer.address, tokenId)).to.equal(3);
+            expect(await marketplace.amountLockedInPool(token.address)).to.equal(0);
+        });
+
+        it("Should reconcile the seller's listing on acceptance", async function () {
+            await marketplace.connect(creator)["listNFT(address,uint256,uint256,uint256,uint256)"](collection.address, tokenId, price, 100, 0);
+            const counterId = await counter(price, 3);
+            await expect(marketplace.connect(buyer).acceptCounterOffer(counterId))
+                .to.emit(marketplace, "ListingQuantityUpdated")
+                .withArgs(collection.address, tokenId, creator.address, 97);
+        });
+
+        it("Should restore the original offer when a counter-offer is rejected or withdrawn", async function () {
+            const firstCounter = await counter(ethers.utils.parseEther("2"), 5);
+            await expect(marketplace.connect(buyer).rejectCounterOffer(firstCounter))
+                .to.emit(marketplace, "CounterOfferRejected")
+                .withArgs(firstCounter, buyer.address);
+            expect((await marketplace.getOffer(offerId)).offer.status).to.equal(0); // PENDING
+
+            const secondCounter = await counter(ethers.utils.parseEther("1.5"), 5);
+            await expect(marketplace.connect(creator).cancelCounterOffer(secondCounter))
+                .to.emit(marketplace, "CounterOfferCancelled")
+                .withArgs(secondCounter, creator.address);
+
+            expect(await marketplace.getCounterOffers(offerId)).to.deep.equal([firstCounter, secondCounter]);
+            expect((await marketplace.getOffer(firstCounter)).offer.status).to.equal(2); // REJECTED
+            expect((await marketplace.getOffer(secondCounter)).offer.status).to.equal(3); // CANCELLED
+
+            await marketplace.connect(creator)["acceptOffer(uint256,uint256)"](offerId, 0);
+            expect(await collection.balanceOf(buyer.address, tokenId)).to.equal(5);
+        });
+
+        it("Should refund escrow and close the counter-offer when the buyer cancels", async function () {
+            const counterId = await counter(ethers.utils.parseEther("2"), 5);
+            const initialBuyerBalance = await token.balanceOf(buyer.address);
+
+            await marketplace.connect(buyer).cancelOffer(offerId);
+
+            expect(await token.balanceOf(buyer.address)).to.equal(initialBuyerBalance.add(price.mul(5)));
+            expect(await marketplace.amountLockedInPool(token.address)).to.equal(0);
+            expect((await marketplace.getOffer(counterId)).offer.status).to.equal(3); // CANCELLED
+            await expect(
+                marketplace.connect(buyer).acceptCounterOffer(counterId)
+            ).to.be.revertedWith("Invalid offer status");
+        });
+
+        it("Should not allow counter-offers through the regular offer functions", async function () {
+            const counterId = await counter(ethers.utils.parseEther("2"), 5);
+            await expect(
+                marketplace.connect(creator)["acceptOffer(uint256,uint256)"](counterId, 0)
+            ).to.be.revertedWith("Is a counter-offer");
+            await expect(
+                marketplace.connect(creator).rejectOffer(counterId)
+            ).to.be.revertedWith("Is a counter-offer");
+            await expect(
+                marketplace.connect(buyer).cancelOffer(counterId)
+            ).to.be.revertedWith("Is a counter-offer");
+            await expect(
+                marketplace.connect(buyer).acceptCounterOffer(offerId)
+            ).to.be.revertedWith("Not a counter-offer");
+        });
+
+        it("Should validate counter-offers", async function () {
+            await expect(
+                marketplace.connect(seller).makeCounterOffer(offerId, price.mul(2), 5, 0, 0)
+            ).to.be.revertedWith("Not offer recipient");
+            await expect(
+                marketplace.connect(creator).makeCounterOffer(offerId, price, 5, 0, 0)
+            ).to.be.revertedWith("Same terms");
+            await expect(
+                marketplace.connect(creator).makeCounterOffer(offerId, 0, 5, 0, 0)
+            ).to.be.revertedWith("Invalid price");
+            await expect(
+                marketplace.connect(creator).makeCounterOffer(offerId, price, 101, 0, 0)
+            ).to.be.revertedWith("Insufficient balance");
+
+            const counterId = await counter(price.mul(2), 5);
+            await expect(
+                marketplace.connect(creator).acceptCounterOffer(counterId)
+            ).to.be.revertedWith("Not offer recipient");
+            await expect(
+                marketplace.connect(buyer).cancelCounterOffer(counterId)
+            ).to.be.revertedWith("Not offer creator");
+        });
+
+        it("Should not accept an expired counter-offer", async function () {
+            const expiresAt = (await time.latest()) + 3600;
+            const tx = await marketplace.connect(creator).makeCounterOffer(offerId, price.mul(2), 5, expiresAt, 0);
+            const counterId = (await tx.wait()).events.find(e => e.event === "CounterOfferCreated").args.counterOfferId;
+
+            await time.increase(3601);
+            await expect(
+                marketplace.connect(buyer).acceptCounterOffer(counterId)
+            ).to.be.revertedWith("Offer expired");
+
+            await marketplace.connect(buyer).rejectCounterOffer(counterId);
+            expect((await marketplace.getOffer(offerId)).offer.status).to.equal(0); // PENDING
+        });
+    });
+    describe("Multi-Currency Payments", function () {
+        let altToken;
+        const price = ethers.utils.parseEther("1");
+
+        beforeEach(async function () {
+            const MockERC20 = await ethers.getContractFactory("MockERC20");
+            altToken = await MockERC20.deploy("Alt Token", "ALT", 3, ethers.utils.parseEther("1000000"), seller.address, 0);
+            await altToken.deployed();
+            await altToken.transfer(buyer.address, ethers.utils.parseEther("1000"));
+            await altToken.connect(buyer).approve(marketplace.address, ethers.utils.parseEther("1000"));
+
+            await marketplace.connect(owner).setPaymentToken(altToken.address, true);
+            await collection.connect(creator).setApprovalForAll(marketplace.address, true);
+        });
+
+        it("Should manage the payment token allowlist", async function () {
+            expect(await marketplace.paymentTokens(token.address)).to.be.true;
+            expect(await marketplace.paymentTokens(altToken.address)).to.be.true;
+
+            await expect(marketplace.connect(owner).setPaymentToken(altToken.address, false))
+                .to.emit(marketplace, "PaymentTokenUpdated")
+                .withArgs(altToken.address, false);
+            expect(await marketplace.paymentTokens(altToken.address)).to.be.false;
+
+            await expect(
+                marketplace.connect(buyer).setPaymentToken(altToken.address, true)
+            ).to.be.revertedWith("Ownable: caller is not the owner");
+            await expect(
+                marketplace.connect(owner).setPaymentToken(ethers.constants.AddressZero, true)
+            ).to.be.revertedWith("Invalid token address");
+        });
+
+        it("Should sell a listing in its own payment token", async function () {
+            await marketplace.connect(creator).listNFTWithPaymentToken(
+                collection.address, tokenId, price, 10, 0, altToken.address
+            );
+            expect((await marketplace.getListing(collection.address, tokenId, creator.address)).paymentToken)
+                .to.equal(altToken.address);
+
+            const initialBuyerBalance = await token.balanceOf(buyer.address);
+            await marketplace.connect(buyer)["buyListedNFT(address,uint256,address,uint256,uint256)"](collection.address, tokenId, creator.address, 2, ethers.constants.MaxUint256);
+
+            const total = price.mul(2);
+            const platformFee = total.mul(25).div(1000);
+            expect(await altToken.balanceOf(creator.address)).to.equal(total.sub(platformFee));
+            expect(await altToken.balanceOf(marketplace.address)).to.equal(platformFee);
+            expect(await token.balanceOf(buyer.address)).to.equal(initialBuyerBalance);
+        });
+
+        it("Should default listings to the designated token", async function () {
+            await marketplace.connect(creator)["listNFT(address,uint256,uint256,uint256,uint256)"](collection.address, tokenId, price, 10, 0);
+            expect((await marketplace.getListing(collection.address, tokenId, creator.address)).paymentToken)
+                .to.equal(token.address);
+        });
+
+        it("Should reject payment tokens that are not allowlisted", async function () {
+            await marketplace.connect(owner).setPaymentToken(altToken.address, false);
+            await expect(
+                marketplace.connect(creator).listNFTWithPaymentToken(
+                    collection.address, tokenId, price, 10, 0, altToken.address
+                )
+            ).to.be.revertedWith("Payment token not allowed");
+            await expect(
+                marketplace.connect(buyer)["makeOffer(address,uint256,address,uint256,uint256,uint256,address)"](
+                    collection.address, tokenId, creator.address, 1, price, 0, altToken.address
+                )
+            ).to.be.revertedWith("Payment token not allowed");
+            await expect(
+                marketplace.connect(buyer).makeCollectionOffer(collection.address, 1, price, 0, altToken.address)
+            ).to.be.revertedWith("Payment token not allowed");
+        });
+
+        it("Should escrow auction bids per payment token", async function () {
+            const tx = await marketplace.connect(creator).createAuctionWithOptions(
+                collection.address,
+                tokenId,
+                1,
+                price,
+                ethers.utils.parseEther("0.1"),
+                3600,
+                { reservePrice: 0, reserveCommitment: ethers.constants.HashZero, buyNowPrice: 0, paymentToken: altToken.address }
+            );
+            const auctionId = (await tx.wait()).events.find(e => e.event === "AuctionCreated").args.auctionId;
+            expect(await marketplace.auctionPaymentTokens(auctionId)).to.equal(altToken.address);
+
+            const bid = ethers.utils.parseEther("2");
+            await marketplace.connect(buyer).placeBid(auctionId, bid);
+            expect(await marketplace.amountLockedInPool(altToken.address)).to.equal(bid);
+            expect(await marketplace.amountLockedInPool(token.address)).to.equal(0);
+
+            await time.increase(3601);
+            await marketplace.settleAuction(auctionId);
+
+            expect(await marketplace.amountLockedInPool(altToken.address)).to.equal(0);
+            expect(await altToken.balanceOf(creator.address)).to.equal(bid.sub(bid.mul(25).div(1000)));
+        });
+
+        it("Should settle and refund offers in their payment token", async function () {
+            let tx = await marketplace.connect(buyer)["makeOffer(address,uint256,address,uint256,uint256,uint256,address)"](
+                collection.address, tokenId, creator.address, 2, price, 0, altToken.address
+            );
+            const acceptedId = (await tx.wait()).events.find(e => e.event === "OfferCreated").args.offerId;
+            tx = await marketplace.connect(buyer)["makeOffer(address,uint256,address,uint256,uint256,uint256,address)"](
+                collection.address, tokenId, creator.address, 3, price, 0, altToken.address
+            );
+            const cancelledId = (await tx.wait()).events.find(e => e.event === "OfferCreated").args.offerId;
+
+            expect(await marketplace.offerPaymentTokens(acceptedId)).to.equal(altToken.address);
+            expect(await marketplace.amountLockedInPool(altToken.address)).to.equal(price.mul(5));
+
+            await marketplace.connect(creator)["acceptOffer(uint256,uint256)"](acceptedId, 0);
+            expect(await marketplace.amountLockedInPool(altToken.address)).to.equal(price.mul(3));
+
+            // Delisting the token keeps open escrow refundable
+            await marketplace.connect(owner).setPaymentToken(altToken.address, false);
+            const initialBuyerBalance = await altToken.balanceOf(buyer.address);
+            await marketplace.connect(buyer).cancelOffer(cancelledId);
+            expect(await altToken.balanceOf(buyer.address)).to.equal(initialBuyerBalance.add(price.mul(3)));
+            expect(await marketplace.amountLockedInPool(altToken.address)).to.equal(0);
+        });
+
+        it("Should fill collection offers in their payment token", async function () {
+            const tx = await marketplace.connect(buyer).makeCollectionOffer(
+                collection.address, 4, price, 0, altToken.address
+            );
+            const offerId = (await tx.wait()).events.find(e => e.event === "CollectionOfferCreated").args.offerId;
+
+            await marketplace.connect(creator).acceptCollectionOffer(offerId, tokenId, 4, 0);
+
+            const total = price.mul(4);
+            expect(await altToken.balanceOf(creator.address)).to.equal(total.sub(total.mul(25).div(1000)));
+            expect(await marketplace.amountLockedInPool(altToken.address)).to.equal(0);
+        });
+
+        it("Should withdraw fees per payment token without touching escrow", async function () {
+            await marketplace.connect(creator).listNFTWithPaymentToken(
+                collection.address, tokenId, price, 10, 0, altToken.address
+            );
+            await marketplace.connect(buyer)["buyListedNFT(address,uint256,address,uint256,uint256)"](collection.address, tokenId, creator.address, 4, ethers.constants.MaxUint256);
+            await marketplace.connect(buyer)["makeOffer(address,uint256,address,uint256,uint256,uint256,address)"](
+                collection.address, tokenId, creator.address, 1, price, 0, altToken.address
+            );
+
+            const fee = price.mul(4).mul(25).div(1000);
+            expect(await marketplace.getWithdrawableFees(altToken.address)).to.equal(fee);
+            expect(await marketplace.getWithdrawableFees(token.address)).to.equal(0);
+
+            const initialOwnerBalance = await altToken.balanceOf(owner.address);
+            await marketplace.connect(owner)["withdrawFees(address)"](altToken.address);
+            expect(await altToken.balanceOf(owner.address)).to.equal(initialOwnerBalance.add(fee));
+            expect(await altToken.balanceOf(marketplace.address)).to.equal(price);
+        });
+    });
+    describe("Native ETH Payments", function () {
+        let weth;
+        const price = ethers.utils.parseEther("1");
+
+        beforeEach(async function () {
+            const MockWETH = await ethers.getContractFactory("MockWETH");
+            weth = await MockWETH.deploy();
+            await weth.deployed();
+
+            await marketplace.connect(owner).setWETH(weth.address);
+            await collection.connect(creator).setApprovalForAll(marketplace.address, true);
+        });
+
+        async function createWETHAuction() {
+            const tx = await marketplace.connect(creator).createAuctionWithOptions(
+                collection.address,
+                tokenId,
+                1,
+                price,
+                ethers.utils.parseEther("0.1"),
+                3600,
+                { reservePrice: 0, reserveCommitment: ethers.constants.HashZero, buyNowPrice: 0, paymentToken: weth.address }
+            );
+            return (await tx.wait()).events.find(e => e.event === "AuctionCreated").args.auctionId;
+        }
+
+        it("Should configure and allowlist WETH", async function () {
+            expect(await marketplace.weth()).to.equal(weth.address);
+            expect(await marketplace.paymentTokens(weth.address)).to.be.true;
+            await expect(
+                marketplace.connect(buyer).setWETH(weth.address)
+            ).to.be.revertedWith("Ownable: caller is not the owner");
+            await expect(
+                buyer.sendTransaction({ to: marketplace.address, value: price })
+            ).to.be.revertedWith("Only WETH");
+        });
+
+        it("Should buy a WETH listing with ETH using the ERC20 fee split", async function () {
+            await marketplace.connect(creator).listNFTWithPaymentToken(
+                collection.address, tokenId, price, 10, 0, weth.address
+            );
+
+            const total = price.mul(3);
+            await expect(
+                marketplace.connect(buyer).buyListedNFTWithETH(collection.address, tokenId, creator.address, 3, ethers.constants.MaxUint256, { value: total })
+            ).to.emit(marketplace, "NFTSold")
+                .withArgs(collection.address, tokenId, creator.address, buyer.address, price, 3);
+
+            const platformFee = total.mul(25).div(1000);
+            expect(await collection.balanceOf(buyer.address, tokenId)).to.equal(3);
+            expect(await weth.balanceOf(creator.address)).to.equal(total.sub(platformFee));
+            expect(await weth.balanceOf(marketplace.address)).to.equal(platformFee);
+            expect(await marketplace.getWithdrawableFees(weth.address)).to.equal(platformFee);
+        });
+
+        it("Should validate ETH purchases", async function () {
+            await marketplace.connect(creator).listNFTWithPaymentToken(
+                collection.address, tokenId, price, 10, 0, weth.address
+            );
+            await expect(
+                marketplace.connect(buyer).buyListedNFTWithETH(collection.address, tokenId, creator.address, 2, ethers.constants.MaxUint256, { value: price })
+            ).to.be.revertedWith("Incorrect ETH amount");
+
+            await marketplace.connect(creator).removeListing(collection.address, tokenId);
+            await marketplace.connect(creator)["listNFT(address,uint256,uint256,uint256,uint256)"](collection.address, tokenId, price, 10, 0);
+            await expect(
+                marketplace.connect(buyer).buyListedNFTWithETH(collection.address, tokenId, creator.address, 1, ethers.constants.MaxUint256, { value: price })
+            ).to.be.revertedWith("Not payable in ETH");
+        });
+
+        it("Should refund outbid ETH bids as WETH by default", async function () {
+            const auctionId = await createWETHAuction();
+            const firstBid = ethers.utils.parseEther("1.5");
+            await marketplace.connect(buyer).placeBidWithETH(auctionId, { value: firstBid });
+            expect(await marketplace.amountLockedInPool(weth.address)).to.equal(firstBid);
+
+            await marketplace.connect(seller).placeBidWithETH(auctionId, { value: ethers.utils.parseEther("2") });
+
+            expect(await weth.balanceOf(buyer.address)).to.equal(firstBid);
+            expect(await marketplace.amountLockedInPool(weth.address)).to.equal(ethers.utils.parseEther("2"));
+        });
+
+        it("Should refund outbid bids as ETH on request", async function () {
+            const auctionId = await createWETHAuction();
+            const firstBid = ethers.utils.parseEther("1.5");
+            await expect(marketplace.connect(buyer).setRefundInETH(true))
+                .to.emit(marketplace, "RefundPreferenceUpdated")
+                .withArgs(buyer.address, true);
+            await marketplace.connect(buyer).placeBidWithETH(auctionId, { value: firstBid });
+
+            await expect(
+                marketplace.connect(seller).placeBidWithETH(auctionId, { value: ethers.utils.parseEther("2") })
+            ).to.changeEtherBalance(buyer, firstBid);
+            expect(await weth.balanceOf(buyer.address)).to.equal(0);
+
+            await time.increase(3601);
+            await marketplace.settleAuction(auctionId);
+            const finalPrice = ethers.utils.parseEther("2");
+            expect(await weth.balanceOf(creator.address)).to.equal(finalPrice.sub(finalPrice.mul(25).div(1000)));
+        });
+
+        it("Should refund as WETH when the ETH recipient burns the forwarded gas", async function () {
+            const auctionId = await createWETHAuction();
+            const GasBurnerMock = await ethers.getContractFactory("GasBurnerMock");
+            const burner = await GasBurnerMock.deploy(marketplace.address);
+            await burner.deployed();
+            const firstBid = ethers.utils.parseEther("1.5");
+            await burner.connect(buyer).placeBidWithETH(auctionId, { value: firstBid });
+            expect(await marketplace.refundInETH(burner.address)).to.be.true;
+
+            // an ordinary gas limit is enough, the burner only ever gets the stipend
+            await marketplace.connect(seller).placeBidWithETH(
+                auctionId, { value: ethers.utils.parseEther("2"), gasLimit: 500000 }
+            );
+
+            expect(await weth.balanceOf(burner.address)).to.equal(firstBid);
+            expect(await ethers.provider.getBalance(burner.address)).to.equal(0);
+            const auction = await marketplace.auctions(auctionId);
+            expect(auction.highestBidder).to.equal(seller.address);
+        });
+
+        it("Should escrow ETH offers as WETH and refund cancellations as ETH on request", async function () {
+            const total = price.mul(2);
+            await expect(
+                marketplace.connect(buyer).makeOfferWithETH(
+                    collection.address, tokenId, creator.address, 2, price, 0, { value: price }
+                )
+            ).to.be.revertedWith("Incorrect ETH amount");
+
+            const tx = await marketplace.connect(buyer).makeOfferWithETH(
+                collection.address, tokenId, creator.address, 2, price, 0, { value: total }
+            );
+            const offerId = (await tx.wait()).events.find(e => e.event === "OfferCreated").args.offerId;
+            expect(await marketplace.offerPaymentTokens(offerId)).to.equal(weth.address);
+            expect(await marketplace.amountLockedInPool(weth.address)).to.equal(total);
+
+            await marketplace.connect(buyer).setRefundInETH(true);
+            await expect(
+                marketplace.connect(buyer).cancelOffer(offerId)
+            ).to.changeEtherBalance(buyer, total);
+            expect(await marketplace.amountLockedInPool(weth.address)).to.equal(0);
+            expect(await weth.balanceOf(marketplace.address)).to.equal(0);
+        });
+
+        it("Should settle accepted ETH offers in WETH", async function () {
+            const total = price.mul(2);
+            const tx = await marketplace.connect(buyer).makeOfferWithETH(
+                collection.address, tokenId, creator.address, 2, price, 0, { value: total }
+            );
+            const offerId = (await tx.wait()).events.find(e => e.event === "OfferCreated").args.offerId;
+
+            await marketplace.connect(creator)["acceptOffer(uint256,uint256)"](offerId, 0);
+
+            const platformFee = total.mul(25).div(1000);
+            expect(await weth.balanceOf(creator.address)).to.equal(total.sub(platformFee));
+            expect(await collection.balanceOf(buyer.address, tokenId)).to.equal(2);
+        });
+    });
+    describe("Permit Payments", function () {
+        let permitToken;
+        let deadline;
+        const price = ethers.utils.parseEther("1");
+
+        beforeEach(async function () {
+            const MockERC20Permit = await ethers.getContractFactory("MockERC20Permit");
+            permitToken = await MockERC20Permit.deploy("Permit Token", "PRM", ethers.utils.parseEther("1000000"));
+            await permitToken.deployed();
+            await permitToken.transfer(buyer.address, ethers.utils.parseEther("1000"));
+            await permitToken.transfer(seller.address, ethers.utils.parseEther("1000"));
+
+            await marketplace.connect(owner).setPaymentToken(permitToken.address, true);
+            await collection.connect(creator).setApprovalForAll(marketplace.address, true);
+            deadline = (await time.latest()) + 3600;
+        });
+
+        it("Should buy a listing without a prior approval", async function () {
+            await marketplace.connect(creator).listNFTWithPaymentToken(
+                collection.address, tokenId, price, 10, 0, permitToken.address
+            );
+            const total = price.mul(3);
+            const permit = await signPermit(permitToken, buyer, marketplace.address, total, deadline);
+
+            await marketplace.connect(buyer).buyListedNFTWithPermit(
+                collection.address, tokenId, creator.address, 3, ethers.constants.MaxUint256, permit
+            );
+
+            expect(await collection.balanceOf(buyer.address, tokenId)).to.equal(3);
+            expect(await permitToken.balanceOf(creator.address)).to.equal(total.sub(total.mul(25).div(1000)));
+            expect(await permitToken.allowance(buyer.address, marketplace.address)).to.equal(0);
+        });
+
+        it("Should batch buy with a single permit", async function () {
+            await collection.connect(creator).createNFT("Token 2", "Desc 2", "ipfs://test2", 100);
+            await marketplace.connect(creator).listNFTWithPaymentToken(
+                collection.address, tokenId, price, 10, 0, permitToken.address
+            );
+            await marketplace.connect(creator).listNFTWithPaymentToken(
+                collection.address, 2, price.mul(2), 10, 0, permitToken.address
+            );
+            const permit = await signPermit(permitToken, buyer, marketplace.address, price.mul(5), deadline);
+
+            await marketplace.connect(buyer).batchBuyListedNFTsWithPermit(
+                [
+                    { collection: collection.address, tokenId: tokenId, seller: creator.address, quantity: 1, maxUnitPrice: ethers.constants.MaxUint256 },
+                    { collection: collection.address, tokenId: 2, seller: creator.address, quantity: 2, maxUnitPrice: ethers.constants.MaxUint256 }
+                ],
+                permitToken.address,
+                permit
+            );
+
+            expect(await collection.balanceOf(buyer.address, tokenId)).to.equal(1);
+            expect(await collection.balanceOf(buyer.address, 2)).to.equal(2);
+            expect(await permitToken.allowance(buyer.address, marketplace.address)).to.equal(0);
+        });
+
+        it("Should place bids with permits", async function () {
+            const tx = await marketplace.connect(creator).createAuctionWithOptions(
+                collection.address,
+                tokenId,
+                1,
+                price,
+                ethers.utils.parseEther("0.1"),
+                3600,
+                { reservePrice: 0, reserveCommitment: ethers.constants.HashZero, buyNowPrice: 0, paymentToken: permitToken.address }
+            );
+            const auctionId = (await tx.wait()).events.find(e => e.event === "AuctionCreated").args.auctionId;
+
+            const firstBid = ethers.utils.parseEther("1.5");
+            let permit = await signPermit(permitToken, buyer, marketplace.address, firstBid, deadline);
+            await marketplace.connect(buyer).placeBidWithPermit(auctionId, firstBid, permit);
+
+            const secondBid = ethers.utils.parseEther("2");
+            permit = await signPermit(permitToken, seller, marketplace.address, secondBid, deadline);
+            await expect(marketplace.connect(seller).placeBidWithPermit(auctionId, secondBid, permit))
+                .to.emit(marketplace, "BidPlaced")
+                .withArgs(auctionId, seller.address, secondBid);
+
+            expect(await permitToken.balanceOf(buyer.address)).to.equal(ethers.utils.parseEther("1000"));
+            expect(await marketplace.amountLockedInPool(permitToken.address)).to.equal(secondBid);
+        });
+
+        it("Should make offers with permits", async function () {
+            const total = price.mul(2);
+            const permit = await signPermit(permitToken, buyer, marketplace.address, total, deadline);
+
+            await expect(
+                marketplace.connect(buyer).makeOfferWithPermit(
+                    collection.address, tokenId, creator.address, 2, price, 0, permitToken.address, permit
+                )
+            ).to.emit(marketplace, "OfferCreated");
+
+            expect(await marketplace.amountLockedInPool(permitToken.address)).to.equal(total);
+            expect(await permitToken.allowance(buyer.address, marketplace.address)).to.equal(0);
+        });
+
+        it("Should still trade when the permit was front-run", async function () {
+            await marketplace.connect(creator).listNFTWithPaymentToken(
+                collection.address, tokenId, price, 10, 0, permitToken.address
+            );
+            const permit = await signPermit(permitToken, buyer, marketplace.address, price, deadline);
+            await permitToken.connect(seller).permit(
+                buyer.address, marketplace.address, permit.value, permit.deadline, permit.v, permit.r, permit.s
+            );
+
+            await marketplace.connect(buyer).buyListedNFTWithPermit(
+                collection.address, tokenId, creator.address, 1, ethers.constants.MaxUint256, permit
+            );
+            expect(await collection.balanceOf(buyer.address, tokenId)).to.equal(1);
+        });
+
+        it("Should revert when the permit does not cover the payment", async function () {
+            await marketplace.connect(creator).listNFTWithPaymentToken(
+                collection.address, tokenId, price, 10, 0, permitToken.address
+            );
+            const permit = await signPermit(permitToken, buyer, marketplace.address, price, deadline);
+
+            await expect(
+                marketplace.connect(buyer).buyListedNFTWithPermit(
+                    collection.address, tokenId, creator.address, 2, ethers.constants.MaxUint256, permit
+                )
+            ).to.be.revertedWith("ERC20: insufficient allowance");
+            await expect(
+                marketplace.connect(buyer).buyListedNFTWithPermit(
+                    collection.address, tokenId, seller.address, 1, ethers.constants.MaxUint256, permit
+                )
+            ).to.be.revertedWith("Invalid listing");
+        });
+    });
+    describe("Bundle Listings", function () {
+        let collection2;
+        const price = ethers.utils.parseEther("4");
+
+        beforeEach(async function () {
+            const tx = await factory.connect(seller).createCollection("Second Collection", "SC", false, 0);
+            const receipt = await tx.wait();
+            const event = receipt.events.find(e => e.event === "CollectionCreated");
+            collection2 = await ethers.getContractAt("BaseCollection", event.args.collection);
+            await collection2.connect(seller).createNFT("Token 1", "Desc 1", "ipfs://test", 100);
+            await collection2.connect(seller).updateRoyaltyPercentage(100);
+            await collection2.connect(seller).safeTransferFrom(seller.address, creator.address, 1, 10, "0x");
+
+            await collection.connect(creator).createNFT("Token 2", "Desc 2", "ipfs://test2", 100);
+            await collection.connect(creator).setApprovalForAll(marketplace.address, true);
+            await collection2.connect(creator).setApprovalForAll(marketplace.address, true);
+            await token.connect(buyer).approve(marketplace.address, ethers.utils.parseEther("100"));
+        });
+
+        // Splits the bundle price evenly unless item prices are given
+        async function listBundle(items, itemPrices = items.map(() => price.div(items.length))) {
+            const tx = await marketplace.connect(creator).listBundle(items, itemPrices, ethers.constants.AddressZero);
+            return (await tx.wait()).events.find(e => e.event === "BundleListed").args.bundleId;
+        }
+
+        it("Should list a bundle across token IDs and collections", async function () {
+            const items = [
+                { collection: collection.address, tokenId: 1, quantity: 2 },
+                { collection: collection.address, tokenId: 2, quantity: 2 },
+                { collection: collection2.address, tokenId: 1, quantity: 1 }
+            ];
+            const itemPrices = [ethers.utils.parseEther("1"), ethers.utils.parseEther("0.5"), ethers.utils.parseEther("2.5")];
+            await expect(marketplace.connect(creator).listBundle(items, itemPrices, ethers.constants.AddressZero))
+                .to.emit(marketplace, "BundleListed")
+                .withArgs(1, creator.address, price, token.address, 3);
+
+            const [bundle, bundleItems, bundleItemPrices] = await marketplace.getBundle(1);
+            expect(bundle.seller).to.equal(creator.address);
+            expect(bundle.price).to.equal(price);
+            expect(bundle.status).to.equal(0); // ACTIVE
+            expect(bundleItems.length).to.equal(3);
+            expect(bundleItems[2].collection).to.equal(collection2.address);
+            expect(bundleItemPrices).to.deep.equal(itemPrices);
+        });
+
+        it("Should sell all items atomically with fees and royalties per item", async function () {
+            const bundleId = await listBundle([
+                { collection: collection.address, tokenId: 1, quantity: 2 },
+                { collection: collection2.address, tokenId: 1, quantity: 2 }
+            ], [ethers.utils.parseEther("2"), ethers.utils.parseEther("2")]);
+            const initialCreatorBalance = await token.balanceOf(creator.address);
+            const initialSellerBalance = await token.balanceOf(seller.address);
+
+            await expect(marketplace.connect(buyer).buyBundle(bundleId))
+                .to.emit(marketplace, "BundleSold")
+                .withArgs(bundleId, creator.address, buyer.address, price);
+
+            expect(await collection.balanceOf(buyer.address, 1)).to.equal(2);
+            expect(await collection2.balanceOf(buyer.address, 1)).to.equal(2);
+
+            // Each item is worth 2 tokens: primary fee on the creator's own token,
+            // secondary fee and 10% royalty on the second collection
+            const itemPrice = ethers.utils.parseEther("2");
+            const primaryFee = itemPrice.mul(25).div(1000);
+            const secondaryFee = itemPrice.mul(10).div(1000);
+            const royalty = itemPrice.mul(100).div(1000);
+            expect(await token.balanceOf(marketplace.address)).to.equal(primaryFee.add(secondaryFee));
+            expect(await token.balanceOf(seller.address)).to.equal(initialSellerBalance.add(royalty));
+            expect(await token.balanceOf(creator.address)).to.equal(
+                initialCreatorBalance.add(price).sub(primaryFee).sub(secondaryFee).sub(royalty)
+            );
+            expect((await marketplace.bundles(bundleId)).status).to.equal(1); // SOLD
+        });
+
+        it("Should charge fees and royalties on the seller's item prices", async function () {
+            // Many cheap units of the creator's token and one valuable unit carrying a royalty
+            const cheapPrice = ethers.utils.parseEther("0.5");
+            const valuablePrice = ethers.utils.parseEther("3.5");
+            const bundleId = await listBundle([
+                { collection: collection.address, tokenId: 1, quantity: 9 },
+                { collection: collection2.address, tokenId: 1, quantity: 1 }
+            ], [cheapPrice, valuablePrice]);
+            const initialSellerBalance = await token.balanceOf(seller.address);
+
+            await marketplace.connect(buyer).buyBundle(bundleId);
+
+            expect(await token.balanceOf(seller.address)).to.equal(
+                initialSellerBalance.add(valuablePrice.mul(100).div(1000))
+            );
+            expect(await token.balanceOf(marketplace.address)).to.equal(
+                cheapPrice.mul(25).div(1000).add(valuablePrice.mul(10).div(1000))
+            );
+        });
+
+        it("Should reconcile individually listed units of the seller", async function () {
+            await marketplace.connect(creator)["listNFT(address,uint256,uint256,uint256,uint256)"](collection.address, 1, ethers.utils.parseEther("1"), 100, 0);
+            const bundleId = await listBundle([{ collection: collection.address, tokenId: 1, quantity: 3 }]);
+
+            await expect(marketplace.connect(buyer).buyBundle(bundleId))
+                .to.emit(marketplace, "ListingQuantityUpdated")
+                .withArgs(collection.address, 1, creator.address, 97);
+        });
+
+        it("Should revert the whole purchase when an item is no longer held", async function () {
+            const bundleId = await listBundle([
+                { collection: collection.address, tokenId: 1, quantity: 2 },
+                { collection: collection2.address, tokenId: 1, quantity: 10 }
+            ]);
+            await collection2.connect(creator).safeTransferFrom(creator.address, seller.address, 1, 1, "0x");
+
+            await expect(
+                marketplace.connect(buyer).buyBundle(bundleId)
+            ).to.be.revertedWith("Insufficient balance");
+            expect(await collection.balanceOf(buyer.address, 1)).to.equal(0);
+        });
+
+        it("Should cancel bundles", async function () {
+            const bundleId = await listBundle([{ collection: collection.address, tokenId: 1, quantity: 2 }]);
+            await expect(
+                marketplace.connect(buyer).cancelBundle(bundleId)
+            ).to.be.revertedWith("Not bundle seller");
+
+            await expect(marketplace.connect(creator).cancelBundle(bundleId))
+                .to.emit(marketplace, "BundleCancelled")
+                .withArgs(bundleId, creator.address);
+            await expect(
+                marketplace.connect(buyer).buyBundle(bundleId)
+            ).to.be.revertedWith("Bundle not active");
+        });
+
+        it("Should validate bundle listings", async function () {
+            await expect(
+                marketplace.connect(creator).listBundle([], [], ethers.constants.AddressZero)
+            ).to.be.revertedWith("Empty bundle");
+            await expect(
+                marketplace.connect(creator).listBundle(
+                    [{ collection: collection.address, tokenId: 1, quantity: 2 }], [price, price], ethers.constants.AddressZero
+                )
+            ).to.be.revertedWith("Item prices mismatch");
+            await expect(
+                marketplace.connect(creator).listBundle(
+                    [{ collection: collection.address, tokenId: 1, quantity: 2 }], [0], ethers.constants.AddressZero
+                )
+            ).to.be.revertedWith("Invalid price");
+            await expect(
+                marketplace.connect(creator).listBundle(
+                    [{ collection: buyer.address, tokenId: 1, quantity: 2 }], [price], ethers.constants.AddressZero
+                )
+            ).to.be.revertedWith("Collection not registered");
+            await expect(
+                marketplace.connect(creator).listBundle(
+                    [{ collection: collection.address, tokenId: 1, quantity: 101 }], [price], ethers.constants.AddressZero
+                )
+            ).to.be.revertedWith("Insufficient balance");
+
+            const bundleId = await listBundle([{ collection: collection.address, tokenId: 1, quantity: 2 }]);
+            await expect(
+                marketplace.connect(creator).buyBundle(bundleId)
+            ).to.be.revertedWith("Cannot buy own bundle");
+            await expect(
+                marketplace.connect(buyer).buyBundle(99)
+            ).to.be.revertedWith("Bundle does not exist");
+        });
+    });
+    describe("Swap Offers", function () {
+        let collection2;
+        let offered, requested;
+        const sweetener = ethers.utils.parseEther("1");
+
+        beforeEach(async function () {
+            const tx = await factory.connect(seller).createCollection("Second Collection", "SC", false, 0);
+            const receipt = await tx.wait();
+            const event = receipt.events.find(e => e.event === "CollectionCreated");
+            collection2 = await ethers.getContractAt("BaseCollection", event.args.collection);
+            await collection2.connect(seller).createNFT("Token 1", "Desc 1", "ipfs://test", 100);
+
+            await collection.connect(creator).setApprovalForAll(marketplace.address, true);
+            await collection2.connect(seller).setApprovalForAll(marketplace.address, true);
+            await token.connect(creator).approve(marketplace.address, ethers.utils.parseEther("10"));
+
+            offered = [{ collection: collection.address, tokenId: tokenId, quantity: 3 }];
+            requested = [{ collection: collection2.address, tokenId: 1, quantity: 2 }];
+        });
+
+        async function proposeSwap(counterparty = seller.address, expiresAt = 0) {
+            const tx = await marketplace.connect(creator).proposeSwap(
+                offered, requested, counterparty, ethers.constants.AddressZero, sweetener, expiresAt
+            );
+            return (await tx.wait()).events.find(e => e.event === "SwapProposed").args.swapId;
+        }
+
+        it("Should escrow the proposer's items and sweetener", async function () {
+            await expect(
+                marketplace.connect(creator).proposeSwap(
+                    offered, requested, seller.address, ethers.constants.AddressZero, sweetener, 0
+                )
+            ).to.emit(marketplace, "SwapProposed")
+                .withArgs(1, creator.address, seller.address, token.address, sweetener, 0);
+
+            expect(await collection.balanceOf(marketplace.address, tokenId)).to.equal(3);
+            expect(await marketplace.amountLockedInPool(token.address)).to.equal(sweetener);
+
+            const [swap, offeredItems, requestedItems] = await marketplace.getSwap(1);
+            expect(swap.proposer).to.equal(creator.address);
+            expect(swap.status).to.equal(0); // PENDING
+            expect(offeredItems[0].quantity).to.equal(3);
+            expect(requestedItems[0].collection).to.equal(collection2.address);
+        });
+
+        it("Should execute the swap atomically on acceptance", async function () {
+            const swapId = await proposeSwap();
+            const initialSellerBalance = await token.balanceOf(seller.address);
+
+            await expect(marketplace.connect(seller).acceptSwap(swapId))
+                .to.emit(marketplace, "SwapAccepted")
+                .withArgs(swapId, creator.address, seller.address);
+
+            expect(await collection.balanceOf(seller.address, tokenId)).to.equal(3);
+            expect(await collection2.balanceOf(creator.address, 1)).to.equal(2);
+            expect(await token.balanceOf(seller.address)).to.equal(initialSellerBalance.add(sweetener));
+            expect(await marketplace.amountLockedInPool(token.address)).to.equal(0);
+            expect((await marketplace.swapOffers(swapId)).status).to.equal(1); // ACCEPTED
+        });
+
+        it("Should let any holder accept an open swap", async function () {
+            await collection2.connect(seller).safeTransferFrom(seller.address, buyer.address, 1, 5, "0x");
+            await collection2.connect(buyer).setApprovalForAll(marketplace.address, true);
+            const swapId = await proposeSwap(ethers.constants.AddressZero);
+
+            await expect(
+                marketplace.connect(creator).acceptSwap(swapId)
+            ).to.be.revertedWith("Not swap counterparty");
+
+            await marketplace.connect(buyer).acceptSwap(swapId);
+            expect(await collection.balanceOf(buyer.address, tokenId)).to.equal(3);
+            expect(await collection2.balanceOf(creator.address, 1)).to.equal(2);
+        });
+
+        it("Should return the escrow when the counterparty rejects", async function () {
+            const swapId = await proposeSwap();
+            const initialCreatorBalance = await token.balanceOf(creator.address);
+
+            await expect(
+                marketplace.connect(buyer).rejectSwap(swapId)
+            ).to.be.revertedWith("Not swap counterparty");
+            await expect(marketplace.connect(seller).rejectSwap(swapId))
+                .to.emit(marketplace, "SwapRejected")
+                .withArgs(swapId, seller.address);
+
+            expect(await collection.balanceOf(creator.address, tokenId)).to.equal(100);
+            expect(await token.balanceOf(creator.address)).to.equal(initialCreatorBalance.add(sweetener));
+            expect(await marketplace.amountLockedInPool(token.address)).to.equal(0);
+        });
+
+        it("Should cancel by the proposer or by anyone once expired", async function () {
+            const swapId = await proposeSwap();
+            await expect(
+                marketplace.connect(seller).cancelSwap(swapId)
+            ).to.be.revertedWith("Not swap proposer");
+            await expect(marketplace.connect(creator).cancelSwap(swapId))
+                .to.emit(marketplace, "SwapCancelled")
+                .withArgs(swapId, creator.address, 3); // CANCELLED
+
+            const expiresAt = (await time.latest()) + 3600;
+            const expiringId = await proposeSwap(seller.address, expiresAt);
+            await time.increase(3601);
+            await expect(
+                marketplace.connect(seller).acceptSwap(expiringId)
+            ).to.be.revertedWith("Swap expired");
+            await expect(marketplace.connect(buyer).cancelSwap(expiringId))
+                .to.emit(marketplace, "SwapCancelled")
+                .withArgs(expiringId, creator.address, 4); // EXPIRED
+            expect(await collection.balanceOf(creator.address, tokenId)).to.equal(100);
+        });
+
+        it("Should check the counterparty's items on acceptance", async function () {
+            const swapId = await proposeSwap();
+            await collection2.connect(seller).setApprovalForAll(marketplace.address, false);
+            await expect(
+                marketplace.connect(seller).acceptSwap(swapId)
+            ).to.be.revertedWith("Not approved");
+
+            await collection2.connect(seller).setApprovalForAll(marketplace.address, true);
+            await collection2.connect(seller).safeTransferFrom(seller.address, buyer.address, 1, 99, "0x");
+            await expect(
+                marketplace.connect(seller).acceptSwap(swapId)
+            ).to.be.revertedWith("Insufficient balance");
+        });
+
+        it("Should validate swap proposals", async function () {
+            await expect(
+                marketplace.connect(creator).proposeSwap(
+                    [], requested, seller.address, ethers.constants.AddressZero, 0, 0
+                )
+            ).to.be.revertedWith("Empty swap");
+            await expect(
+                marketplace.connect(creator).proposeSwap(
+                    offered, requested, creator.address, ethers.constants.AddressZero, 0, 0
+                )
+            ).to.be.revertedWith("Cannot swap with self");
+            await expect(
+                marketplace.connect(creator).proposeSwap(
+                    offered,
+                    [{ collection: buyer.address, tokenId: 1, quantity: 1 }],
+                    seller.address,
+                    ethers.constants.AddressZero,
+                    0,
+                    0
+                )
+            ).to.be.revertedWith("Collection not registered");
+            await expect(
+                marketplace.connect(creator).proposeSwap(
+                    [{ collection: collection.address, tokenId: tokenId, quantity: 101 }],
+                    requested,
+                    seller.address,
+                    ethers.constants.AddressZero,
+                    0,
+                    0
+                )
+            ).to.be.revertedWith("Insufficient balance");
+        });
+    });
+    describe("Private Listings", function () {
+        const price = ethers.utils.parseEther("1");
+
+        beforeEach(async function () {
+            await collection.connect(creator).setApprovalForAll(marketplace.address, true);
+            await token.connect(buyer).approve(marketplace.address, ethers.utils.parseEther("100"));
+            await token.connect(seller).approve(marketplace.address, ethers.utils.parseEther("100"));
+            await marketplace.connect(creator).listNFTPrivate(
+                collection.address, tokenId, price, 10, 0, ethers.constants.AddressZero, buyer.address
+            );
+        });
+
+        it("Should expose the allowed buyer on the listing", async function () {
+            const listing = await marketplace.getListing(collection.address, tokenId, creator.address);
+            expect(listing.allowedBuyer).to.equal(buyer.address);
+            expect(listing.paymentToken).to.equal(token.address);
+
+            await collection.connect(creator).createNFT("Token 2", "Desc 2", "ipfs://test2", 100);
+            await marketplace.connect(creator)["listNFT(address,uint256,uint256,uint256,uint256)"](collection.address, 2, price, 10, 0);
+            expect((await marketplace.getListing(collection.address, 2, creator.address)).allowedBuyer)
+                .to.equal(ethers.constants.AddressZero);
+        });
+
+        it("Should only sell to the allowed buyer", async function () {
+            await expect(
+                marketplace.connect(seller)["buyListedNFT(address,uint256,address,uint256,uint256)"](collection.address, tokenId, creator.address, 1, ethers.constants.MaxUint256)
+            ).to.be.revertedWith("Not allowed buyer");
+
+            await expect(
+                marketplace.connect(buyer)["buyListedNFT(address,uint256,address,uint256,uint256)"](collection.address, tokenId, creator.address, 4, ethers.constants.MaxUint256)
+            ).to.emit(marketplace, "NFTSold")
+                .withArgs(collection.address, tokenId, creator.address, buyer.address, price, 4);
+            expect(await collection.balanceOf(buyer.address, tokenId)).to.equal(4);
+        });
+
+        it("Should enforce the allowed buyer in batch purchases", async function () {
+            const purchase = { collection: collection.address, tokenId: tokenId, seller: creator.address, quantity: 2, maxUnitPrice: ethers.constants.MaxUint256 };
+            await expect(
+                marketplace.connect(seller).batchBuyListedNFTs([purchase])
+            ).to.be.revertedWith("Not allowed buyer");
+
+            await marketplace.connect(buyer).batchBuyListedNFTs([purchase]);
+            expect(await collection.balanceOf(buyer.address, tokenId)).to.equal(2);
+        });
+
+        it("Should validate the allowed buyer", async function () {
+            await marketplace.connect(creator).removeListing(collection.address, tokenId);
+            await expect(
+                marketplace.connect(creator).listNFTPrivate(
+                    collection.address, tokenId, price, 10, 0, ethers.constants.AddressZero, ethers.constants.AddressZero
+                )
+            ).to.be.revertedWith("Invalid allowed buyer");
+            await expect(
+                marketplace.connect(creator).listNFTPrivate(
+                    collection.address, tokenId, price, 10, 0, ethers.constants.AddressZero, creator.address
+                )
+            ).to.be.revertedWith("Invalid allowed buyer");
+        });
+    });
+
+    describe("Listing Expiration", function () {
+        const price = ethers.utils.parseEther("1");
+        let expiresAt;
+
+        beforeEach(async function () {
+            await collection.connect(creator).setApprovalForAll(marketplace.address, true);
+            await token.connect(buyer).approve(marketplace.address, ethers.utils.parseEther("100"));
+            const block = await ethers.provider.getBlock("latest");
+            expiresAt = block.timestamp + 3600;
+            await marketplace.connect(creator)["listNFT(address,uint256,uint256,uint256,uint256)"](collection.address, tokenId, price, 10, expiresAt);
+        });
+
+        it("Should store the expiration and reject past timestamps", async function () {
+            const listing = await marketplace.getListing(collection.address, tokenId, creator.address);
+            expect(listing.expiresAt).to.equal(expiresAt);
+
+            await collection.connect(creator).createNFT("Token 2", "Desc 2", "ipfs://test2", 100);
+            await expect(
+                marketplace.connect(creator)["listNFT(address,uint256,uint256,uint256,uint256)"](collection.address, 2, price, 10, 1)
+            ).to.be.revertedWith("Invalid expiration");
+        });
+
+        it("Should allow purchases until the listing expires", async function () {
+            await marketplace.connect(buyer)["buyListedNFT(address,uint256,address,uint256,uint256)"](collection.address, tokenId, creator.address, 2, ethers.constants.MaxUint256);
+            expect(await collection.balanceOf(buyer.address, tokenId)).to.equal(2);
+
+            await ethers.provider.send("evm_increaseTime", [3601]);
+            await ethers.provider.send("evm_mine");
+
+            await expect(
+                marketplace.connect(buyer)["buyListedNFT(address,uint256,address,uint256,uint256)"](collection.address, tokenId, creator.address, 1, ethers.constants.MaxUint256)
+            ).to.be.revertedWith("Listing expired");
+            await expect(
+                marketplace.connect(buyer).batchBuyListedNFTs([
+                    { collection: collection.address, tokenId: tokenId, seller: creator.address, quantity: 1, maxUnitPrice: ethers.constants.MaxUint256 }
+                ])
+            ).to.be.revertedWith("Listing expired");
+        });
+
+        it("Should let anyone clear an expired listing", async function () {
+            await expect(
+                marketplace.connect(seller).clearExpiredListing(collection.address, tokenId, creator.address)
+            ).to.be.revertedWith("Listing not expired");
+
+            await ethers.provider.send("evm_increaseTime", [3601]);
+            await ethers.provider.send("evm_mine");
+
+            await expect(
+                marketplace.connect(seller).clearExpiredListing(collection.address, tokenId, creator.address)
+            ).to.emit(marketplace, "ListingRemoved")
+                .withArgs(collection.address, tokenId, creator.address, "EXPIRED");
+
+            const listing = await marketplace.getListing(collection.address, tokenId, creator.address);
+            expect(listing.quantity).to.equal(0);
+            await expect(
+                marketplace.connect(seller).clearExpiredListing(collection.address, tokenId, creator.address)
+            ).to.be.revertedWith("Invalid listing");
+        });
+
+        it("Should let the seller relist over an expired listing", async function () {
+            await expect(
+                marketplace.connect(creator)["listNFT(address,uint256,uint256,uint256,uint256)"](collection.address, tokenId, price, 10, 0)
+            ).to.be.revertedWith("Already listed");
+
+            await ethers.provider.send("evm_increaseTime", [3601]);
+            await ethers.provider.send("evm_mine");
+
+            await marketplace.connect(creator)["listNFT(address,uint256,uint256,uint256,uint256)"](collection.address, tokenId, price.mul(2), 5, 0);
+            const listing = await marketplace.getListing(collection.address, tokenId, creator.address);
+            expect(listing.price).to.equal(price.mul(2));
+            expect(listing.expiresAt).to.equal(0);
+        });
+
+        it("Should drop an expired listing when an offer is accepted", async function () {
+            const tx = await marketplace.connect(buyer)["makeOffer(address,uint256,address,uint256,uint256,uint256,address)"](
+                collection.address, tokenId, creator.address, 95, price.div(10), 0, ethers.constants.AddressZero
+            );
+            const receipt = await tx.wait();
+            const offerId = receipt.events.find(e => e.event === "OfferCreated").args.offerId;
+
+            await ethers.provider.send("evm_increaseTime", [3601]);
+            await ethers.provider.send("evm_mine");
+
+            await expect(marketplace.connect(creator)["acceptOffer(uint256,uint256)"](offerId, 0))
+                .to.emit(marketplace, "ListingRemoved")
+                .withArgs(collection.address, tokenId, creator.address, "EXPIRED");
+            expect(await collection.balanceOf(buyer.address, tokenId)).to.equal(95);
+        });
+    });
+
+    describe("Listing Updates", function () {
+        const price = ethers.utils.parseEther("1");
+
+        beforeEach(async function () {
+            await collection.connect(creator).setApprovalForAll(marketplace.address, true);
+            await token.connect(buyer).approve(marketplace.address, ethers.utils.parseEther("100"));
+            await marketplace.connect(creator)["listNFT(address,uint256,uint256,uint256,uint256)"](collection.address, tokenId, price, 10, 0);
+        });
+
+        it("Should update price and quantity in place", async function () {
+            await expect(
+                marketplace.connect(creator).updateListing(collection.address, tokenId, price.mul(2), 20)
+            ).to.emit(marketplace, "ListingUpdated")
+                .withArgs(collection.address, tokenId, creator.address, price, price.mul(2), 10, 20)
+                .and.not.to.emit(marketplace, "ListingRemoved");
+
+            const listing = await marketplace.getListing(collection.address, tokenId, creator.address);
+            expect(listing.price).to.equal(price.mul(2));
+            expect(listing.quantity).to.equal(20);
+            expect(listing.paymentToken).to.equal(token.address);
+        });
+
+        it("Should sell at the updated price", async function () {
+            await marketplace.connect(creator).updateListing(collection.address, tokenId, price.div(2), 5);
+
+            const buyerBalanceBefore = await token.balanceOf(buyer.address);
+            await expect(
+                marketplace.connect(buyer)["buyListedNFT(address,uint256,address,uint256,uint256)"](collection.address, tokenId, creator.address, 4, ethers.constants.MaxUint256)
+            ).to.emit(marketplace, "NFTSold")
+                .withArgs(collection.address, tokenId, creator.address, buyer.address, price.div(2), 4);
+            expect(buyerBalanceBefore.sub(await token.balanceOf(buyer.address))).to.equal(price.mul(2));
+            expect((await marketplace.getListing(collection.address, tokenId, creator.address)).quantity).to.equal(1);
+        });
+
+        it("Should re-validate balance and approval", async function () {
+            await expect(
+                marketplace.connect(creator).updateListing(collection.address, tokenId, price, 101)
+            ).to.be.revertedWith("Insufficient balance");
+
+            await collection.connect(creator).setApprovalForAll(marketplace.address, false);
+            await expect(
+                marketplace.connect(creator).updateListing(collection.address, tokenId, price, 10)
+            ).to.be.revertedWith("Not approved");
+        });
+
+        it("Should validate the new values", async function () {
+            await expect(
+                marketplace.connect(creator).updateListing(collection.address, tokenId, 0, 10)
+            ).to.be.revertedWith("Invalid price");
+            await expect(
+                marketplace.connect(creator).updateListing(collection.address, tokenId, price, 0)
+            ).to.be.revertedWith("Invalid quantity");
+        });
+
+        it("Should only update the caller's active fixed price listing", async function () {
+            await expect(
+                marketplace.connect(buyer).updateListing(collection.address, tokenId, price, 1)
+            ).to.be.revertedWith("No active listing");
+
+            await marketplace.connect(creator).removeListing(collection.address, tokenId);
+            await expect(
+                marketplace.connect(creator).updateListing(collection.address, tokenId, price, 1)
+            ).to.be.revertedWith("No active listing");
+        });
+
+        it("Should not update an expired listing", async function () {
+            await collection.connect(creator).createNFT("Token 2", "Desc 2", "ipfs://test2", 100);
+            const block = await ethers.provider.getBlock("latest");
+            await marketplace.connect(creator)["listNFT(address,uint256,uint256,uint256,uint256)"](collection.address, 2, price, 10, block.timestamp + 100);
+
+            await ethers.provider.send("evm_increaseTime", [101]);
+            await ethers.provider.send("evm_mine");
+
+            await expect(
+                marketplace.connect(creator).updateListing(collection.address, 2, price, 10)
+            ).to.be.revertedWith("Listing expired");
+        });
+    });
+
+    describe("Batch Listing", function () {
+        const price = ethers.utils.parseEther("1");
+
+        beforeEach(async function () {
+            await collection.connect(creator).setApprovalForAll(marketplace.address, true);
+            await collection.connect(creator).createNFT("Token 2", "Desc 2", "ipfs://test2", 100);
+            await collection.connect(creator).createNFT("Token 3", "Desc 3", "ipfs://test3", 100);
+        });
+
+        it("Should list several tokens in one call", async function () {
+            const params = [
+                { collection: collection.address, tokenId: 1, price: price, quantity: 10 },
+                { collection: collection.address, tokenId: 2, price: price.mul(2), quantity: 20 },
+                { collection: collection.address, tokenId: 3, price: price.mul(3), quantity: 30 }
+            ];
+            expect(await marketplace.connect(creator).callStatic.batchListNFTs(params))
+                .to.deep.equal([true, true, true]);
+
+            await expect(marketplace.connect(creator).batchListNFTs(params))
+                .to.emit(marketplace, "NFTListed")
+                .withArgs(collection.address, 3, creator.address, price.mul(3), 30, 0, 0);
+
+            for (const item of params) {
+                const listing = await marketplace.getListing(collection.address, item.tokenId, creator.address);
+                expect(listing.price).to.equal(item.price);
+                expect(listing.quantity).to.equal(item.quantity);
+                expect(listing.paymentToken).to.equal(token.address);
+            }
+        });
+
+        it("Should skip and report invalid items", async function () {
+            await marketplace.connect(creator)["listNFT(address,uint256,uint256,uint256,uint256)"](collection.address, 2, price, 10, 0);
+            const params = [
+                { collection: collection.address, tokenId: 1, price: price, quantity: 10 },
+                { collection: collection.address, tokenId: 2, price: price, quantity: 10 },
+                { collection: collection.address, tokenId: 3, price: price, quantity: 101 },
+                { collection: buyer.address, tokenId: 1, price: price, quantity: 1 },
+                { collection: collection.address, tokenId: 3, price: 0, quantity: 1 }
+            ];
+            expect(await marketplace.connect(creator).callStatic.batchListNFTs(params))
+                .to.deep.equal([true, false, false, false, false]);
+
+            const tx = marketplace.connect(creator).batchListNFTs(params);
+            await expect(tx).to.emit(marketplace, "BatchItemFailed")
+                .withArgs(1, collection.address, 2, "Already listed");
+            await expect(tx).to.emit(marketplace, "BatchItemFailed")
+                .withArgs(2, collection.address, 3, "Insufficient balance");
+            await expect(tx).to.emit(marketplace, "BatchItemFailed")
+                .withArgs(3, buyer.address, 1, "Collection not registered");
+            await expect(tx).to.emit(marketplace, "BatchItemFailed")
+                .withArgs(4, collection.address, 3, "Invalid price");
+
+            expect((await marketplace.getListing(collection.address, 1, creator.address)).quantity).to.equal(10);
+            expect((await marketplace.getListing(collection.address, 3, creator.address)).quantity).to.equal(0);
+        });
+
+        it("Should not list a token in an active auction", async function () {
+            await marketplace.connect(creator).createAuction(collection.address, 1, 1, price, price.div(10), 3600);
+            expect(await marketplace.connect(creator).callStatic.batchListNFTs([
+                { collection: collection.address, tokenId: 1, price: price, quantity: 1 }
+            ])).to.deep.equal([false]);
+        });
+
+        it("Should remove several listings in one call", async function () {
+            await marketplace.connect(creator)["listNFT(address,uint256,uint256,uint256,uint256)"](collection.address, 1, price, 10, 0);
+            await marketplace.connect(creator)["listNFT(address,uint256,uint256,uint256,uint256)"](collection.address, 2, price, 10, 0);
+            const params = [
+                { collection: collection.address, tokenId: 1 },
+                { collection: collection.address, tokenId: 2 },
+                { collection: collection.address, tokenId: 3 }
+            ];
+            expect(await marketplace.connect(creator).callStatic.batchRemoveListings(params))
+                .to.deep.equal([true, true, false]);
+
+            const tx = marketplace.connect(creator).batchRemoveListings(params);
+            await expect(tx).to.emit(marketplace, "ListingRemoved")
+                .withArgs(collection.address, 2, creator.address, "REMOVED_BY_SELLER");
+            await expect(tx).to.emit(marketplace, "BatchItemFailed")
+                .withArgs(2, collection.address, 3, "No active listing");
+
+            expect((await marketplace.getListing(collection.address, 1, creator.address)).quantity).to.equal(0);
+            expect((await marketplace.getListing(collection.address, 2, creator.address)).quantity).to.equal(0);
+        });
+
+        it("Should cancel auctions without bids and skip those with bids", async function () {
+            await marketplace.connect(creator).createAuction(collection.address, 1, 1, price, price.div(10), 3600);
+            await marketplace.connect(creator).createAuction(collection.address, 2, 1, price, price.div(10), 3600);
+            await token.connect(buyer).approve(marketplace.address, price.mul(2));
+            await marketplace.connect(buyer).placeBid(2, price.add(price.div(10)));
+
+            const tx = marketplace.connect(creator).batchRemoveListings([
+                { collection: collection.address, tokenId: 1 },
+                { collection: collection.address, tokenId: 2 }
+            ]);
+            await expect(tx).to.emit(marketplace, "AuctionCancelled").withArgs(1);
+            await expect(tx).to.emit(marketplace, "BatchItemFailed")
+                .withArgs(1, collection.address, 2, "Bids already placed");
+            expect(await collection.balanceOf(creator.address, 1)).to.equal(100);
+        });
+
+        it("Should reject empty batches", async function () {
+            await expect(marketplace.connect(creator).batchListNFTs([])).to.be.revertedWith("Empty batch");
+            await expect(marketplace.connect(creator).batchRemoveListings([])).to.be.revertedWith("Empty batch");
+        });
+    });
+
+    describe("Skip-on-failure Batch Purchases", function () {
+        const price = ethers.utils.parseEther("1");
+        let purchases;
+
+        beforeEach(async function () {
+            await collection.connect(creator).setApprovalForAll(marketplace.address, true);
+            await collection.connect(creator).createNFT("Token 2", "Desc 2", "ipfs://test2", 100);
+            await collection.connect(creator).createNFT("Token 3", "Desc 3", "ipfs://test3", 100);
+            await token.connect(buyer).approve(marketplace.address, ethers.utils.parseEther("100"));
+            await token.connect(seller).approve(marketplace.address, ethers.utils.parseEther("100"));
+
+            await marketplace.connect(creator)["listNFT(address,uint256,uint256,uint256,uint256)"](collection.address, 1, price, 10, 0);
+            await marketplace.connect(creator)["listNFT(address,uint256,uint256,uint256,uint256)"](collection.address, 2, price.mul(2), 10, 0);
+            await marketplace.connect(creator)["listNFT(address,uint256,uint256,uint256,uint256)"](collection.address, 3, price.mul(3), 10, 0);
+            purchases = [1, 2, 3].map(id => ({
+                collection: collection.address, tokenId: id, seller: creator.address, quantity: 1, maxUnitPrice: price.mul(id)
+            }));
+        });
+
+        it("Should buy every available item", async function () {
+            const [results, totalSpent] = await marketplace.connect(buyer).callStatic.batchBuyListedNFTsSkipFailed(
+                purchases, ethers.constants.AddressZero, price.mul(6)
+            );
+            expect(results).to.deep.equal([true, true, true]);
+            expect(totalSpent).to.equal(price.mul(6));
+
+            const balanceBefore = await token.balanceOf(buyer.address);
+            await marketplace.connect(buyer).batchBuyListedNFTsSkipFailed(purchases, ethers.constants.AddressZero, price.mul(6));
+            expect(balanceBefore.sub(await token.balanceOf(buyer.address))).to.equal(price.mul(6));
+            for (const id of [1, 2, 3]) {
+                expect(await collection.balanceOf(buyer.address, id)).to.equal(1);
+            }
+        });
+
+        it("Should skip items that sold out in the meantime", async function () {
+            await marketplace.connect(seller)["buyListedNFT(address,uint256,address,uint256,uint256)"](collection.address, 2, creator.address, 10, ethers.constants.MaxUint256);
+
+            const tx = marketplace.connect(buyer).batchBuyListedNFTsSkipFailed(
+                purchases, ethers.constants.AddressZero, price.mul(6)
+            );
+            await expect(tx).to.emit(marketplace, "BatchItemFailed")
+                .withArgs(1, collection.address, 2, "Invalid listing");
+            await expect(tx).to.emit(marketplace, "NFTSold")
+                .withArgs(collection.address, 3, creator.address, buyer.address, price.mul(3), 1);
+
+            expect(await collection.balanceOf(buyer.address, 1)).to.equal(1);
+            expect(await collection.balanceOf(buyer.address, 2)).to.equal(0);
+            expect(await collection.balanceOf(buyer.address, 3)).to.equal(1);
+        });
+
+        it("Should skip items once the spend cap would be exceeded", async function () {
+            const [results, totalSpent] = await marketplace.connect(buyer).callStatic.batchBuyListedNFTsSkipFailed(
+                purchases, ethers.constants.AddressZero, price.mul(4)
+            );
+            expect(results).to.deep.equal([true, true, false]);
+            expect(totalSpent).to.equal(price.mul(3));
+
+            const balanceBefore = await token.balanceOf(buyer.address);
+            await expect(
+                marketplace.connect(buyer).batchBuyListedNFTsSkipFailed(purchases, ethers.constants.AddressZero, price.mul(4))
+            ).to.emit(marketplace, "BatchItemFailed")
+                .withArgs(2, collection.address, 3, "Exceeds max total spend");
+            expect(balanceBefore.sub(await token.balanceOf(buyer.address))).to.equal(price.mul(3));
+        });
+
+        it("Should skip items whose seller no longer holds or approves the tokens", async function () {
+            await collection.connect(creator).safeTransferFrom(creator.address, seller.address, 1, 95, "0x");
+
+            const tx = marketplace.connect(buyer).batchBuyListedNFTsSkipFailed(
+                purchases.map(p => p.tokenId === 1 ? { ...p, quantity: 10 } : p),
+                ethers.constants.AddressZero,
+                price.mul(20)
+            );
+            await expect(tx).to.emit(marketplace, "BatchItemFailed")
+                .withArgs(0, collection.address, 1, "Insufficient balance");
+
+            await collection.connect(creator).setApprovalForAll(marketplace.address, false);
+            const [results] = await marketplace.connect(buyer).callStatic.batchBuyListedNFTsSkipFailed(
+                purchases, ethers.constants.AddressZero, price.mul(20)
+            );
+            expect(results).to.deep.equal([false, false, false]);
+        });
+
+        it("Should skip items priced in another payment token", async function () {
+            const MockERC20 = await ethers.getContractFactory("MockERC20");
+            const altToken = await MockERC20.deploy("Alt Token", "ALT", 3, ethers.utils.parseEther("1000000"), seller.address, 0);
+            await marketplace.setPaymentToken(altToken.address, true);
+            await marketplace.connect(creator).removeListing(collection.address, 3);
+            await marketplace.connect(creator).listNFTWithPaymentToken(collection.address, 3, price, 10, 0, altToken.address);
+
+            await expect(
+                marketplace.connect(buyer).batchBuyListedNFTsSkipFailed(purchases, ethers.constants.AddressZero, price.mul(10))
+            ).to.emit(marketplace, "BatchItemFailed")
+                .withArgs(2, collection.address, 3, "Payment token mismatch");
+            expect(await collection.balanceOf(buyer.address, 3)).to.equal(0);
+        });
+
+        it("Should keep strict batches reverting on the first failure", async function () {
+            await marketplace.connect(seller)["buyListedNFT(address,uint256,address,uint256,uint256)"](collection.address, 2, creator.address, 10, ethers.constants.MaxUint256);
+            await expect(
+                marketplace.connect(buyer).batchBuyListedNFTs(purchases)
+            ).to.be.revertedWith("Invalid listing");
+            await expect(
+                marketplace.connect(buyer).batchBuyListedNFTsSkipFailed([], ethers.constants.AddressZero, 0)
+            ).to.be.revertedWith("Empty batch");
+        });
+    });
+
+    describe("Price Protection", function () {
+        const price = ethers.utils.parseEther("1");
+
+        beforeEach(async function () {
+            await collection.connect(creator).setApprovalForAll(marketplace.address, true);
+            await token.connect(buyer).approve(marketplace.address, ethers.utils.parseEther("100"));
+            await marketplace.connect(creator)["listNFT(address,uint256,uint256,uint256,uint256)"](collection.address, tokenId, price, 10, 0);
+        });
+
+        it("Should reject purchases above the buyer's max unit price", async function () {
+            await marketplace.connect(creator).updateListing(collection.address, tokenId, price.mul(2), 10);
+
+            await expect(
+                marketplace.connect(buyer)["buyListedNFT(address,uint256,address,uint256,uint256)"](collection.address, tokenId, creator.address, 1, price)
+            ).to.be.revertedWith("Price exceeds max");
+
+            await marketplace.connect(buyer)["buyListedNFT(address,uint256,address,uint256,uint256)"](collection.address, tokenId, creator.address, 1, price.mul(2));
+            expect(await collection.balanceOf(buyer.address, tokenId)).to.equal(1);
+        });
+
+        it("Should enforce the max unit price when paying in ETH", async function () {
+            const MockWETH = await ethers.getContractFactory("MockWETH");
+            const weth = await MockWETH.deploy();
+            await marketplace.setWETH(weth.address);
+            await marketplace.connect(creator).removeListing(collection.address, tokenId);
+            await marketplace.connect(creator).listNFTWithPaymentToken(collection.address, tokenId, price, 10, 0, weth.address);
+
+            await expect(
+                marketplace.connect(buyer).buyListedNFTWithETH(
+                    collection.address, tokenId, creator.address, 1, price.sub(1), { value: price }
+                )
+            ).to.be.revertedWith("Price exceeds max");
+        });
+
+        it("Should enforce per-item max unit prices in batch purchases", async function () {
+            const purchase = {
+                collection: collection.address, tokenId: tokenId, seller: creator.address, quantity: 1, maxUnitPrice: price.sub(1)
+            };
+            await expect(
+                marketplace.connect(buyer).batchBuyListedNFTs([purchase])
+            ).to.be.revertedWith("Price exceeds max");
+
+            await expect(
+                marketplace.connect(buyer).batchBuyListedNFTsSkipFailed([purchase], ethers.constants.AddressZero, price.mul(10))
+            ).to.emit(marketplace, "BatchItemFailed")
+                .withArgs(0, collection.address, tokenId, "Price exceeds max");
+
+            await marketplace.connect(buyer).batchBuyListedNFTs([{ ...purchase, maxUnitPrice: price }]);
+            expect(await collection.balanceOf(buyer.address, tokenId)).to.equal(1);
+        });
+
+        it("Should reject offer acceptance below the seller's min net proceeds", async function () {
+            await collection.connect(creator).safeTransferFrom(creator.address, seller.address, tokenId, 10, "0x");
+            await collection.connect(seller).setApprovalForAll(marketplace.address, true);
+            const tx = await marketplace.connect(buyer)["makeOffer(address,uint256,address,uint256,uint256,uint256,address)"](
+                collection.address, tokenId, seller.address, 2, price, 0, ethers.constants.AddressZero
+            );
+            const offerId = (await tx.wait()).events.find(e => e.event === "OfferCreated").args.offerId;
+
+            const total = price.mul(2);
+            const platformFee = total.mul(await marketplace.secondaryFee()).div(1000);
+            const quotedNet = total.sub(platformFee).sub(total.mul(await collection.getRoyaltyPercentage()).div(1000));
+
+            // the collection owner raises the royalty before the seller's transaction is mined
+            await collection.connect(creator).updateRoyaltyPercentage(100);
+            await expect(
+                marketplace.connect(seller)["acceptOffer(uint256,uint256)"](offerId, quotedNet)
+            ).to.be.revertedWith("Net proceeds below minimum");
+
+            const newNet = total.sub(platformFee).sub(total.mul(100).div(1000));
+            const balanceBefore = await token.balanceOf(seller.address);
+            await marketplace.connect(seller)["acceptOffer(uint256,uint256)"](offerId, newNet);
+            expect((await token.balanceOf(seller.address)).sub(balanceBefore)).to.equal(newNet);
+        });
+
+        it("Should count the royalty towards a creator's own net proceeds", async function () {
+            await collection.connect(creator).updateRoyaltyPercentage(100);
+            const tx = await marketplace.connect(buyer)["makeOffer(address,uint256,address,uint256,uint256,uint256,address)"](
+                collection.address, tokenId, creator.address, 1, price, 0, ethers.constants.AddressZero
+            );
+            const offerId = (await tx.wait()).events.find(e => e.event === "OfferCreated").args.offerId;
+
+            const net = price.sub(price.mul(await marketplace.primaryFee()).div(1000));
+            await expect(
+                marketplace.connect(creator)["acceptOffer(uint256,uint256)"](offerId, net.add(1))
+            ).to.be.revertedWith("Net proceeds below minimum");
+
+            const balanceBefore = await token.balanceOf(creator.address);
+            await marketplace.connect(creator)["acceptOffer(uint256,uint256)"](offerId, net);
+            expect((await token.balanceOf(creator.address)).sub(balanceBefore)).to.equal(net);
+        });
+
+        describe("Min net proceeds on other fill paths", function () {
+            async function netOf(total) {
+                const platformFee = total.mul(await marketplace.secondaryFee()).div(1000);
+                const royaltyFee = total.mul(await collection.getRoyaltyPercentage()).div(1000);
+                return total.sub(platformFee).sub(royaltyFee);
+            }
+
+            beforeEach(async function () {
+                await collection.connect(creator).safeTransferFrom(creator.address, seller.address, tokenId, 10, "0x");
+                await collection.connect(seller).setApprovalForAll(marketplace.address, true);
+            });
+
+            it("Should check the filled amount on partial offer acceptance", async function () {
+                const tx = await marketplace.connect(buyer)["makeOffer(address,uint256,address,uint256,uint256,uint256,address)"](
+                    collection.address, tokenId, seller.address, 4, price, 0, ethers.constants.AddressZero
+                );
+                const offerId = (await tx.wait()).events.find(e => e.event === "OfferCreated").args.offerId;
+                const quotedNet = await netOf(price.mul(2));
+
+                await collection.connect(creator).updateRoyaltyPercentage(100);
+                await expect(
+                    marketplace.connect(seller).acceptOfferPartial(offerId, 2, quotedNet)
+                ).to.be.revertedWith("Net proceeds below minimum");
+
+                const newNet = await netOf(price.mul(2));
+                const balanceBefore = await token.balanceOf(seller.address);
+                await marketplace.connect(seller).acceptOfferPartial(offerId, 2, newNet);
+                expect((await token.balanceOf(seller.address)).sub(balanceBefore)).to.equal(newNet);
+            });
+
+            it("Should check the filled amount on collection offer acceptance", async function () {
+                const tx = await marketplace.connect(buyer).makeCollectionOffer(
+                    collection.address, 5, price, 0, ethers.constants.AddressZero
+                );
+                const offerId = (await tx.wait()).events.find(e => e.event === "CollectionOfferCreated").args.offerId;
+                const quotedNet = await netOf(price.mul(3));
+
+                await collection.connect(creator).updateRoyaltyPercentage(100);
+                await expect(
+                    marketplace.connect(seller).acceptCollectionOffer(offerId, tokenId, 3, quotedNet)
+                ).to.be.revertedWith("Net proceeds below minimum");
+
+                const newNet = await netOf(price.mul(3));
+                const balanceBefore = await token.balanceOf(seller.address);
+                await marketplace.connect(seller).acceptCollectionOffer(offerId, tokenId, 3, newNet);
+                expect((await token.balanceOf(seller.address)).sub(balanceBefore)).to.equal(newNet);
+            });
+
+            it("Should check the filled amount on token offer acceptance", async function () {
+                const tx = await marketplace.connect(buyer).makeTokenOffer(
+                    collection.address, tokenId, 5, price, 0, ethers.constants.AddressZero
+                );
+                const offerId = (await tx.wait()).events.find(e => e.event === "TokenOfferCreated").args.offerId;
+                const quotedNet = await netOf(price.mul(2));
+
+                await marketplace.connect(owner).setSecondaryFee(50);
+                await expect(
+                    marketplace.connect(seller).acceptTokenOffer(offerId, 2, quotedNet)
+                ).to.be.revertedWith("Net proceeds below minimum");
+
+                const newNet = await netOf(price.mul(2));
+                const balanceBefore = await token.balanceOf(seller.address);
+                await marketplace.connect(seller).acceptTokenOffer(offerId, 2, newNet);
+                expect((await token.balanceOf(seller.address)).sub(balanceBefore)).to.equal(newNet);
+            });
+
+            it("Should check the seller's share on counter-offer acceptance", async function () {
+                let tx = await marketplace.connect(buyer)["makeOffer(address,uint256,address,uint256,uint256,uint256,address)"](
+                    collection.address, tokenId, seller.address, 2, price, 0, ethers.constants.AddressZero
+                );
+                const offerId = (await tx.wait()).events.find(e => e.event === "OfferCreated").args.offerId;
+                const counterPrice = price.div(2);
+                const quotedNet = await netOf(counterPrice.mul(2));
+                tx = await marketplace.connect(seller).makeCounterOffer(offerId, counterPrice, 2, 0, quotedNet);
+                let counterOfferId = (await tx.wait()).events.find(e => e.event === "CounterOfferCreated").args.counterOfferId;
+                expect(await marketplace.counterOfferMinNetProceeds(counterOfferId)).to.equal(quotedNet);
+
+                await collection.connect(creator).updateRoyaltyPercentage(100);
+                await expect(
+                    marketplace.connect(buyer).acceptCounterOffer(counterOfferId)
+                ).to.be.revertedWith("Net proceeds below minimum");
+
+                await marketplace.connect(seller).cancelCounterOffer(counterOfferId);
+                const newNet = await netOf(counterPrice.mul(2));
+                tx = await marketplace.connect(seller).makeCounterOffer(offerId, counterPrice, 2, 0, newNet);
+                counterOfferId = (await tx.wait()).events.find(e => e.event === "CounterOfferCreated").args.counterOfferId;
+
+                const balanceBefore = await token.balanceOf(seller.address);
+                await marketplace.connect(buyer).acceptCounterOffer(counterOfferId);
+                expect((await token.balanceOf(seller.address)).sub(balanceBefore)).to.equal(newNet);
+            });
+        });
+    });
+
+    describe("Stale Listing Invalidation", function () {
+        const price = ethers.utils.parseEther("1");
+
+        beforeEach(async function () {
+            await collection.connect(creator).setApprovalForAll(marketplace.address, true);
+            await marketplace.connect(creator)["listNFT(address,uint256,uint256,uint256,uint256)"](collection.address, tokenId, price, 10, 0);
+        });
+
+        it("Should report a backed listing as fillable", async function () {
+            expect(await marketplace.isListingFillable(collection.address, tokenId, creator.address)).to.equal(true);
+            expect(await marketplace.isListingFillable(collection.address, tokenId, seller.address)).to.equal(false);
+
+            await expect(
+                marketplace.connect(buyer).invalidateListing(collection.address, tokenId, creator.address)
+            ).to.be.revertedWith("Listing is fillable");
+            await expect(
+                marketplace.connect(buyer).invalidateListing(collection.address, tokenId, seller.address)
+            ).to.be.revertedWith("Invalid listing");
+        });
+
+        it("Should let anyone invalidate a listing after the tokens were moved", async function () {
+            await collection.connect(creator).safeTransferFrom(creator.address, seller.address, tokenId, 100, "0x");
+            expect(await marketplace.isListingFillable(collection.address, tokenId, creator.address)).to.equal(false);
+
+            await expect(
+                marketplace.connect(buyer).invalidateListing(collection.address, tokenId, creator.address)
+            ).to.emit(marketplace, "ListingRemoved")
+                .withArgs(collection.address, tokenId, creator.address, "INVALID");
+            expect((await marketplace.getListing(collection.address, tokenId, creator.address)).quantity).to.equal(0);
+        });
+
+        it("Should shrink a partly backed listing to the seller's balance", async function () {
+            await collection.connect(creator).safeTransferFrom(creator.address, seller.address, tokenId, 91, "0x");
+            expect(await marketplace.isListingFillable(collection.address, tokenId, creator.address)).to.equal(true);
+
+            await expect(
+                marketplace.connect(buyer).invalidateListing(collection.address, tokenId, creator.address)
+            ).to.emit(marketplace, "ListingQuantityUpdated")
+                .withArgs(collection.address, tokenId, creator.address, 9)
+                .and.not.to.emit(marketplace, "ListingRemoved");
+            const listing = await marketplace.getListing(collection.address, tokenId, creator.address);
+            expect(listing.quantity).to.equal(9);
+            expect(listing.price).to.equal(price);
+
+            await expect(
+                marketplace.connect(buyer).invalidateListing(collection.address, tokenId, creator.address)
+            ).to.be.revertedWith("Listing is fillable");
+        });
+
+        it("Should let anyone invalidate a listing after approval was revoked", async function () {
+            await collection.connect(creator).setApprovalForAll(marketplace.address, false);
+            expect(await marketplace.isListingFillable(collection.address, tokenId, creator.address)).to.equal(false);
+
+            await expect(
+                marketplace.connect(buyer).invalidateListing(collection.address, tokenId, creator.address)
+            ).to.emit(marketplace, "ListingRemoved")
+                .withArgs(collection.address, tokenId, creator.address, "INVALID");
+        });
+
+        it("Should treat expired listings as unfillable", async function () {
+            await collection.connect(creator).createNFT("Token 2", "Desc 2", "ipfs://test2", 100);
+            const block = await ethers.provider.getBlock("latest");
+            await marketplace.connect(creator)["listNFT(address,uint256,uint256,uint256,uint256)"](collection.address, 2, price, 10, block.timestamp + 100);
+            expect(await marketplace.isListingFillable(collection.address, 2, creator.address)).to.equal(true);
+
+            await ethers.provider.send("evm_increaseTime", [101]);
+            await ethers.provider.send("evm_mine");
+            expect(await marketplace.isListingFillable(collection.address, 2, creator.address)).to.equal(false);
+        });
+
+        it("Should report auction listings by auction state without invalidating them", async function () {
+            await collection.connect(creator).createNFT("Token 2", "Desc 2", "ipfs://test2", 100);
+            await marketplace.connect(creator).createAuction(collection.address, 2, 1, price, price.div(10), 3600);
+            expect(await marketplace.isListingFillable(collection.address, 2, creator.address)).to.equal(true);
+            await expect(
+                marketplace.connect(buyer).invalidateListing(collection.address, 2, creator.address)
+            ).to.be.revertedWith("Not a fixed price listing");
+
+            await marketplace.connect(creator).cancelAuction(1);
+            expect(await marketplace.isListingFillable(collection.address, 2, creator.address)).to.equal(false);
+        });
+    });
+
+    describe("Credit Ledger", function () {
+        const price = ethers.utils.parseEther("1");
+        let blToken;
+
+        beforeEach(async function () {
+            const MockBlacklistERC20 = await ethers.getContractFactory("MockBlacklistERC20");
+            blToken = await MockBlacklistERC20.deploy("Blacklist Token", "BLT", ethers.utils.parseEther("1000"));
+            await marketplace.setPaymentToken(blToken.address, true);
+            await blToken.transfer(buyer.address, ethers.utils.parseEther("100"));
+            await blToken.transfer(seller.address, ethers.utils.parseEther("100"));
+            await blToken.connect(buyer).approve(marketplace.address, ethers.utils.parseEther("100"));
+            await blToken.connect(seller).approve(marketplace.address, ethers.utils.parseEther("100"));
+            await collection.connect(creator).setApprovalForAll(marketplace.address, true);
+        });
+
+        it("Should credit an outbid bidder who cannot receive the refund", async function () {
+            const tx = await marketplace.connect(creator).createAuctionWithOptions(
+                collection.address, tokenId, 1, price, price.div(10), 3600,
+                { reservePrice: 0, reserveCommitment: ethers.constants.HashZero, buyNowPrice: 0, paymentToken: blToken.address }
+            );
+            const auctionId = (await tx.wait()).events.find(e => e.event === "AuctionCreated").args.auctionId;
+            const firstBid = price.add(price.div(10));
+            await marketplace.connect(seller).placeBid(auctionId, firstBid);
+            await blToken.setBlacklisted(seller.address, true);
+
+            await expect(marketplace.connect(buyer).placeBid(auctionId, price.mul(2)))
+                .to.emit(marketplace, "CreditAdded")
+                .withArgs(seller.address, blToken.address, firstBid);
+
+            expect(await marketplace.credits(seller.address, blToken.address)).to.equal(firstBid);
+            expect(await marketplace.amountLockedInPool(blToken.address)).to.equal(firstBid.add(price.mul(2)));
+            expect(await marketplace.getWithdrawableFees(blToken.address)).to.equal(0);
+
+            await blToken.setBlacklisted(seller.address, false);
+            const balanceBefore = await blToken.balanceOf(seller.address);
+            await expect(marketplace.connect(seller).withdrawCredits())
+                .to.emit(marketplace, "CreditsWithdrawn")
+                .withArgs(seller.address, blToken.address, firstBid);
+            expect((await blToken.balanceOf(seller.address)).sub(balanceBefore)).to.equal(firstBid);
+            expect(await marketplace.credits(seller.address, blToken.address)).to.equal(0);
+            expect(await marketplace.amountLockedInPool(blToken.address)).to.equal(price.mul(2));
+        });
+
+        it("Should credit a seller who cannot receive sale proceeds", async function () {
+            await marketplace.connect(creator).listNFTWithPaymentToken(collection.address, tokenId, price, 10, 0, blToken.address);
+            await blToken.setBlacklisted(creator.address, true);
+
+            await marketplace.connect(buyer)["buyListedNFT(address,uint256,address,uint256,uint256)"](
+                collection.address, tokenId, creator.address, 2, ethers.constants.MaxUint256
+            );
+            expect(await collection.balanceOf(buyer.address, tokenId)).to.equal(2);
+
+            const total = price.mul(2);
+            const platformFee = total.mul(await marketplace.primaryFee()).div(1000);
+            const credited = await marketplace.credits(creator.address, blToken.address);
+            expect(credited).to.equal(total.sub(platformFee));
+            expect(await marketplace.amountLockedInPool(blToken.address)).to.equal(credited);
+            expect(await marketplace.getWithdrawableFees(blToken.address)).to.equal(platformFee);
+
+            const [tokens, amounts] = await marketplace.getCredits(creator.address);
+            expect(tokens).to.deep.equal([blToken.address]);
+            expect(amounts[0]).to.equal(credited);
+        });
+
+        it("Should settle an auction when the seller cannot receive proceeds", async function () {
+            await collection.connect(creator).safeTransferFrom(creator.address, seller.address, tokenId, 1, "0x");
+            await collection.connect(seller).setApprovalForAll(marketplace.address, true);
+            const tx = await marketplace.connect(seller).createAuctionWithOptions(
+                collection.address, tokenId, 1, price, price.div(10), 3600,
+                { reservePrice: 0, reserveCommitment: ethers.constants.HashZero, buyNowPrice: 0, paymentToken: blToken.address }
+            );
+            const auctionId = (await tx.wait()).events.find(e => e.event === "AuctionCreated").args.auctionId;
+            await marketplace.connect(buyer).placeBid(auctionId, price.add(price.div(10)));
+            await blToken.setBlacklisted(seller.address, true);
+
+            await ethers.provider.send("evm_increaseTime", [3601]);
+            await ethers.provider.send("evm_mine");
+
+            await expect(marketplace.connect(buyer).settleAuction(auctionId))
+                .to.emit(marketplace, "CreditAdded");
+            expect(await collection.balanceOf(buyer.address, tokenId)).to.equal(1);
+            expect(await marketplace.credits(seller.address, blToken.address)).to.be.gt(0);
+        });
+
+        it("Should keep credits that still cannot be withdrawn", async function () {
+            await marketplace.connect(creator).listNFTWithPaymentToken(collection.address, tokenId, price, 10, 0, blToken.address);
+            await blToken.setBlacklisted(creator.address, true);
+            await marketplace.connect(buyer)["buyListedNFT(address,uint256,address,uint256,uint256)"](
+                collection.address, tokenId, creator.address, 1, ethers.constants.MaxUint256
+            );
+            const credited = await marketplace.credits(creator.address, blToken.address);
+
+            await expect(marketplace.connect(creator).withdrawCredits())
+                .to.not.emit(marketplace, "CreditsWithdrawn");
+            expect(await marketplace.credits(creator.address, blToken.address)).to.equal(credited);
+            expect(await marketplace.amountLockedInPool(blToken.address)).to.equal(credited);
+
+            await blToken.setBlacklisted(creator.address, false);
+            await marketplace.connect(creator).withdrawCredits();
+            expect(await marketplace.credits(creator.address, blToken.address)).to.equal(0);
+            await expect(marketplace.connect(creator).withdrawCredits()).to.be.revertedWith("No credits");
+        });
+
+        it("Should still push payments to recipients that can receive them", async function () {
+            await marketplace.connect(creator).listNFTWithPaymentToken(collection.address, tokenId, price, 10, 0, blToken.address);
+            const balanceBefore = await blToken.balanceOf(creator.address);
+
+            await expect(
+                marketplace.connect(buyer)["buyListedNFT(address,uint256,address,uint256,uint256)"](collection.address, tokenId, creator.address, 1, ethers.constants.MaxUint256)
+            ).to.not.emit(marketplace, "CreditAdded");
+            expect(await blToken.balanceOf(creator.address)).to.be.gt(balanceBefore);
+            expect(await marketplace.amountLockedInPool(blToken.address)).to.equal(0);
+            await expect(marketplace.connect(creator).withdrawCredits()).to.be.revertedWith("No credits");
+        });
+    });
+
+    describe("Proxy Bidding", function () {
+        const startPrice = ethers.utils.parseEther("1");
+        const increment = ethers.utils.parseEther("0.1");
+        let auctionId;
+
+        beforeEach(async function () {
+            await collection.connect(creator).setApprovalForAll(marketplace.address, true);
+            await token.connect(buyer).approve(marketplace.address, ethers.utils.parseEther("100"));
+            await token.connect(seller).approve(marketplace.address, ethers.utils.parseEther("100"));
+            const tx = await marketplace.connect(creator).createAuction(
+                collection.address, tokenId, 1, startPrice, increment, 3600
+            );
+            auctionId = (await tx.wait()).events.find(e => e.event === "AuctionCreated").args.auctionId;
+        });
+
+        it("Should escrow the cap but only bid the minimum", async function () {
+            const maxBid = ethers.utils.parseEther("3");
+            const balanceBefore = await token.balanceOf(buyer.address);
+
+            await expect(marketplace.connect(buyer).placeProxyBid(auctionId, maxBid))
+                .to.emit(marketplace, "ProxyBidPlaced").withArgs(auctionId, buyer.address, maxBid)
+                .and.to.emit(marketplace, "BidPlaced").withArgs(auctionId, buyer.address, startPrice.add(increment));
+
+            const auction = await marketplace.auctions(auctionId);
+            expect(auction.currentPrice).to.equal(startPrice.add(increment));
+            expect(auction.highestBidder).to.equal(buyer.address);
+            expect(await marketplace.bids(auctionId, buyer.address)).to.equal(maxBid);
+            expect(balanceBefore.sub(await token.balanceOf(buyer.address))).to.equal(maxBid);
+            expect(await marketplace.amountLockedInPool(token.address)).to.equal(maxBid);
+        });
+
+        it("Should counter plain bids up to the cap", async function () {
+            await marketplace.connect(buyer).placeProxyBid(auctionId, ethers.utils.parseEther("3"));
+            const sellerBalanceBefore = await token.balanceOf(seller.address);
+
+            const tx = await marketplace.connect(seller).placeBid(auctionId, ethers.utils.parseEther("1.5"));
+            await expect(tx)
+                .to.emit(marketplace, "BidCountered").withArgs(auctionId, seller.address, ethers.utils.parseEther("1.5"))
+                .and.to.emit(marketplace, "BidPlaced").withArgs(auctionId, buyer.address, ethers.utils.parseEther("1.6"));
+            // BidPlaced is only emitted for the leader
+            const bidEvents = (await tx.wait()).events.filter(e => e.event === "BidPlaced");
+            expect(bidEvents.length).to.equal(1);
+            let auction = await marketplace.auctions(auctionId);
+            expect(auction.highestBidder).to.equal(buyer.address);
+            expect(auction.currentPrice).to.equal(ethers.utils.parseEther("1.6"));
+            expect(await token.balanceOf(seller.address)).to.equal(sellerBalanceBefore);
+
+            // A plain bid at the cap is matched, one above it takes the lead
+            await marketplace.connect(seller).placeBid(auctionId, ethers.utils.parseEther("3"));
+            auction = await marketplace.auctions(auctionId);
+            expect(auction.highestBidder).to.equal(buyer.address);
+            expect(auction.currentPrice).to.equal(ethers.utils.parseEther("3"));
+
+            const buyerBalanceBefore = await token.balanceOf(buyer.address);
+            await marketplace.connect(seller).placeBid(auctionId, ethers.utils.parseEther("3.1"));
+            auction = await marketplace.auctions(auctionId);
+            expect(auction.highestBidder).to.equal(seller.address);
+            expect((await token.balanceOf(buyer.address)).sub(buyerBalanceBefore)).to.equal(ethers.utils.parseEther("3"));
+        });
+
+        it("Should return ETH unwrapped when a proxy counters an ETH bid", async function () {
+            const MockWETH = await ethers.getContractFactory("MockWETH");
+            const weth = await MockWETH.deploy();
+            await weth.deployed();
+            await marketplace.connect(owner).setWETH(weth.address);
+            await collection.connect(creator).createNFT("Token 2", "Desc 2", "ipfs://test2", 10);
+            const tx = await marketplace.connect(creator).createAuctionWithOptions(
+                collection.address, 2, 1, startPrice, increment, 3600,
+                { reservePrice: 0, reserveCommitment: ethers.constants.HashZero, buyNowPrice: 0, paymentToken: weth.address }
+            );
+            const wethAuctionId = (await tx.wait()).events.find(e => e.event === "AuctionCreated").args.auctionId;
+
+            const maxBid = ethers.utils.parseEther("3");
+            await weth.connect(buyer).deposit({ value: maxBid });
+            await weth.connect(buyer).approve(marketplace.address, maxBid);
+            await marketplace.connect(buyer).placeProxyBid(wethAuctionId, maxBid);
+
+            const bid = ethers.utils.parseEther("1.5");
+            const ethBefore = await ethers.provider.getBalance(seller.address);
+            const bidTx = await marketplace.connect(seller).placeBidWithETH(wethAuctionId, { value: bid });
+            const receipt = await bidTx.wait();
+            await expect(bidTx)
+                .to.emit(marketplace, "BidCountered").withArgs(wethAuctionId, seller.address, bid);
+
+            const gas = receipt.gasUsed.mul(receipt.effectiveGasPrice);
+            expect(await ethers.provider.getBalance(seller.address)).to.equal(ethBefore.sub(gas));
+            expect(await weth.balanceOf(seller.address)).to.equal(0);
+            expect(await marketplace.amountLockedInPool(weth.address)).to.equal(maxBid);
+            expect((await marketplace.auctions(wethAuctionId)).highestBidder).to.equal(buyer.address);
+        });
+
+        it("Should resolve competing proxy bids by cap", async function () {
+            await marketplace.connect(buyer).placeProxyBid(auctionId, ethers.utils.parseEther("3"));
+
+            await marketplace.connect(seller).placeProxyBid(auctionId, ethers.utils.parseEther("2"));
+            let auction = await marketplace.auctions(auctionId);
+            expect(auction.highestBidder).to.equal(buyer.address);
+            expect(auction.currentPrice).to.equal(ethers.utils.parseEther("2.1"));
+            expect(await marketplace.bids(auctionId, seller.address)).to.equal(0);
+
+            const buyerBalanceBefore = await token.balanceOf(buyer.address);
+            await marketplace.connect(seller).placeProxyBid(auctionId, ethers.utils.parseEther("5"));
+            auction = await marketplace.auctions(auctionId);
+            expect(auction.highestBidder).to.equal(seller.address);
+            expect(auction.currentPrice).to.equal(ethers.utils.parseEther("3.1"));
+            expect((await token.balanceOf(buyer.address)).sub(buyerBalanceBefore)).to.equal(ethers.utils.parseEther("3"));
+            expect(await marketplace.amountLockedInPool(token.address)).to.equal(ethers.utils.parseEther("5"));
+        });
+
+        it("Should give ties to the earlier proxy bid", async function () {
+            await marketplace.connect(buyer).placeProxyBid(auctionId, ethers.utils.parseEther("3"));
+            await marketplace.connect(seller).placeProxyBid(auctionId, ethers.utils.parseEther("3"));
+
+            const auction = await marketplace.auctions(auctionId);
+            expect(auction.highestBidder).to.equal(buyer.address);
+            expect(auction.currentPrice).to.equal(ethers.utils.parseEther("3"));
+        });
+
+        it("Should let the leader raise the cap without raising the price", async function () {
+            await marketplace.connect(buyer).placeProxyBid(auctionId, ethers.utils.parseEther("2"));
+            await expect(
+                marketplace.connect(buyer).placeProxyBid(auctionId, ethers.utils.parseEther("2"))
+            ).to.be.revertedWith("Bid too low");
+
+            const balanceBefore = await token.balanceOf(buyer.address);
+            await marketplace.connect(buyer).placeProxyBid(auctionId, ethers.utils.parseEther("4"));
+            expect(balanceBefore.sub(await token.balanceOf(buyer.address))).to.equal(ethers.utils.parseEther("2"));
+            expect((await marketplace.auctions(auctionId)).currentPrice).to.equal(startPrice.add(increment));
+            expect(await marketplace.bids(auctionId, buyer.address)).to.equal(ethers.utils.parseEther("4"));
+        });
+
+        it("Should extend the auction when a proxy counters near the end", async function () {
+            await marketplace.connect(buyer).placeProxyBid(auctionId, ethers.utils.parseEther("3"));
+            await ethers.provider.send("evm_increaseTime", [3500]);
+            await ethers.provider.send("evm_mine");
+
+            await expect(marketplace.connect(seller).placeBid(auctionId, ethers.utils.parseEther("1.5")))
+                .to.emit(marketplace, "AuctionExtended");
+            const auction = await marketplace.auctions(auctionId);
+            const block = await ethers.provider.getBlock("latest");
+            expect(auction.endTime).to.equal(block.timestamp + 600);
+        });
+
+        it("Should refund unused escrow at settlement", async function () {
+            await marketplace.connect(buyer).placeProxyBid(auctionId, ethers.utils.parseEther("3"));
+            await marketplace.connect(seller).placeBid(auctionId, ethers.utils.parseEther("1.5"));
+            await ethers.provider.send("evm_increaseTime", [3601]);
+            await ethers.provider.send("evm_mine");
+
+            const balanceBefore = await token.balanceOf(buyer.address);
+            await expect(marketplace.settleAuction(auctionId))
+                .to.emit(marketplace, "AuctionSettled")
+                .withArgs(auctionId, buyer.address, ethers.utils.parseEther("1.6"));
+            expect((await token.balanceOf(buyer.address)).sub(balanceBefore)).to.equal(ethers.utils.parseEther("1.4"));
+            expect(await collection.balanceOf(buyer.address, tokenId)).to.equal(1);
+            expect(await marketplace.amountLockedInPool(token.address)).to.equal(0);
+        });
+
+        it("Should settle at the reserve when the cap covers it", async function () {
+            await collection.connect(creator).createNFT("Token 2", "Desc 2", "ipfs://test2", 10);
+            const tx = await marketplace.connect(creator).createAuctionWithOptions(
+                collection.address, 2, 1, startPrice, increment, 3600,
+                { reservePrice: ethers.utils.parseEther("2"), reserveCommitment: ethers.constants.HashZero, buyNowPrice: 0, paymentToken: ethers.constants.AddressZero }
+            );
+            const reserveAuctionId = (await tx.wait()).events.find(e => e.event === "AuctionCreated").args.auctionId;
+
+            await marketplace.connect(buyer).placeProxyBid(reserveAuctionId, ethers.utils.parseEther("3"));
+            expect(await marketplace.isReservePriceMet(reserveAuctionId)).to.equal(true);
+
+            await ethers.provider.send("evm_increaseTime", [3601]);
+            await ethers.provider.send("evm_mine");
+            const balanceBefore = await token.balanceOf(buyer.address);
+            await expect(marketplace.settleAuction(reserveAuctionId))
+                .to.emit(marketplace, "AuctionSettled")
+                .withArgs(reserveAuctionId, buyer.address, ethers.utils.parseEther("2"));
+            expect((await token.balanceOf(buyer.address)).sub(balanceBefore)).to.equal(ethers.utils.parseEther("1"));
+        });
+
+        it("Should refund the full escrow when the reserve is not met", async function () {
+            await collection.connect(creator).createNFT("Token 2", "Desc 2", "ipfs://test2", 10);
+            const tx = await marketplace.connect(creator).createAuctionWithOptions(
+                collection.address, 2, 1, startPrice, increment, 3600,
+                { reservePrice: ethers.utils.parseEther("5"), reserveCommitment: ethers.constants.HashZero, buyNowPrice: 0, paymentToken: ethers.constants.AddressZero }
+            );
+            const reserveAuctionId = (await tx.wait()).events.find(e => e.event === "AuctionCreated").args.auctionId;
+            await marketplace.connect(buyer).placeProxyBid(reserveAuctionId, ethers.utils.parseEther("3"));
+
+            await ethers.provider.send("evm_increaseTime", [3601]);
+            await ethers.provider.send("evm_mine");
+            const balanceBefore = await token.balanceOf(buyer.address);
+            await expect(marketplace.settleAuction(reserveAuctionId)).to.emit(marketplace, "AuctionReserveNotMet");
+            expect((await token.balanceOf(buyer.address)).sub(balanceBefore)).to.equal(ethers.utils.parseEther("3"));
+            expect(await marketplace.amountLockedInPool(token.address)).to.equal(0);
+        });
+    });
+
+    describe("Uniform Price Auctions", function () {
+        const minUnitPrice = ethers.utils.parseEther("1");
+        let auctionId;
+        let owner2;
+
+        beforeEach(async function () {
+            [owner2] = await ethers.getSigners();
+            await collection.connect(creator).setApprovalForAll(marketplace.address, true);
+            for (const bidder of [buyer, seller, owner2]) {
+                await token.connect(bidder).approve(marketplace.address, ethers.utils.parseEther("100"));
+            }
+            const tx = await marketplace.connect(creator).createUniformPriceAuction(
+                collection.address,
+                tokenId,
+                5,
+                minUnitPrice,
+                3600,
+                ethers.constants.AddressZero
+            );
+            const receipt = await tx.wait();
+            auctionId = receipt.events.find(e => e.event === "AuctionCreated").args.auctionId;
+        });
+
+        it("Should create a uniform-price auction and escrow the units", async function () {
+            expect(await marketplace.auctionTypes(auctionId)).to.equal(3); // UNIFORM_PRICE
+            expect((await marketplace.auctions(auctionId)).quantity).to.equal(5);
+            expect(await collection.balanceOf(marketplace.address, tokenId)).to.equal(5);
+        });
+
+        it("Should escrow quantity times unit price for each bid", async function () {
+            const unitPrice = ethers.utils.parseEther("2");
+            await expect(marketplace.connect(buyer).placeUnitBid(auctionId, 3, unitPrice))
+                .to.emit(marketplace, "UnitBidPlaced")
+                .withArgs(auctionId, buyer.address, 3, unitPrice);
+
+            expect(await marketplace.amountLockedInPool(token.address)).to.equal(unitPrice.mul(3));
+            const unitBids = await marketplace.getUnitBids(auctionId);
+            expect(unitBids.length).to.equal(1);
+            expect(unitBids[0].bidder).to.equal(buyer.address);
+            expect(unitBids[0].quantity).to.equal(3);
+        });
+
+        it("Should reject invalid unit bids", async function () {
+            await expect(
+                marketplace.connect(buyer).placeUnitBid(auctionId, 0, minUnitPrice)
+            ).to.be.revertedWith("Invalid quantity");
+            await expect(
+                marketplace.connect(buyer).placeUnitBid(auctionId, 6, minUnitPrice)
+            ).to.be.revertedWith("Invalid quantity");
+            await expect(
+                marketplace.connect(buyer).placeUnitBid(auctionId, 1, ethers.utils.parseEther("0.5"))
+            ).to.be.revertedWith("Bid too low");
+
+            await time.increase(3601);
+            await expect(
+                marketplace.connect(buyer).placeUnitBid(auctionId, 1, minUnitPrice)
+            ).to.be.revertedWith("Auction ended");
+        });
+
+        it("Should fill the top demand at the clearing price and refund the rest", async function () {
+            await marketplace.connect(buyer).placeUnitBid(auctionId, 3, ethers.utils.parseEther("3"));
+            await marketplace.connect(seller).placeUnitBid(auctionId, 3, ethers.utils.parseEther("2"));
+            await marketplace.connect(owner2).placeUnitBid(auctionId, 2, ethers.utils.parseEther("1.5"));
+            await time.increase(3601);
+
+            const initialBuyerBalance = await token.balanceOf(buyer.address);
+            const initialSellerBalance = await token.balanceOf(seller.address);
+            const initialOwnerBalance = await token.balanceOf(owner2.address);
+            const initialCreatorBalance = await token.balanceOf(creator.address);
+            const clearingPrice = ethers.utils.parseEther("2");
+
+            await expect(marketplace.settleUniformPriceAuction(auctionId))
+                .to.emit(marketplace, "UnitBidFilled")
+                .withArgs(auctionId, buyer.address, 3, clearingPrice)
+                .and.to.emit(marketplace, "UnitBidFilled")
+                .withArgs(auctionId, seller.address, 2, clearingPrice)
+                .and.to.emit(marketplace, "UniformPriceAuctionSettled")
+                .withArgs(auctionId, clearingPrice, 5);
+
+            expect(await collection.balanceOf(buyer.address, tokenId)).to.equal(3);
+            expect(await collection.balanceOf(seller.address, tokenId)).to.equal(2);
+            expect(await collection.balanceOf(owner2.address, tokenId)).to.equal(0);
+
+            // Winners pay the clearing price, the partially filled bid gets its unfilled unit back
+            expect(await token.balanceOf(buyer.address)).to.equal(
+                initialBuyerBalance.add(ethers.utils.parseEther("3"))
+            );
+            expect(await token.balanceOf(seller.address)).to.equal(
+                initialSellerBalance.add(ethers.utils.parseEther("2"))
+            );
+            expect(await token.balanceOf(owner2.address)).to.equal(
+                initialOwnerBalance.add(ethers.utils.parseEther("3"))
+            );
+
+            const proceeds = clearingPrice.mul(5);
+            const platformFee = clearingPrice.mul(3).mul(25).div(1000)
+                .add(clearingPrice.mul(2).mul(25).div(1000));
+            expect(await token.balanceOf(creator.address)).to.equal(
+                initialCreatorBalance.add(proceeds).sub(platformFee)
+            );
+            expect(await marketplace.amountLockedInPool(token.address)).to.equal(0);
+            expect((await marketplace.auctions(auctionId)).status).to.equal(1); // ENDED
+        });
+
+        it("Should give ties to the earlier bid", async function () {
+            const unitPrice = ethers.utils.parseEther("2");
+            await marketplace.connect(seller).placeUnitBid(auctionId, 4, unitPrice);
+            await marketplace.connect(buyer).placeUnitBid(auctionId, 4, unitPrice);
+            await time.increase(3601);
+
+            await marketplace.settleUniformPriceAuction(auctionId);
+
+            expect(await collection.balanceOf(seller.address, tokenId)).to.equal(4);
+            expect(await collection.balanceOf(buyer.address, tokenId)).to.equal(1);
+        });
+
+        it("Should return unsold units to the seller when demand is short", async function () {
+            const initialCreatorUnits = await collection.balanceOf(creator.address, tokenId);
+            await marketplace.connect(buyer).placeUnitBid(auctionId, 2, ethers.utils.parseEther("1.5"));
+            await time.increase(3601);
+
+            await expect(marketplace.settleUniformPriceAuction(auctionId))
+                .to.emit(marketplace, "UniformPriceAuctionSettled")
+                .withArgs(auctionId, ethers.utils.parseEther("1.5"), 2);
+
+            expect(await collection.balanceOf(buyer.address, tokenId)).to.equal(2);
+            expect(await collection.balanceOf(creator.address, tokenId)).to.equal(initialCreatorUnits.add(3));
+        });
+
+        it("Should return the units to the seller when there are no bids", async function () {
+            await expect(
+                marketplace.settleUniformPriceAuction(auctionId)
+            ).to.be.revertedWith("Auction not ended");
+            await time.increase(3601);
+
+            await expect(marketplace.settleUniformPriceAuction(auctionId))
+                .to.emit(marketplace, "AuctionCancelled")
+                .withArgs(auctionId);
+            expect((await marketplace.auctions(auctionId)).status).to.equal(2); // CANCELLED
+            expect(await collection.balanceOf(marketplace.address, tokenId)).to.equal(0);
+        });
+
+        it("Should not allow cancelling once unit bids exist", async function () {
+            await marketplace.connect(buyer).placeUnitBid(auctionId, 1, minUnitPrice);
+            await expect(
+                marketplace.connect(creator).cancelAuction(auctionId)
+            ).to.be.revertedWith("Bids already placed");
+        });
+        it("Should evict the lowest bid when the book is full", async function () {
+            // One bidder fills every slot at the floor
+            await token.connect(seller).approve(marketplace.address, ethers.utils.parseEther("200"));
+            await marketplace.connect(seller).placeUnitBid(auctionId, 5, minUnitPrice);
+            for (let i = 1; i < 100; i++) {
+                await marketplace.connect(seller).placeUnitBid(auctionId, 1, minUnitPrice);
+            }
+            expect((await marketplace.getUnitBids(auctionId)).length).to.equal(100);
+
+            await expect(
+                marketplace.connect(buyer).placeUnitBid(auctionId, 1, minUnitPrice)
+            ).to.be.revertedWith("Bid too low");
+
+            const initialSellerBalance = await token.balanceOf(seller.address);
+            const unitPrice = ethers.utils.parseEther("2");
+            await expect(marketplace.connect(buyer).placeUnitBid(auctionId, 5, unitPrice))
+                .to.emit(marketplace, "UnitBidEvicted")
+                .withArgs(auctionId, seller.address, 1, minUnitPrice);
+
+            expect((await marketplace.getUnitBids(auctionId)).length).to.equal(100);
+            expect(await token.balanceOf(seller.address)).to.equal(initialSellerBalance.add(minUnitPrice));
+            expect(await marketplace.amountLockedInPool(token.address)).to.equal(
+                minUnitPrice.mul(5 + 98).add(unitPrice.mul(5))
+            );
+
+            await time.increase(3601);
+            await expect(marketplace.settleUniformPriceAuction(auctionId))
+                .to.emit(marketplace, "UniformPriceAuctionSettled")
+                .withArgs(auctionId, unitPrice, 5);
+            expect(await collection.balanceOf(buyer.address, tokenId)).to.equal(5);
+            expect(await collection.balanceOf(seller.address, tokenId)).to.equal(0);
+            expect(await marketplace.amountLockedInPool(token.address)).to.equal(0);
+        });
+
+        it("Should hold units a winner cannot receive without blocking settlement", async function () {
+            const UnitBidder = await ethers.getContractFactory("UnitBidderMock");
+            const rejectingBidder = await UnitBidder.deploy(marketplace.address);
+            await rejectingBidder.deployed();
+            const unitPrice = ethers.utils.parseEther("2");
+            await token.connect(buyer).transfer(rejectingBidder.address, unitPrice.mul(2));
+
+            await rejectingBidder.placeUnitBid(token.address, auctionId, 2, unitPrice);
+            await marketplace.connect(buyer).placeUnitBid(auctionId, 3, unitPrice);
+            await time.increase(3601);
+
+            await expect(marketplace.settleUniformPriceAuction(auctionId))
+                .to.emit(marketplace, "UnitsHeld")
+                .withArgs(auctionId, rejectingBidder.address, 2)
+                .and.to.emit(marketplace, "UniformPriceAuctionSettled")
+                .withArgs(auctionId, unitPrice, 5);
+
+            expect(await collection.balanceOf(buyer.address, tokenId)).to.equal(3);
+            expect(await marketplace.unclaimedUnits(auctionId, rejectingBidder.address)).to.equal(2);
+            expect(await collection.balanceOf(marketplace.address, tokenId)).to.equal(2);
+
+            await expect(
+                marketplace.connect(buyer).claimUnits(auctionId, buyer.address)
+            ).to.be.revertedWith("No units to claim");
+            await expect(rejectingBidder.claimUnits(auctionId, owner2.address))
+                .to.emit(marketplace, "UnitsClaimed")
+                .withArgs(auctionId, rejectingBidder.address, owner2.address, 2);
+            expect(await collection.balanceOf(owner2.address, tokenId)).to.equal(2);
+            expect(await marketplace.unclaimedUnits(auctionId, rejectingBidder.address)).to.equal(0);
+        });
+    });
+
+    describe("Original Signatures", function () {
+        const price = ethers.utils.parseEther("1");
+
+        beforeEach(async function () {
+            await collection.connect(creator).setApprovalForAll(marketplace.address, true);
+            await token.connect(buyer).approve(marketplace.address, ethers.utils.parseEther("100"));
+        });
+
+        it("Should list without expiration and buy without a unit price cap", async function () {
+            await marketplace.connect(creator)["listNFT(address,uint256,uint256,uint256)"](collection.address, tokenId, price, 10);
+            const listing = await marketplace.getListing(collection.address, tokenId, creator.address);
+            expect(listing.expiresAt).to.equal(0);
+            expect(listing.paymentToken).to.equal(token.address);
+
+            await marketplace.connect(creator).updateListing(
+                collection.address, tokenId, price.mul(5), 10
+            );
+            await marketplace.connect(buyer)["buyListedNFT(address,uint256,address,uint256)"](
+                collection.address, tokenId, creator.address, 2
+            );
+            expect(await collection.balanceOf(buyer.address, tokenId)).to.equal(2);
+            expect(await marketplace.getWithdrawableFees(token.address)).to.equal(price.mul(10).mul(25).div(1000));
+        });
+
+        it("Should make and accept a non-expiring offer in the designated token", async function () {
+            const tx = await marketplace.connect(buyer)["makeOffer(address,uint256,address,uint256,uint256)"](
+                collection.address, tokenId, creator.address, 2, price
+            );
+            const offerId = (await tx.wait()).events.find(e => e.event === "OfferCreated").args.offerId;
+            expect((await marketplace.getOffer(offerId)).offer.expiresAt).to.equal(0);
+            expect(await marketplace.offerPaymentTokens(offerId)).to.equal(token.address);
+
+            await expect(marketplace.connect(creator)["acceptOffer(uint256)"](offerId))
+                .to.emit(marketplace, "OfferAccepted");
+            expect(await collection.balanceOf(buyer.address, tokenId)).to.equal(2);
+        });
+
+        it("Should withdraw designated token fees", async function () {
+            await marketplace.connect(creator)["listNFT(address,uint256,uint256,uint256)"](collection.address, tokenId, price, 10);
+            await marketplace.connect(buyer)["buyListedNFT(address,uint256,address,uint256)"](
+                collection.address, tokenId, creator.address, 4
+            );
+            const fees = price.mul(4).mul(25).div(1000);
+            await expect(
+                marketplace.connect(owner)["withdrawFees()"]()
+            ).to.changeTokenBalance(token, owner, fees);
+            await expect(
+                marketplace.connect(buyer)["withdrawFees()"]()
+            ).to.be.revertedWith("Ownable: caller is not the owner");
+        });
+    });
+
+    describe("Modules", function () {
+        const EIP170_LIMIT = 24576;
+
+        it("Should keep the marketplace and every module under the contract size limit", async function () {
+            // coverage instruments the bytecode past the limit
+            if (hre.__SOLIDITY_COVERAGE_RUNNING) {
+                this.skip();
+            }
+            for (const name of ["NFTMarketplace", ...MARKETPLACE_MODULES]) {
+                const artifact = await hre.artifacts.readArtifact(name);
+                const size = ethers.utils.hexDataLength(artifact.deployedBytecode);
+                expect(size, `${name} is ${size} bytes`).to.be.at.most(EIP170_LIMIT);
+            }
+        });
+
+        it("Should expose the modules fixed at deployment", async function () {
+            for (const name of MARKETPLACE_MODULES) {
+                const getter = name.charAt(0).toLowerCase() + name.slice(1);
+                const module = await ethers.getContractAt(name, await marketplace[getter]());
+                expect(await module.designatedToken()).to.equal(token.address);
+            }
+        });
+
+        it("Should revert when a module is missing", async function () {
+            const modules = await deployMarketplaceModules(token.address);
+            modules[Object.keys(modules)[0]] = ethers.constants.AddressZero;
+
+            const NFTMarketplace = await ethers.getContractFactory("NFTMarketplace");
+            await expect(
+                NFTMarketplace.deploy(token.address, 25, 10, modules)
+            ).to.be.revertedWith("Invalid module address");
+        });
+
+        it("Should revert when a module uses another designated token", async function () {
+            const modules = await deployMarketplaceModules(token.address);
+            const otherModules = await deployMarketplaceModules(collection.address);
+            const key = Object.keys(modules)[0];
+            modules[key] = otherModules[key];
+
+            const NFTMarketplace = await ethers.getContractFactory("NFTMarketplace");
+            await expect(
+                NFTMarketplace.deploy(token.address, 25, 10, modules)
+            ).to.be.revertedWith("Module token mismatch");
+        });
+
+        it("Should revert calls to functions no module implements", async function () {
+            await expect(
+                buyer.sendTransaction({ to: marketplace.address, data: "0x12345678" })
+            ).to.be.revertedWith("Function not supported");
+        });
+    });
+});